@@ -12,6 +12,15 @@ const path = require('path');
 const readline = require('readline');
 const { machineIdSync } = require('node-machine-id');
 const CoordinatorCore = require('../src/coordinator-core');
+const CoordinatorPidFile = require('../src/coordinator-pidfile');
+const CoordinatorDiscovery = require('../src/coordinator-discovery');
+const CoordinationClient = require('../src/coordination-client');
+const { ensureAuthToken, getTokenFile } = require('../src/auth-token');
+const { STATE_SCHEMA_VERSION, getSchemaVersion, migrateState, validateState } = require('../src/state-schema');
+const { getLockHolders, getLockMode } = require('../src/lock-manager');
+const { findMergeBlockers } = require('../src/worktree-manager');
+const { StateStore } = require('../src/state-store');
+const { COMMITTER_ENV, GUARD_MODES, OVERRIDE_ENV, findLockedFiles, getStagedFiles, installPreCommitHook, uninstallPreCommitHook } = require('../src/commit-guard');
 const ProjectDetector = require('../src/project-detector');
 const ConfigManager = require('../src/config-manager');
 const WelcomeGuide = require('../src/welcome-guide');
@@ -51,6 +60,145 @@ async function askYesNo(question, defaultValue = 'y') {
   });
 }
 
+// Stop the coordinator gracefully on Ctrl+C or a signal from `claude-coord stop`
+function handleShutdownSignals(coordinator, terminalInterface = null) {
+  const shutdown = async (signal) => {
+    console.log(chalk.yellow('\n🛑 Shutting down coordinator...'));
+    if (terminalInterface) await terminalInterface.stop();
+    await coordinator.stop({ reason: signal });
+    process.exit(0);
+  };
+
+  // A failed stop still has to exit, or the pidfile keeps naming a live process
+  const shutdownOrExit = signal => shutdown(signal).catch(async (error) => {
+    console.error(chalk.red('❌ Coordinator shutdown failed:'), error.message);
+    await logError('Coordinator Shutdown', error).catch(() => {});
+    process.exit(1);
+  });
+
+  process.on('SIGINT', () => shutdownOrExit('SIGINT'));
+  process.on('SIGTERM', () => shutdownOrExit('SIGTERM'));
+}
+
+// Print what a stopped coordinator drained on its way out
+function printShutdownReport(result) {
+  console.log(chalk.green(`✅ Coordinator (pid ${result.pid}) stopped`));
+  
+  if (!result.report) {
+    console.log(chalk.yellow('⚠️  Coordinator exited without a shutdown report'));
+    return;
+  }
+  
+  const { workers, locks } = result.report.drained;
+  console.log(chalk.gray(`   Drained ${workers.length} workers${workers.length ? `: ${workers.map(w => w.id).join(', ')}` : ''}`));
+  console.log(chalk.gray(`   Released ${locks.length} file locks`));
+}
+
+// With --json, keep stdout for the result: progress messages go to stderr
+function jsonMode(options) {
+  if (options.json) console.log = (...args) => console.error(...args);
+  return Boolean(options.json);
+}
+
+function printJson(value) {
+  process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+function formatAge(ms) {
+  if (ms === null) return '?';
+  if (ms < 60000) return `${Math.floor(ms / 1000)}s`;
+  if (ms < 3600000) return `${Math.floor(ms / 60000)}m`;
+  return `${Math.floor(ms / 3600000)}h ${Math.floor((ms % 3600000) / 60000)}m`;
+}
+
+// Print locks from CoordinatorCore.getLockTable with holders, age and waiters
+function printLockTable(table) {
+  table.locks.forEach(lock => {
+    const holders = lock.holders.map(holder =>
+      `${chalk.bold(holder.workerId)}${holder.group ? chalk.gray(` (${holder.group})`) : ''} ${holder.expired ? chalk.red('lease expired') : chalk.gray(`held ${formatAge(holder.held_ms)}`)}`
+    ).join(', ');
+    
+    console.log(`${lock.mode === 'shared' ? '📖' : '🔒'} ${lock.key} → ${holders}${lock.mode === 'shared' ? chalk.gray(' [shared]') : ''}`);
+    lock.waiters.forEach((wait, index) => {
+      console.log(chalk.gray(`   ⏳ #${index + 1} ${wait.workerId} wants ${wait.key} (${wait.mode}) since ${new Date(wait.since).toLocaleTimeString()}`));
+    });
+  });
+}
+
+// Run `action` with a client connected to the running coordinator, which
+// holds the state in memory, or with null to use the state file when none runs
+async function withCoordinatorClient(coordinator, action) {
+  const client = await CoordinationClient.connectTo(coordinator.coordinationDir);
+  
+  try {
+    return await action(client);
+  } finally {
+    if (client) client.close();
+  }
+}
+
+// Current state from the running coordinator over IPC, or null to read the state file
+async function fetchLiveState(coordinator) {
+  const client = await CoordinationClient.connectTo(coordinator.coordinationDir);
+  if (!client) return null;
+  
+  try {
+    return await client.request('state.get');
+  } finally {
+    client.close();
+  }
+}
+
+// Fork the coordinator into the background and wait until it is reachable
+async function startDetached(options) {
+  const projectRoot = process.cwd();
+  const coordinationDir = path.join(projectRoot, '.claude-coord');
+  const discovery = new CoordinatorDiscovery(coordinationDir);
+  
+  const runningPid = await new CoordinatorPidFile(coordinationDir).getRunningPid();
+  if (runningPid) {
+    const info = await discovery.find();
+    throw new Error(`Coordinator already running (pid ${runningPid}${info ? `, port ${info.port}` : ''})`);
+  }
+  
+  await fs.ensureDir(discovery.logDir);
+  const logFd = fs.openSync(discovery.logFile, 'a');
+  
+  const args = [__filename, 'start', '--port', options.port, '--mode', options.mode];
+  if (options.fresh) args.push('--fresh');
+  if (options.host) args.push('--host', options.host);
+  if (options.deadlockPolicy) args.push('--deadlock-policy', options.deadlockPolicy);
+  if (options.forceReleaseAfter) args.push('--force-release-after', options.forceReleaseAfter);
+  if (options.worktrees) args.push('--worktrees');
+  
+  const { spawn } = require('child_process');
+  const child = spawn(process.execPath, args, {
+    cwd: projectRoot,
+    detached: true,
+    stdio: ['ignore', logFd, logFd],
+    env: { ...process.env, CLAUDE_COORD_DETACHED: '1' }
+  });
+  
+  let exitCode = null;
+  child.on('exit', (code) => { exitCode = code; });
+  child.unref();
+  fs.closeSync(logFd);
+  
+  const startTime = Date.now();
+  while (Date.now() - startTime < 15000) {
+    const info = await discovery.find();
+    if (info && info.pid === child.pid) return info;
+    
+    if (exitCode !== null) {
+      throw new Error(`Coordinator exited during startup (code ${exitCode}), see ${discovery.logFile}`);
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  
+  throw new Error(`Coordinator did not become ready within 15s, see ${discovery.logFile}`);
+}
+
 program
   .name('claude-coord')
   .description('Multi-Claude Parallel Processing Coordinator')
@@ -102,10 +250,13 @@ program
         });
       }
       
-      // Create coordination directory
-      await fs.ensureDir(path.join(projectRoot, '.claude-coord'));
+      // Create coordination directory and the token networked workers use
+      const coordinationDir = path.join(projectRoot, '.claude-coord');
+      await fs.ensureDir(coordinationDir);
+      const token = await ensureAuthToken(coordinationDir);
       
       console.log(chalk.green('✅ Coordination system initialized!'));
+      console.log(chalk.gray(`🔑 Access token for networked workers: ${token}`));
       console.log(chalk.yellow('💡 Next steps:'));
       console.log('   1. claude-coord start');
       console.log('   2. claude-worker --id=claude_a --group=TYPESCRIPT');
@@ -125,22 +276,47 @@ program
   .command('start')
   .description('Start coordination server')
   .option('-p, --port <port>', 'Server port', '7777')
+  .option('--host <address>', 'Address to serve the dashboard on (0.0.0.0 for workers on other machines)', '127.0.0.1')
   .option('-m, --mode <mode>', 'Mode (dev|prod)', 'prod')
+  .option('--fresh', 'Discard the previous session instead of recovering its workers and locks')
+  .option('-d, --detach', 'Run in the background, logging to .claude-coord/logs/coordinator.log')
+  .option('--deadlock-policy <policy>', 'Which worker backs off from a lock deadlock (youngest|fewest-locks|lowest-priority)', 'youngest')
+  .option('--force-release-after <seconds>', 'Force a lock release this long after a higher-priority worker asked for it (0 = never)', '120')
+  .option('--worktrees', 'Give every worker its own git worktree and branch, merged back in dependency order')
   .action(async (options) => {
     console.log(chalk.blue('🖥️  Starting Multi-Claude Coordinator...'));
     
     try {
-      await logUser('Start Coordinator', `claude-coord start --port=${options.port} --mode=${options.mode}`, 'STARTED');
+      await logUser('Start Coordinator', `claude-coord start --port=${options.port} --mode=${options.mode}${options.fresh ? ' --fresh' : ''}${options.detach ? ' --detach' : ''}`, 'STARTED');
+      
+      if (options.detach) {
+        const info = await startDetached(options);
+        
+        console.log(chalk.green(`✅ Coordinator running in the background (pid ${info.pid})`));
+        console.log(chalk.yellow(`📊 Open ${info.dashboard_url} for web dashboard`));
+        console.log(chalk.gray(`📜 Log: ${info.log_file}`));
+        console.log(chalk.gray('🛑 Stop with: claude-coord stop'));
+        
+        await logUser('Start Coordinator', `claude-coord start --detach (pid ${info.pid})`, 'SUCCESS');
+        return;
+      }
+      
       const projectRoot = process.cwd();
       const coordinator = new CoordinatorCore(projectRoot, {
         port: parseInt(options.port),
-        mode: options.mode
+        host: options.host,
+        mode: options.mode,
+        fresh: options.fresh,
+        deadlockPolicy: options.deadlockPolicy,
+        forceReleaseAfter: parseInt(options.forceReleaseAfter) * 1000 || null,
+        worktrees: Boolean(options.worktrees),
+        detached: process.env.CLAUDE_COORD_DETACHED === '1'
       });
       
       await coordinator.start();
       
-      console.log(chalk.green(`✅ Coordinator running on port ${options.port}`));
-      console.log(chalk.yellow('📊 Open http://localhost:' + options.port + ' for web dashboard'));
+      console.log(chalk.green(`✅ Coordinator running on port ${coordinator.port}`));
+      console.log(chalk.yellow('📊 Open http://localhost:' + coordinator.port + ' for web dashboard'));
       console.log(chalk.cyan('🎮 Interactive commands available:'));
       console.log('   Press [M] for monitoring, [W] for workers, [H] for help, [Q] to quit');
       console.log('   Press [ESC] to return to main view from any screen');
@@ -162,12 +338,7 @@ program
       }
       
       // Graceful shutdown
-      process.on('SIGINT', async () => {
-        console.log(chalk.yellow('\\n🛑 Shutting down coordinator...'));
-        if (terminalInterface) await terminalInterface.stop();
-        await coordinator.stop();
-        process.exit(0);
-      });
+      handleShutdownSignals(coordinator, terminalInterface);
       
     } catch (error) {
       console.error(chalk.red('❌ Coordinator start failed:'), error.message);
@@ -176,6 +347,27 @@ program
     }
   });
 
+// Show the access token for networked workers
+program
+  .command('token')
+  .description('Show the access token workers use to coordinate over the network')
+  .action(async () => {
+    try {
+      const coordinationDir = path.join(process.cwd(), '.claude-coord');
+      const token = await ensureAuthToken(coordinationDir);
+      const running = await new CoordinatorDiscovery(coordinationDir).find();
+      const url = running ? `http://<this-host>:${running.port}` : 'http://<this-host>:7777';
+      
+      console.log(token);
+      console.log(chalk.gray(`\n💡 Stored in ${getTokenFile(coordinationDir)}. Connect a worker from another machine or container with:`));
+      console.log(chalk.gray(`   claude-worker --id=<id> --group=<group> --coordinator=${url} --token=${token}`));
+      
+    } catch (error) {
+      console.error(chalk.red('❌ Token lookup failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // Show system status
 program
   .command('status')
@@ -186,10 +378,20 @@ program
       const projectRoot = process.cwd();
       const coordinator = new CoordinatorCore(projectRoot);
       
-      const status = await coordinator.getSystemStatus();
+      const running = await coordinator.discovery.find();
+      
+      // Ask the running coordinator over IPC, otherwise read the state file
+      const client = await CoordinationClient.connectTo(coordinator.coordinationDir);
+      const status = await coordinator.getSystemStatus(client ? await client.request('state.get') : null);
+      if (client) client.close();
       
       console.log(chalk.blue('📊 System Status'));
       console.log(chalk.gray('─'.repeat(50)));
+      console.log(`Coordinator: ${running ? chalk.green(`Running (pid ${running.pid}, port ${running.port})`) : chalk.red('Not running')}`);
+      if (running) {
+        console.log(`Dashboard: ${chalk.cyan(running.dashboard_url)}`);
+        if (running.log_file) console.log(`Log: ${chalk.gray(running.log_file)}`);
+      }
       console.log(`Active Workers: ${chalk.green(status.activeWorkers)}`);
       console.log(`Completed Tasks: ${chalk.green(status.completedTasks)}/${status.totalTasks}`);
       console.log(`File Locks: ${chalk.yellow(status.fileLocks)}`);
@@ -213,19 +415,635 @@ program
     }
   });
 
-// Stop all coordination
+// Inspect the event journal
 program
-  .command('stop')
-  .description('Stop all workers and coordinator')
+  .command('journal')
+  .description('Show recorded coordination events or replay state at a point in time')
+  .option('-n, --tail <count>', 'Number of recent events to show', '20')
+  .option('--at <time>', 'Reconstruct workers and file locks as of this time (ISO 8601)')
+  .option('--compact', 'Snapshot the current state and archive the journal')
+  .action(async (options) => {
+    try {
+      const projectRoot = process.cwd();
+      const coordinator = new CoordinatorCore(projectRoot);
+      
+      if (options.compact) {
+        const result = await coordinator.store.compact();
+        console.log(chalk.green(`✅ Journal compacted at revision ${result.revision} (${result.archived} events archived)`));
+        return;
+      }
+      
+      if (options.at) {
+        const state = await coordinator.replayState(options.at);
+        
+        if (!state) {
+          console.log(chalk.yellow(`⚠️  No journal history available for ${options.at}`));
+          return;
+        }
+        
+        console.log(chalk.blue(`🕰️  State as of ${new Date(options.at).toLocaleString()} (revision ${state.revision})`));
+        console.log(chalk.gray('─'.repeat(50)));
+        
+        const workers = Object.entries(state.active_workers || {});
+        console.log(chalk.cyan('👥 Workers:'));
+        if (workers.length === 0) console.log(chalk.gray('  No active workers'));
+        workers.forEach(([id, worker]) => {
+          console.log(`  ${id} (${worker.group}) - ${worker.status}`);
+        });
+        
+        const locks = Object.entries(state.file_locks || {});
+        console.log(chalk.cyan('🔒 File Locks:'));
+        if (locks.length === 0) console.log(chalk.gray('  No file locks'));
+        locks.forEach(([file, lock]) => {
+          const owners = getLockHolders(lock).map(holder => holder.workerId).join(', ');
+          console.log(`  ${file} → ${chalk.bold(owners)}${getLockMode(lock) === 'shared' ? chalk.gray(' (shared)') : ''}`);
+        });
+        return;
+      }
+      
+      const events = await coordinator.journal.readEvents();
+      const recent = events.slice(-parseInt(options.tail));
+      
+      console.log(chalk.blue(`📜 Last ${recent.length} coordination events`));
+      console.log(chalk.gray('─'.repeat(50)));
+      
+      recent.forEach(event => {
+        const timestamp = new Date(event.at).toLocaleTimeString();
+        const details = event.type === 'state_replaced' ? '' : JSON.stringify(event.data);
+        console.log(`${chalk.gray(timestamp)} ${chalk.gray(`#${event.revision}`)} ${chalk.cyan(event.type)} ${details}`);
+      });
+      
+    } catch (error) {
+      console.error(chalk.red('❌ Journal access failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// List file locks with their holders and waiters
+program
+  .command('locks')
+  .description('List file locks with holder, age and queued requests')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    const json = jsonMode(options);
+    
+    try {
+      const coordinator = new CoordinatorCore(process.cwd());
+      const table = await coordinator.getLockTable(await fetchLiveState(coordinator));
+      
+      if (json) {
+        printJson(table);
+        return;
+      }
+      
+      console.log(chalk.blue(`🔒 ${table.locks.length} file locks`));
+      console.log(chalk.gray('─'.repeat(50)));
+      if (table.locks.length === 0) console.log(chalk.gray('No file locks'));
+      printLockTable(table);
+      
+      const orphaned = table.waiters.filter(wait => !table.locks.some(lock => lock.waiters.includes(wait)));
+      if (orphaned.length > 0) {
+        console.log(chalk.gray(`⏳ ${orphaned.length} more queued requests waiting behind other requests`));
+      }
+      
+    } catch (error) {
+      if (json) printJson({ success: false, error: error.message });
+      else console.error(chalk.red('❌ Listing locks failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Take a lock on behalf of a worker
+program
+  .command('lock <path>')
+  .description('Lock a file, directory or pattern for a worker')
+  .requiredOption('-w, --worker <workerId>', 'Worker ID to hold the lock')
+  .option('--shared', 'Take a shared (read) lock instead of an exclusive one')
+  .option('--override', 'Lock even if the path is outside the worker\'s group')
+  .option('--ttl <seconds>', 'Lease term; locks of workers that send no heartbeats expire after it', '60')
+  .option('--json', 'Output as JSON')
+  .action(async (filePath, options) => {
+    const json = jsonMode(options);
+    
+    try {
+      const coordinator = new CoordinatorCore(process.cwd());
+      const mode = options.shared ? 'shared' : 'exclusive';
+      const result = await withCoordinatorClient(coordinator, client => coordinator.acquireFileLock(options.worker, filePath, mode, {
+        override: Boolean(options.override),
+        queue: false,
+        ttl: parseInt(options.ttl) * 1000,
+        client
+      }));
+      const key = coordinator.api.normalizeKey(filePath);
+      
+      await logUser('Lock File', `claude-coord lock ${filePath} --worker=${options.worker}`, result.success ? 'SUCCESS' : 'FAILED');
+      
+      if (json) {
+        printJson({ ...result, key, workerId: options.worker, mode });
+      } else if (result.success) {
+        console.log(chalk.green(`✅ ${key} locked (${mode}) for ${options.worker}`));
+      } else if (result.outOfScope) {
+        console.log(chalk.red(`❌ ${result.error}`));
+        console.log(chalk.gray('💡 Use --override to lock it anyway'));
+      } else {
+        const blocker = result.queued ? `requested first by ${result.lockedBy}` : `held by ${result.lockedBy}`;
+        console.log(chalk.yellow(`⚠️  ${key} is ${result.lockedBy ? `${blocker}${result.lockKey !== key ? ` (through ${result.lockKey})` : ''}` : 'unavailable'}`));
+      }
+      
+      if (!result.success) process.exit(1);
+      
+    } catch (error) {
+      if (json) printJson({ success: false, error: error.message });
+      else console.error(chalk.red('❌ Lock failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Release a lock by hand
+program
+  .command('unlock <path>')
+  .description('Release a lock left behind by a dead or stale worker')
+  .option('-w, --worker <workerId>', 'Only release this worker\'s hold')
+  .option('--force', 'Release it even if a live worker holds it')
+  .option('--json', 'Output as JSON')
+  .action(async (filePath, options) => {
+    const json = jsonMode(options);
+    
+    try {
+      const coordinator = new CoordinatorCore(process.cwd());
+      const result = await withCoordinatorClient(coordinator, client => coordinator.unlockFile(filePath, {
+        workerId: options.worker,
+        force: Boolean(options.force),
+        client
+      }));
+      
+      await logUser('Unlock File', `claude-coord unlock ${filePath}${options.force ? ' --force' : ''}`, result.success ? 'SUCCESS' : 'FAILED');
+      
+      if (json) {
+        printJson(result);
+      } else if (result.success) {
+        console.log(chalk.green(`✅ ${result.key} released from ${result.released.join(', ')}`));
+        if (result.forced.length > 0) {
+          console.log(chalk.yellow(`⚠️  ${result.forced.join(', ')} still running and no longer own this file`));
+        }
+      } else {
+        console.log(chalk.yellow(`⚠️  ${result.error}`));
+      }
+      
+      if (!result.success) process.exit(1);
+      
+    } catch (error) {
+      if (json) printJson({ success: false, error: error.message });
+      else console.error(chalk.red('❌ Unlock failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Who holds or waits for a path
+program
+  .command('who <path>')
+  .description('Show which workers hold or wait for locks covering a path')
+  .option('--json', 'Output as JSON')
+  .action(async (filePath, options) => {
+    const json = jsonMode(options);
+    
+    try {
+      const coordinator = new CoordinatorCore(process.cwd());
+      const table = await coordinator.getLockTable(await fetchLiveState(coordinator), filePath);
+      
+      if (json) {
+        printJson(table);
+        return;
+      }
+      
+      if (table.locks.length === 0) {
+        console.log(chalk.green(`🔓 ${table.key} is not locked`));
+      } else {
+        printLockTable(table);
+      }
+      
+      const queued = table.waiters.filter(wait => !table.locks.some(lock => lock.waiters.includes(wait)));
+      queued.forEach(wait => {
+        console.log(chalk.gray(`⏳ ${wait.workerId} wants ${wait.key} (${wait.mode}) since ${new Date(wait.since).toLocaleTimeString()}`));
+      });
+      
+    } catch (error) {
+      if (json) printJson({ success: false, error: error.message });
+      else console.error(chalk.red('❌ Lookup failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Which worker changed which lines
+program
+  .command('changes')
+  .description('Show file changes attributed to workers, as a summary or unified diffs')
+  .option('-w, --worker <workerId>', 'Only this worker\'s changes')
+  .option('-g, --group <group>', 'Only changes made by workers of this group')
+  .option('-t, --task <name>', 'Only changes made during this task')
+  .option('--session <id>', 'Session to show (default: the latest)')
+  .option('--diff', 'Print the unified diff of every change')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    const json = jsonMode(options);
+    
+    try {
+      const coordinator = new CoordinatorCore(process.cwd());
+      const changes = await coordinator.changes.read({
+        session: options.session,
+        workerId: options.worker,
+        group: options.group,
+        task: options.task
+      });
+      
+      if (json) {
+        printJson(changes);
+        return;
+      }
+      
+      if (changes.length === 0) {
+        console.log(chalk.gray('No recorded changes'));
+        return;
+      }
+      
+      const counts = change => (change.diff === null ? chalk.gray('binary or too large') : `${chalk.green(`+${change.added}`)} ${chalk.red(`-${change.removed}`)}`);
+      
+      if (options.diff) {
+        changes.forEach(change => {
+          console.log(chalk.bold(`# ${change.workerId} (${change.group || 'no group'})${change.task ? ` ${change.task}` : ''}, ${new Date(change.released_at).toLocaleString()}`));
+          console.log(chalk.gray(`# ${change.file} ${change.before_hash ? change.before_hash.slice(0, 12) : 'new'} → ${change.after_hash ? change.after_hash.slice(0, 12) : 'deleted'}`));
+          
+          if (change.diff === null) {
+            console.log(chalk.gray('Binary or too large to diff\n'));
+            return;
+          }
+          
+          change.diff.split('\n').forEach(line => {
+            if (line.startsWith('+++') || line.startsWith('---')) console.log(chalk.bold(line));
+            else if (line.startsWith('@@')) console.log(chalk.cyan(line));
+            else if (line.startsWith('+')) console.log(chalk.green(line));
+            else if (line.startsWith('-')) console.log(chalk.red(line));
+            else console.log(line);
+          });
+        });
+        return;
+      }
+      
+      console.log(chalk.blue(`📝 ${changes.length} changes in session ${changes[0].session}`));
+      console.log(chalk.gray('─'.repeat(50)));
+      
+      const byWorker = new Map();
+      changes.forEach(change => {
+        if (!byWorker.has(change.workerId)) byWorker.set(change.workerId, []);
+        byWorker.get(change.workerId).push(change);
+      });
+      
+      byWorker.forEach((workerChanges, workerId) => {
+        const added = workerChanges.reduce((sum, change) => sum + (change.added || 0), 0);
+        const removed = workerChanges.reduce((sum, change) => sum + (change.removed || 0), 0);
+        const files = new Set(workerChanges.map(change => change.file));
+        
+        console.log(`${chalk.bold(workerId)} ${chalk.gray(`(${workerChanges[0].group || 'no group'})`)} ${files.size} files ${chalk.green(`+${added}`)} ${chalk.red(`-${removed}`)}`);
+        workerChanges.forEach(change => {
+          console.log(`  ${change.file} ${chalk.gray(change.change)} ${counts(change)}${change.task ? chalk.gray(` ${change.task}`) : ''}`);
+        });
+      });
+      
+      console.log(chalk.gray('💡 Add --diff to review the changes line by line'));
+      
+    } catch (error) {
+      if (json) printJson({ success: false, error: error.message });
+      else console.error(chalk.red('❌ Listing changes failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Worker worktrees and their merge status
+program
+  .command('worktrees')
+  .description('List worker worktrees and branches with their merge status')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    const json = jsonMode(options);
+    
+    try {
+      const coordinator = new CoordinatorCore(process.cwd());
+      const state = await fetchLiveState(coordinator) || await coordinator.loadSystemState();
+      const worktrees = state.worktrees || {};
+      
+      if (json) {
+        printJson({ isolation: state.isolation || null, worktrees });
+        return;
+      }
+      
+      if (!state.isolation) {
+        console.log(chalk.gray('Worktree isolation is off (start the coordinator with --worktrees)'));
+        if (Object.keys(worktrees).length === 0) return;
+      } else {
+        console.log(chalk.blue(`🌳 ${Object.keys(worktrees).length} worktrees, merging into ${state.isolation.base_branch}`));
+      }
+      console.log(chalk.gray('─'.repeat(50)));
+      
+      const colors = { active: chalk.cyan, submitted: chalk.yellow, merged: chalk.green, conflict: chalk.red, failed: chalk.red };
+      Object.entries(worktrees).forEach(([workerId, worktree]) => {
+        console.log(`${chalk.bold(workerId)} ${chalk.gray(`(${worktree.group || 'no group'})`)} ${worktree.branch} ${colors[worktree.status](worktree.status)}`);
+        console.log(chalk.gray(`  ${path.relative(process.cwd(), worktree.path)}`));
+        
+        if (worktree.status === 'submitted') {
+          const blockers = findMergeBlockers(state, workerId);
+          if (blockers.length > 0) console.log(chalk.gray(`  waiting for ${blockers.join(', ')} to be merged`));
+        }
+        if (worktree.commit) console.log(chalk.gray(`  merged as ${worktree.commit.slice(0, 12)}`));
+        if (worktree.conflicts) console.log(chalk.red(`  conflicts: ${worktree.conflicts.join(', ')}`));
+        if (worktree.error) console.log(chalk.red(`  ${worktree.error}`));
+      });
+      
+    } catch (error) {
+      if (json) printJson({ success: false, error: error.message });
+      else console.error(chalk.red('❌ Listing worktrees failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Git hooks that keep commits in line with the locks
+const hooks = program
+  .command('hooks')
+  .description('Install git hooks that check commits against worker locks');
+
+hooks
+  .command('install')
+  .description('Add a pre-commit hook refusing commits of files other workers hold write locks on')
+  .option('--warn', 'Only warn about locked files instead of blocking the commit')
+  .option('--force', 'Replace an existing pre-commit hook (it is put back by "hooks uninstall")')
+  .action(async (options) => {
+    try {
+      const hook = await installPreCommitHook(process.cwd(), {
+        mode: options.warn ? 'warn' : 'block',
+        force: options.force,
+        cliPath: __filename
+      });
+      
+      console.log(chalk.green(`✅ Pre-commit guard installed (${hook.mode}): ${path.relative(process.cwd(), hook.path)}`));
+      if (hook.displaced) console.log(chalk.yellow(`📦 Previous hook kept as ${path.relative(process.cwd(), hook.displaced)}`));
+      console.log(chalk.gray(`💡 Workers commit with ${COMMITTER_ENV}=<id>; override once with ${OVERRIDE_ENV}=1 git commit ...`));
+      
+      await logUser('Install Hooks', `claude-coord hooks install${options.warn ? ' --warn' : ''}`, 'SUCCESS');
+    } catch (error) {
+      console.error(chalk.red('❌ Installing hooks failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+hooks
+  .command('uninstall')
+  .description('Remove the pre-commit guard')
   .action(async () => {
+    try {
+      const result = await uninstallPreCommitHook(process.cwd());
+      
+      if (!result.removed) {
+        console.log(chalk.gray('No pre-commit guard installed'));
+        return;
+      }
+      
+      console.log(chalk.green('✅ Pre-commit guard removed'));
+      if (result.restored) console.log(chalk.gray(`📦 Restored the previous hook at ${path.relative(process.cwd(), result.restored)}`));
+    } catch (error) {
+      console.error(chalk.red('❌ Removing hooks failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Run by the installed hook from the top of the working tree, which the
+// project may only be a subdirectory of
+hooks
+  .command('pre-commit')
+  .description('Check staged files against worker locks (run by the pre-commit hook)')
+  .option('--mode <mode>', `What to do about locked files (${GUARD_MODES.join('|')})`, 'block')
+  .option('--project <dir>', 'Project root the hook was installed for', process.cwd())
+  .action(async (options) => {
+    if (!GUARD_MODES.includes(options.mode)) {
+      console.error(chalk.red(`❌ Unknown guard mode: ${options.mode} (expected ${GUARD_MODES.join(', ')})`));
+      process.exit(1);
+    }
+    
+    const projectRoot = path.resolve(options.project);
+    const coordinationDir = path.join(projectRoot, '.claude-coord');
+    
+    try {
+      // Ask a running coordinator, whose state is ahead of the file
+      let state = null;
+      const client = await CoordinationClient.connectTo(coordinationDir);
+      if (client) {
+        try {
+          state = await client.request('state.get');
+        } finally {
+          client.close();
+        }
+      } else {
+        const store = new StateStore(path.join(coordinationDir, 'system-state.json'), { validate: true });
+        if (await store.exists()) state = await store.read();
+      }
+      
+      // Not a coordinated project (or a worker's worktree): nothing to guard
+      if (!state) return;
+      
+      const committer = process.env[COMMITTER_ENV] || null;
+      const locked = findLockedFiles(state, await getStagedFiles(projectRoot), committer);
+      if (locked.length === 0) return;
+      
+      const overridden = Boolean(process.env[OVERRIDE_ENV]);
+      const blocking = options.mode === 'block' && !overridden;
+      const color = blocking ? chalk.red : chalk.yellow;
+      
+      console.error(color(`${blocking ? '🚫' : '⚠️ '} ${locked.length} staged file(s) are locked by other workers${committer ? ` (committing as ${committer})` : ''}:`));
+      locked.forEach(entry => {
+        console.error(`  ${entry.file} ${chalk.gray(`→ ${entry.holders.join(', ')}${entry.lock !== entry.file ? ` (lock on ${entry.lock})` : ''}`)}`);
+      });
+      
+      await logUser('Pre-commit Guard', `git commit (${locked.map(entry => entry.file).join(', ')})`,
+        blocking ? 'BLOCKED' : overridden ? 'OVERRIDDEN' : 'WARNED');
+      
+      if (blocking) {
+        console.error(chalk.gray(`💡 Commit as the lock holder with ${COMMITTER_ENV}=<id>, wait for the locks to be released,`));
+        console.error(chalk.gray(`   or override with ${OVERRIDE_ENV}=1 git commit ...`));
+        process.exit(1);
+      }
+    } catch (error) {
+      // A broken guard shouldn't make the repository uncommittable
+      console.error(chalk.yellow(`⚠️  claude-coord pre-commit check skipped: ${error.message}`));
+    }
+  });
+
+// Snapshots workers took before modifying files
+const backups = program
+  .command('backups')
+  .description('Inspect the file backups workers take before modifying files');
+
+backups
+  .command('list')
+  .description('List backup sessions with each worker\'s snapshots')
+  .option('--session <id>', 'Only show this session')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    const json = jsonMode(options);
+    
+    try {
+      const coordinator = new CoordinatorCore(process.cwd());
+      const sessions = (await coordinator.backups.list())
+        .filter(entry => !options.session || entry.session === options.session);
+      
+      if (json) {
+        printJson(sessions);
+        return;
+      }
+      
+      if (sessions.length === 0) {
+        console.log(chalk.gray('No backups'));
+        return;
+      }
+      
+      sessions.forEach(({ session, workers }) => {
+        console.log(chalk.blue(`💾 Session ${session}`));
+        workers.forEach(manifest => {
+          const files = new Set(manifest.snapshots.flatMap(snapshot => snapshot.files.map(entry => entry.file)));
+          console.log(`  ${chalk.bold(manifest.workerId)} ${chalk.gray(`${manifest.snapshots.length} snapshots, ${files.size} files`)}`);
+          manifest.snapshots.forEach(snapshot => {
+            const names = snapshot.files.map(entry => (entry.existed ? entry.file : `${entry.file} ${chalk.gray('(new)')}`)).join(', ');
+            console.log(`    ${chalk.gray(`#${snapshot.id} ${new Date(snapshot.taken_at).toLocaleTimeString()}`)} ${snapshot.task ? `${snapshot.task}: ` : ''}${names}`);
+          });
+        });
+      });
+      
+    } catch (error) {
+      if (json) printJson({ success: false, error: error.message });
+      else console.error(chalk.red('❌ Listing backups failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Roll files back from worker backups
+program
+  .command('restore')
+  .description('Roll back a worker\'s, a task\'s or a file\'s changes from backups')
+  .option('-w, --worker <workerId>', 'Restore the files this worker changed')
+  .option('-f, --file <path>', 'Restore this file')
+  .option('-t, --task <name>', 'Restore the files changed by this task')
+  .option('--session <id>', 'Backup session to restore from (default: the latest)')
+  .option('--force', 'Restore files even if a live worker holds a lock on them')
+  .option('--dry-run', 'Only show what would be restored')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    const json = jsonMode(options);
+    
+    try {
+      if (!options.worker && !options.file && !options.task) {
+        throw new Error('Specify what to restore with --worker, --file or --task');
+      }
+      
+      const coordinator = new CoordinatorCore(process.cwd());
+      const result = await coordinator.restoreBackups(
+        { session: options.session, workerId: options.worker, task: options.task, file: options.file },
+        { force: Boolean(options.force), dryRun: Boolean(options.dryRun), currentState: await fetchLiveState(coordinator) }
+      );
+      
+      if (!options.dryRun) {
+        await logUser('Restore Backups', `claude-coord restore${options.worker ? ` --worker=${options.worker}` : ''}${options.file ? ` --file=${options.file}` : ''}${options.task ? ` --task=${options.task}` : ''}`, result.success ? 'SUCCESS' : 'FAILED');
+      }
+      
+      if (json) {
+        printJson(result);
+      } else {
+        if (result.restored.length > 0) {
+          console.log(chalk.blue(`💾 ${options.dryRun ? 'Would restore' : 'Restored'} from session ${result.session}:`));
+        }
+        result.restored.forEach(point => {
+          const action = point.existed ? 'restored' : 'deleted (did not exist before)';
+          console.log(`  ${chalk.green('↩️ ')} ${point.file} ${chalk.gray(`${action}, backed up by ${point.workerId}${point.task ? ` for ${point.task}` : ''}`)}`);
+        });
+        result.skipped.forEach(entry => {
+          console.log(`  ${chalk.yellow('🔒')} ${entry.file} ${chalk.gray(`skipped, locked by ${entry.lockedBy}`)}`);
+        });
+        if (!result.success) console.log(chalk.yellow(`⚠️  ${result.error}`));
+      }
+      
+      if (!result.success) process.exit(1);
+      
+    } catch (error) {
+      if (json) printJson({ success: false, error: error.message });
+      else console.error(chalk.red('❌ Restore failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Validate and upgrade the state file
+program
+  .command('migrate')
+  .description('Validate the coordination state and upgrade it to the current schema')
+  .option('--check', 'Only report problems and pending migrations')
+  .action(async (options) => {
     try {
       const projectRoot = process.cwd();
       const coordinator = new CoordinatorCore(projectRoot);
       
+      if (!(await coordinator.store.exists())) {
+        console.log(chalk.yellow('⚠️  No coordination state found. Run "claude-coord init" first.'));
+        return;
+      }
+      
+      if (options.check) {
+        const state = await coordinator.store.readRaw();
+        const from = getSchemaVersion(state);
+        const pending = migrateState(state);
+        const errors = validateState(state);
+        
+        console.log(chalk.blue(`📦 State schema v${from} (current: v${STATE_SCHEMA_VERSION})`));
+        if (pending.length > 0) {
+          console.log(chalk.yellow(`⏳ Pending migrations: ${pending.map(v => `v${v}`).join(', ')}`));
+        }
+        
+        if (errors.length > 0) {
+          console.log(chalk.red(`❌ ${errors.length} schema problems:`));
+          errors.forEach(error => console.log(chalk.red(`  - ${error.path}: ${error.message}`)));
+          process.exit(1);
+        }
+        
+        console.log(chalk.green('✅ State is valid'));
+        return;
+      }
+      
+      const result = await coordinator.store.migrate();
+      
+      if (result.migrated) {
+        console.log(chalk.green(`✅ Migrated system state from schema v${result.from} to v${result.to}`));
+      } else {
+        console.log(chalk.green(`✅ System state already at schema v${result.to}`));
+      }
+      
+    } catch (error) {
+      console.error(chalk.red('❌ State migration failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Stop all coordination
+program
+  .command('stop')
+  .description('Stop all workers and coordinator')
+  .option('-t, --timeout <seconds>', 'How long to wait for the coordinator to exit', '30')
+  .action(async (options) => {
+    try {
+      const pidFile = new CoordinatorPidFile(path.join(process.cwd(), '.claude-coord'));
+      
       console.log(chalk.yellow('🛑 Stopping coordination system...'));
-      await coordinator.stopAll();
+      const result = await pidFile.requestStop({ timeout: parseInt(options.timeout) * 1000 });
       
-      console.log(chalk.green('✅ All workers stopped'));
+      if (!result.stopped) {
+        console.log(chalk.gray('ℹ️  No running coordinator found'));
+        return;
+      }
+      
+      printShutdownReport(result);
       
     } catch (error) {
       console.error(chalk.red('❌ Stop failed:'), error.message);
@@ -338,14 +1156,14 @@ program
       // Save current coordinator status
       const projectRoot = process.cwd();
       const coordinator = new CoordinatorCore(projectRoot);
-      let coordinatorWasRunning = false;
+      const pidFile = new CoordinatorPidFile(coordinator.coordinationDir);
+      const coordinatorWasRunning = Boolean(await pidFile.getRunningPid());
       let currentPort = 7777;
       
-      try {
+      if (coordinatorWasRunning) {
         const status = await coordinator.getSystemStatus();
-        coordinatorWasRunning = true;
         console.log(chalk.green(`✅ Detected running coordinator with ${status.activeWorkers} active workers`));
-      } catch (error) {
+      } else {
         console.log(chalk.gray('ℹ️  No running coordinator detected'));
       }
       
@@ -354,10 +1172,26 @@ program
       await execAsync('npm update -g claude-coordination-system');
       console.log(chalk.green('✅ Package updated successfully'));
       
-      // If coordinator was running, restart it
       if (coordinatorWasRunning) {
         console.log(chalk.yellow('🔄 Restarting coordinator...'));
-        
+        printShutdownReport(await pidFile.requestStop());
+      }
+      
+      // Bring the state file up to the new schema before anything reads it.
+      // The freshly installed CLI knows the new migrations; this process doesn't.
+      if (await coordinator.store.exists()) {
+        try {
+          const { stdout } = await execAsync('claude-coord migrate', { cwd: projectRoot });
+          process.stdout.write(stdout);
+        } catch (error) {
+          console.log(chalk.yellow('⚠️  Updated CLI unavailable, migrating with the current version...'));
+          const result = await coordinator.store.migrate();
+          console.log(chalk.green(`✅ System state at schema v${result.to}`));
+        }
+      }
+      
+      // If coordinator was running, restart it
+      if (coordinatorWasRunning) {
         // Try to find available port
         const net = require('net');
         const isPortAvailable = (port) => {
@@ -392,11 +1226,7 @@ program
         console.log(chalk.cyan(`🌐 Web dashboard: http://localhost:${currentPort}`));
         
         // Graceful shutdown
-        process.on('SIGINT', async () => {
-          console.log(chalk.yellow('\n🛑 Shutting down coordinator...'));
-          await newCoordinator.stop();
-          process.exit(0);
-        });
+        handleShutdownSignals(newCoordinator);
         
         // Keep running
         console.log(chalk.gray('Press Ctrl+C to stop coordinator'));
@@ -419,28 +1249,27 @@ program
   .description('Restart coordination server')
   .option('-p, --port <port>', 'Server port', '7777')
   .option('-m, --mode <mode>', 'Mode (dev|prod)', 'prod')
+  .option('--fresh', 'Discard the previous session instead of recovering its workers and locks')
   .action(async (options) => {
     try {
       console.log(chalk.yellow('🔄 Restarting coordinator...'));
       
       const projectRoot = process.cwd();
-      const coordinator = new CoordinatorCore(projectRoot);
+      const pidFile = new CoordinatorPidFile(path.join(projectRoot, '.claude-coord'));
       
       // Stop existing coordinator if running
-      try {
-        await coordinator.stop();
-        console.log(chalk.green('✅ Existing coordinator stopped'));
-      } catch (error) {
+      const result = await pidFile.requestStop();
+      if (result.stopped) {
+        printShutdownReport(result);
+      } else {
         console.log(chalk.gray('ℹ️  No running coordinator found'));
       }
       
-      // Wait a moment
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
       // Start new coordinator
       const newCoordinator = new CoordinatorCore(projectRoot, {
         port: parseInt(options.port),
-        mode: options.mode
+        mode: options.mode,
+        fresh: options.fresh
       });
       
       await newCoordinator.start();
@@ -449,11 +1278,7 @@ program
       console.log(chalk.yellow('📊 Open http://localhost:' + options.port + ' for web dashboard'));
       
       // Graceful shutdown
-      process.on('SIGINT', async () => {
-        console.log(chalk.yellow('\n🛑 Shutting down coordinator...'));
-        await newCoordinator.stop();
-        process.exit(0);
-      });
+      handleShutdownSignals(newCoordinator);
       
     } catch (error) {
       console.error(chalk.red('❌ Coordinator restart failed:'), error.message);
@@ -546,7 +1371,9 @@ program
     console.log('  4. Monitor: claude-monitor\n');
     
     console.log(chalk.cyan('🔧 Coordinator Management:'));
-    console.log('  claude-coord start          # Start coordinator');
+    console.log('  claude-coord start          # Start coordinator (recovers previous session)');
+    console.log('  claude-coord start --fresh  # Start with a clean state');
+    console.log('  claude-coord start --detach # Run in the background');
     console.log('  claude-coord restart        # Restart coordinator');
     console.log('  claude-coord stop           # Stop coordinator');
     console.log('  claude-coord status         # Check system status\n');
@@ -16,6 +16,7 @@ program
   .name('claude-monitor')
   .description('Multi-Claude Coordination Monitor Dashboard')
   .version('1.0.0')
+  .enablePositionalOptions()
   .option('--project-root <path>', 'Project root directory', process.cwd())
   .option('--refresh <ms>', 'Refresh interval in milliseconds', '2000')
   .option('--compact', 'Compact display mode')
@@ -23,11 +24,11 @@ program
   .option('--no-color', 'Disable colored output')
   .option('--web', 'Start web dashboard instead of terminal UI')
   .option('--port <port>', 'Web dashboard port', '8888')
-  .parse();
-
-const options = program.opts();
+  .action(() => main());
 
 async function main() {
+  const options = program.opts();
+  
   try {
     console.log(chalk.blue('🖥️  Starting Multi-Claude Monitor Dashboard...'));
     
@@ -86,7 +87,7 @@ program
       
       console.log(chalk.blue('📊 Quick Status'));
       console.log(chalk.gray('─'.repeat(40)));
-      console.log(`Coordinator: ${status.coordinatorRunning ? chalk.green('Running') : chalk.red('Stopped')}`);
+      console.log(`Coordinator: ${status.coordinatorRunning ? chalk.green(`Running (pid ${status.coordinator.pid}, ${status.coordinator.dashboard_url})`) : chalk.red('Stopped')}`);
       console.log(`Active Workers: ${chalk.yellow(status.activeWorkers)}`);
       console.log(`File Locks: ${chalk.yellow(status.fileLocks)}`);
       console.log(`System Health: ${status.healthy ? chalk.green('Healthy') : chalk.red('Issues Detected')}`);
@@ -226,9 +227,45 @@ program
     }
   });
 
-// Only run main if this is the main module
+program
+  .command('locks')
+  .description('Show file locks, or lock contention from the event journal with --report')
+  .option('--project-root <path>', 'Project root directory', process.cwd())
+  .option('--report', 'Most contended files, waiting per group and longest holds')
+  .option('--since <time>', 'Only count holds and waits that ended after this time (ISO 8601)')
+  .option('--top <count>', 'Entries per report section', '10')
+  .option('--json', 'Output as JSON')
+  .action(async (cmdOptions) => {
+    try {
+      const monitor = new MonitorDashboard(cmdOptions.projectRoot);
+      
+      if (cmdOptions.report) {
+        const report = await monitor.getLockReport({ since: cmdOptions.since, top: parseInt(cmdOptions.top) });
+        
+        if (cmdOptions.json) {
+          console.log(JSON.stringify(report, null, 2));
+        } else {
+          monitor.displayLockReport(report);
+        }
+        return;
+      }
+      
+      const state = await monitor.loadSystemState();
+      if (cmdOptions.json) {
+        console.log(JSON.stringify({ file_locks: state.file_locks, lock_waits: state.lock_waits || [] }, null, 2));
+      } else {
+        await monitor.displayFileLocks(state);
+      }
+      
+    } catch (error) {
+      console.error(chalk.red('❌ Lock report failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Subcommands are registered above, so parse only once they all exist
 if (require.main === module) {
-  main();
+  program.parse();
 }
 
 module.exports = { main };
\ No newline at end of file
@@ -11,6 +11,7 @@ const path = require('path');
 const WorkerCore = require('../src/worker-core');
 const ConfigManager = require('../src/config-manager');
 const WorkerTerminalInterface = require('../src/worker-terminal-interface');
+const CoordinatorDiscovery = require('../src/coordinator-discovery');
 
 const program = new Command();
 
@@ -25,10 +26,26 @@ program
   .option('--verbose', 'Verbose logging')
   .option('--dry-run', 'Dry run mode (no actual changes)')
   .option('--memory <mb>', 'Memory limit in MB', '256')
+  .option('--transport <mode>', 'Coordinator transport (auto|file|http)', 'auto')
+  .option('--coordinator <url>', 'Coordinate over the network with the coordinator at this URL', process.env.CLAUDE_COORD_URL)
+  .option('--token <token>', 'Access token from `claude-coord token`', process.env.CLAUDE_COORD_TOKEN)
+  .option('--confirm-release', 'Ask before yielding a lock a higher-priority worker requested')
+  .option('--override-scope', 'Allow locks outside the group\'s files (each one is logged)')
   .parse();
 
 const options = program.opts();
 
+// A coordinator URL implies networked coordination
+if (options.coordinator && options.transport === 'auto') {
+  options.transport = 'http';
+}
+
+const transportOptions = {
+  transport: options.transport,
+  coordinatorUrl: options.coordinator,
+  token: options.token
+};
+
 /**
  * Setup interactive standby mode commands
  */
@@ -134,10 +151,30 @@ async function main() {
     console.log(chalk.gray(`📁 Project: ${path.basename(options.projectRoot)}`));
     console.log(chalk.gray(`🧠 Memory limit: ${options.memory}MB`));
     
+    // Locate the running coordinator through its discovery file
+    const coordinator = await new CoordinatorDiscovery(path.join(options.projectRoot, '.claude-coord')).find();
+    if (options.transport === 'http') {
+      console.log(chalk.gray(`🌐 Coordinator: ${options.coordinator}`));
+    } else if (coordinator) {
+      console.log(chalk.gray(`🖥️  Coordinator: pid ${coordinator.pid} (${coordinator.dashboard_url})`));
+    } else {
+      console.log(chalk.yellow('⚠️  No running coordinator found - start one with: claude-coord start --detach'));
+    }
+    
     // Validate configuration
     const configManager = new ConfigManager();
     const projectConfig = await configManager.loadProjectConfig(options.projectRoot);
     
+    // Shared by standby and regular workers, so a promoted standby honours the same flags
+    const workerOptions = {
+      verbose: options.verbose,
+      dryRun: options.dryRun,
+      maxMemoryMB: parseInt(options.memory),
+      confirmRelease: Boolean(options.confirmRelease),
+      overrideScope: Boolean(options.overrideScope),
+      ...transportOptions
+    };
+    
     // Standby mode check
     if (options.standby) {
       console.log(chalk.yellow(`⏸️  Starting in STANDBY mode`));
@@ -149,9 +186,7 @@ async function main() {
       
       // Initialize in standby mode
       const worker = new WorkerCore(options.id, 'STANDBY', options.projectRoot, {
-        verbose: options.verbose,
-        dryRun: options.dryRun,
-        maxMemoryMB: parseInt(options.memory),
+        ...workerOptions,
         standbyMode: true
       });
       
@@ -186,11 +221,7 @@ async function main() {
     }
 
     // Initialize worker
-    const worker = new WorkerCore(options.id, options.group, options.projectRoot, {
-      verbose: options.verbose,
-      dryRun: options.dryRun,
-      maxMemoryMB: parseInt(options.memory)
-    });
+    const worker = new WorkerCore(options.id, options.group, options.projectRoot, workerOptions);
 
     // Graceful shutdown handling
     let isShuttingDown = false;
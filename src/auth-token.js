@@ -0,0 +1,53 @@
+/**
+ * Coordination Access Token
+ * Per-project shared secret that networked workers present to the coordinator
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+function getTokenFile(coordinationDir) {
+  return path.join(coordinationDir, 'auth-token');
+}
+
+async function readAuthToken(coordinationDir) {
+  try {
+    return (await fs.readFile(getTokenFile(coordinationDir), 'utf8')).trim() || null;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Return the project's token, creating one (readable by the owner only)
+ * if it does not exist yet
+ */
+async function ensureAuthToken(coordinationDir) {
+  const existing = await readAuthToken(coordinationDir);
+  if (existing) return existing;
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await fs.ensureDir(coordinationDir);
+  await fs.writeFile(getTokenFile(coordinationDir), `${token}\n`, { mode: 0o600 });
+  return token;
+}
+
+/**
+ * Constant-time comparison of a presented token against the expected one
+ */
+function verifyToken(presented, expected) {
+  if (!presented || !expected) return false;
+
+  const a = Buffer.from(presented);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  getTokenFile,
+  readAuthToken,
+  ensureAuthToken,
+  verifyToken
+};
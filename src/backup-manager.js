@@ -0,0 +1,223 @@
+/**
+ * Backup Manager
+ * Snapshots files into `.claude-coord/backups/<session>/<worker>/` before a
+ * worker takes a write lock on them, and rolls a worker's, a task's or a
+ * single file's changes back from those snapshots
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const picomatch = require('picomatch');
+const { escapeLiteralParens, isDirectoryKey, isGlobPattern } = require('./lock-manager');
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Never expanded from directory or pattern locks
+const SKIPPED_DIRECTORIES = ['.claude-coord', '.git', 'node_modules'];
+
+/**
+ * Backup session of a coordination state: one per `claude-coord start
+ * --fresh`, kept across coordinator restarts that recover the session
+ */
+function getSessionId(state) {
+  return (state.system_info.initialized_at || 'unknown').replace(/[:.]/g, '-');
+}
+
+/**
+ * Whether workers should back files up before modifying them. On unless
+ * `features.auto_backup` or `rules.file_protection.backup_before_modify`
+ * is turned off in claude-coord.json.
+ */
+function isBackupEnabled(state) {
+  return (state.file_protection || {}).backup_before_modify !== false;
+}
+
+/**
+ * Files under the project root covered by lock keys. Directory and pattern
+ * keys expand to the files that currently exist; plain keys are kept
+ * whether or not the file exists.
+ */
+async function expandLockKeys(projectRoot, keys) {
+  const files = new Set();
+
+  for (const key of keys) {
+    if (!isDirectoryKey(key) && !isGlobPattern(key)) {
+      files.add(key);
+      continue;
+    }
+
+    const base = isDirectoryKey(key) ? key.replace(/\/$/, '') : picomatch.scan(key).base;
+    const matches = isDirectoryKey(key) ? () => true : picomatch(escapeLiteralParens(key), { dot: true });
+
+    for (const file of await walk(projectRoot, base)) {
+      if (matches(file)) files.add(file);
+    }
+  }
+
+  return [...files];
+}
+
+async function walk(projectRoot, dir) {
+  let entries;
+
+  try {
+    entries = await fs.readdir(path.join(projectRoot, dir), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    if (SKIPPED_DIRECTORIES.includes(entry.name)) continue;
+
+    const relative = dir ? `${dir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) files.push(...await walk(projectRoot, relative));
+    else if (entry.isFile()) files.push(relative);
+  }
+
+  return files;
+}
+
+class BackupManager {
+  constructor(projectRoot) {
+    this.projectRoot = projectRoot;
+    this.backupsDir = path.join(projectRoot, '.claude-coord', 'backups');
+  }
+
+  /**
+   * Copy the files covered by `keys` aside before `workerId` modifies them.
+   * Files a key names that don't exist yet are recorded too, so restoring
+   * deletes them again. Files already snapshotted for the same task (a
+   * retried task or one that yielded its locks) keep their first snapshot.
+   * Returns the new snapshot, or null if there was nothing to back up.
+   */
+  async snapshot({ session, workerId, task = null, keys }) {
+    const workerDir = path.join(this.backupsDir, session, workerId);
+    const manifest = await this.readManifest(workerDir, { session, workerId });
+
+    const saved = new Set(manifest.snapshots
+      .filter(snapshot => task && snapshot.task === task)
+      .flatMap(snapshot => snapshot.files.map(file => file.file)));
+
+    const files = (await expandLockKeys(this.projectRoot, keys)).filter(file => !saved.has(file));
+    if (files.length === 0) return null;
+
+    const id = String(manifest.snapshots.length + 1).padStart(3, '0');
+    const snapshot = { id, task, taken_at: new Date().toISOString(), files: [] };
+
+    for (const file of files) {
+      const source = path.join(this.projectRoot, file);
+      const existed = await fs.pathExists(source);
+
+      if (existed) {
+        await fs.copy(source, path.join(workerDir, id, file), { preserveTimestamps: true });
+      }
+      snapshot.files.push({ file, existed });
+    }
+
+    manifest.snapshots.push(snapshot);
+    await fs.ensureDir(workerDir);
+    await fs.writeJson(path.join(workerDir, MANIFEST_FILE), manifest, { spaces: 2 });
+
+    return snapshot;
+  }
+
+  /**
+   * Every session's backups as `[{ session, workers: [manifest] }]`, oldest first
+   */
+  async list() {
+    if (!(await fs.pathExists(this.backupsDir))) return [];
+
+    const sessions = [];
+    for (const session of (await fs.readdir(this.backupsDir)).sort()) {
+      const sessionDir = path.join(this.backupsDir, session);
+      if (!(await fs.stat(sessionDir)).isDirectory()) continue;
+
+      const workers = [];
+      for (const workerId of (await fs.readdir(sessionDir)).sort()) {
+        const manifestFile = path.join(sessionDir, workerId, MANIFEST_FILE);
+        if (await fs.pathExists(manifestFile)) workers.push(await fs.readJson(manifestFile));
+      }
+
+      sessions.push({ session, workers });
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Where to roll each file back to, as `[{ file, existed, source, workerId,
+   * task, taken_at }]`: the earliest snapshot of the file among those
+   * matching the filters. Defaults to the most recent session.
+   */
+  async findRestorePoints({ session = null, workerId = null, task = null, file = null } = {}) {
+    const sessions = await this.list();
+    const selected = session ?
+      sessions.find(entry => entry.session === session) :
+      sessions[sessions.length - 1];
+
+    if (!selected) return [];
+
+    const points = new Map();
+    for (const manifest of selected.workers) {
+      if (workerId && manifest.workerId !== workerId) continue;
+
+      for (const snapshot of manifest.snapshots) {
+        if (task && snapshot.task !== task) continue;
+
+        for (const entry of snapshot.files) {
+          if (file && entry.file !== file) continue;
+
+          const earlier = points.get(entry.file);
+          if (earlier && earlier.taken_at <= snapshot.taken_at) continue;
+
+          points.set(entry.file, {
+            file: entry.file,
+            existed: entry.existed,
+            source: path.join(this.backupsDir, selected.session, manifest.workerId, snapshot.id, entry.file),
+            session: selected.session,
+            workerId: manifest.workerId,
+            task: snapshot.task,
+            taken_at: snapshot.taken_at
+          });
+        }
+      }
+    }
+
+    return [...points.values()].sort((a, b) => a.file.localeCompare(b.file));
+  }
+
+  /**
+   * Put files back as they were at their restore points; files that didn't
+   * exist then are deleted
+   */
+  async restore(points) {
+    for (const point of points) {
+      const target = path.join(this.projectRoot, point.file);
+
+      if (point.existed) {
+        await fs.copy(point.source, target, { overwrite: true, preserveTimestamps: true });
+      } else {
+        await fs.remove(target);
+      }
+    }
+  }
+
+  async readManifest(workerDir, { session, workerId }) {
+    const manifestFile = path.join(workerDir, MANIFEST_FILE);
+
+    if (await fs.pathExists(manifestFile)) {
+      return await fs.readJson(manifestFile);
+    }
+
+    return { session, workerId, snapshots: [] };
+  }
+}
+
+module.exports = {
+  BackupManager,
+  expandLockKeys,
+  getSessionId,
+  isBackupEnabled
+};
@@ -0,0 +1,360 @@
+/**
+ * Change Tracker
+ * Attributes file changes to workers: the content of every file under a
+ * write lock is hashed when the lock is granted and compared when it is
+ * released, and each changed file is logged with a unified diff, the
+ * worker, its group and the task it was running to
+ * `.claude-coord/changes/<session>.jsonl`
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { expandLockKeys, getSessionId } = require('./backup-manager');
+const { getLockHolders } = require('./lock-manager');
+const { isProcessAlive } = require('./state-store');
+
+// Larger files are hashed but not diffed
+const MAX_DIFF_FILE_SIZE = 1024 * 1024;
+
+// Beyond this many line pairs a changed region is shown as replaced wholesale
+const MAX_DIFF_CELLS = 4000000;
+
+const DIFF_CONTEXT = 3;
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function splitLines(text) {
+  if (text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Line edit script between two texts as `[{ op: ' ' | '-' | '+', line }]`
+ */
+function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = [];
+
+  if (middleA.length * middleB.length > MAX_DIFF_CELLS) {
+    middle.push(...middleA.map(line => ({ op: '-', line })), ...middleB.map(line => ({ op: '+', line })));
+  } else {
+    // Longest common subsequence of the lines that differ
+    const lengths = Array.from({ length: middleA.length + 1 }, () => new Uint32Array(middleB.length + 1));
+    for (let i = middleA.length - 1; i >= 0; i--) {
+      for (let j = middleB.length - 1; j >= 0; j--) {
+        lengths[i][j] = middleA[i] === middleB[j] ?
+          lengths[i + 1][j + 1] + 1 :
+          Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < middleA.length || j < middleB.length) {
+      if (i < middleA.length && j < middleB.length && middleA[i] === middleB[j]) {
+        middle.push({ op: ' ', line: middleA[i++] });
+        j++;
+      } else if (i < middleA.length && (j === middleB.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+        middle.push({ op: '-', line: middleA[i++] });
+      } else {
+        middle.push({ op: '+', line: middleB[j++] });
+      }
+    }
+  }
+
+  return [
+    ...a.slice(0, start).map(line => ({ op: ' ', line })),
+    ...middle,
+    ...a.slice(endA).map(line => ({ op: ' ', line }))
+  ];
+}
+
+/**
+ * Unified diff of a file's change as `{ diff, added, removed }`. `before`
+ * is null for a created file and `after` for a deleted one.
+ */
+function createUnifiedDiff(file, before, after) {
+  const edits = diffLines(before || '', after || '');
+  const added = edits.filter(edit => edit.op === '+').length;
+  const removed = edits.filter(edit => edit.op === '-').length;
+  const lines = [
+    `--- ${before === null ? '/dev/null' : `a/${file}`}`,
+    `+++ ${after === null ? '/dev/null' : `b/${file}`}`
+  ];
+
+  // Group the edits into hunks with a few lines of context around each change
+  let index = 0;
+  while (index < edits.length) {
+    if (edits[index].op === ' ') {
+      index++;
+      continue;
+    }
+
+    const hunkStart = Math.max(0, index - DIFF_CONTEXT);
+    let hunkEnd = index;
+    let unchanged = 0;
+    while (hunkEnd < edits.length && unchanged <= DIFF_CONTEXT * 2) {
+      unchanged = edits[hunkEnd].op === ' ' ? unchanged + 1 : 0;
+      hunkEnd++;
+    }
+    hunkEnd -= Math.max(0, unchanged - DIFF_CONTEXT);
+
+    const hunk = edits.slice(hunkStart, hunkEnd);
+    const lineA = edits.slice(0, hunkStart).filter(edit => edit.op !== '+').length;
+    const lineB = edits.slice(0, hunkStart).filter(edit => edit.op !== '-').length;
+    const countA = hunk.filter(edit => edit.op !== '+').length;
+    const countB = hunk.filter(edit => edit.op !== '-').length;
+
+    lines.push(`@@ -${countA === 0 ? lineA : lineA + 1},${countA} +${countB === 0 ? lineB : lineB + 1},${countB} @@`);
+    lines.push(...hunk.map(edit => `${edit.op}${edit.line}`));
+    index = hunkEnd;
+  }
+
+  return { diff: `${lines.join('\n')}\n`, added, removed };
+}
+
+class ChangeTracker {
+  constructor(projectRoot) {
+    this.projectRoot = projectRoot;
+    this.changesDir = path.join(projectRoot, '.claude-coord', 'changes');
+    // Text to diff against is kept on disk, one directory per hold
+    this.holdsDir = path.join(this.changesDir, 'holds');
+    this.holds = new Map(); // `${workerId}\0${key}` → hashes of the files under a write lock when it was granted
+    this.nextHold = 1;
+  }
+
+  /**
+   * Record the content of the files under the write locks `workerId` was
+   * just granted on `keys`: hashes in memory, text to diff against under
+   * `changes/holds/`. A lock it already held keeps the content from
+   * when it was first granted. A worker with a worktree of its own changes
+   * the files there rather than in the project.
+   */
+  async capture(state, workerId, keys) {
+    const worker = state.active_workers[workerId] || {};
+    const task = worker.progress && worker.progress.current_task;
+    const root = ((state.worktrees || {})[workerId] || {}).path || this.projectRoot;
+
+    for (const key of keys) {
+      const lock = state.file_locks[key];
+      const lease = getLockHolders(lock).find(holder => holder.workerId === workerId);
+      if (!lease || lock.mode === 'shared') continue;
+
+      const id = `${workerId}\0${key}`;
+      const previous = this.holds.get(id);
+      if (previous && previous.acquired_at === lease.acquired_at) continue;
+      if (previous) await fs.remove(previous.dir);
+
+      const dir = path.join(this.holdsDir, `${process.pid}-${this.nextHold++}`);
+      const files = new Map();
+      for (const file of await expandLockKeys(root, [key])) {
+        const { hash, text } = await this.readFile(file, root);
+        if (hash !== null && text !== undefined) {
+          await fs.outputFile(path.join(dir, hash), text);
+        }
+        files.set(file, { hash, diffable: text !== undefined });
+      }
+
+      this.holds.set(id, {
+        workerId,
+        key,
+        root,
+        dir,
+        session: getSessionId(state),
+        group: worker.group || null,
+        task: task && typeof task === 'object' ? task.name || null : task || null,
+        acquired_at: lease.acquired_at,
+        files
+      });
+    }
+  }
+
+  /**
+   * Compare the files under locks `workerId` is about to release on `keys`
+   * with their content when the locks were granted, and log every file
+   * that changed. Returns the logged changes.
+   */
+  async settle(workerId, keys) {
+    const changes = [];
+    const releasedAt = new Date().toISOString();
+
+    for (const key of keys) {
+      const id = `${workerId}\0${key}`;
+      const hold = this.holds.get(id);
+      if (!hold) continue;
+      this.holds.delete(id);
+
+      // Files created under a directory or pattern lock count too
+      const files = new Set([...hold.files.keys(), ...await expandLockKeys(hold.root, [key])]);
+
+      for (const file of files) {
+        const captured = hold.files.get(file) || { hash: null, diffable: true };
+        const after = await this.readFile(file, hold.root);
+        if (captured.hash === after.hash) continue;
+
+        const before = { hash: captured.hash, text: null };
+        if (captured.hash !== null) {
+          before.text = captured.diffable ? await this.readCaptured(hold, captured.hash) : undefined;
+        }
+
+        const diffable = before.text !== undefined && after.text !== undefined;
+        const { diff, added, removed } = diffable ?
+          createUnifiedDiff(file, before.text, after.text) :
+          { diff: null, added: null, removed: null };
+
+        changes.push({
+          session: hold.session,
+          workerId,
+          group: hold.group,
+          task: hold.task,
+          file,
+          lock: key,
+          change: before.hash === null ? 'created' : after.hash === null ? 'deleted' : 'modified',
+          before_hash: before.hash,
+          after_hash: after.hash,
+          added,
+          removed,
+          diff,
+          acquired_at: hold.acquired_at,
+          released_at: releasedAt
+        });
+      }
+
+      await fs.remove(hold.dir);
+    }
+
+    for (const change of changes) {
+      await fs.ensureDir(this.changesDir);
+      await fs.appendFile(path.join(this.changesDir, `${change.session}.jsonl`), `${JSON.stringify(change)}\n`);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Settle the holds whose write lock is gone from `state`, however it was
+   * freed: forced release, lease expiry, deadlock resolution or the
+   * worker's removal. Locks a worker released itself were settled already.
+   */
+  async settleFreed(state) {
+    const changes = [];
+
+    for (const hold of [...this.holds.values()]) {
+      const lease = getLockHolders(state.file_locks[hold.key]).find(holder => holder.workerId === hold.workerId);
+      if (lease && lease.acquired_at === hold.acquired_at) continue;
+
+      changes.push(...await this.settle(hold.workerId, [hold.key]));
+    }
+
+    return changes;
+  }
+
+  /**
+   * A file's text as captured for `hold`, or undefined if it is gone
+   */
+  async readCaptured(hold, hash) {
+    try {
+      return await fs.readFile(path.join(hold.dir, hash), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the text captured by processes that have exited; their holds
+   * went with them
+   */
+  async removeOrphanedHolds() {
+    if (!(await fs.pathExists(this.holdsDir))) return;
+
+    for (const dir of await fs.readdir(this.holdsDir)) {
+      if (!isProcessAlive(parseInt(dir, 10))) {
+        await fs.remove(path.join(this.holdsDir, dir));
+      }
+    }
+  }
+
+  /**
+   * Write locks in `state` granted without a snapshot, such as those a
+   * restarted coordinator adopted from its predecessor: changes made under
+   * them can't be recorded
+   */
+  findUntracked(state) {
+    return Object.entries(state.file_locks)
+      .filter(([, lock]) => lock.mode !== 'shared')
+      .flatMap(([key, lock]) => getLockHolders(lock)
+        .filter(holder => !this.holds.has(`${holder.workerId}\0${key}`))
+        .map(holder => ({ key, workerId: holder.workerId })));
+  }
+
+  /**
+   * Logged changes, oldest first, optionally only those of one session,
+   * worker, group or task. Defaults to the most recent session.
+   */
+  async read({ session = null, workerId = null, group = null, task = null } = {}) {
+    const sessions = await this.listSessions();
+    const selected = session || sessions[sessions.length - 1];
+    if (!selected || !sessions.includes(selected)) return [];
+
+    const content = await fs.readFile(path.join(this.changesDir, `${selected}.jsonl`), 'utf8');
+
+    return content.split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+      .filter(change => (!workerId || change.workerId === workerId) &&
+        (!group || change.group === group) &&
+        (!task || change.task === task));
+  }
+
+  async listSessions() {
+    if (!(await fs.pathExists(this.changesDir))) return [];
+
+    return (await fs.readdir(this.changesDir))
+      .filter(file => file.endsWith('.jsonl'))
+      .map(file => file.slice(0, -'.jsonl'.length))
+      .sort();
+  }
+
+  /**
+   * A file's hash, and its text when it is small enough to diff and not
+   * binary; a missing file has a null hash
+   */
+  async readFile(file, root = this.projectRoot) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(root, file));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'EISDIR') return { hash: null, text: null };
+      throw error;
+    }
+
+    const diffable = content.length <= MAX_DIFF_FILE_SIZE && !content.includes(0);
+    return { hash: hashContent(content), ...(diffable && { text: content.toString('utf8') }) };
+  }
+}
+
+module.exports = {
+  ChangeTracker,
+  createUnifiedDiff,
+  diffLines
+};
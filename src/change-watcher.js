@@ -0,0 +1,149 @@
+/**
+ * Change Watcher
+ * Watches the project tree and checks every file change against the locks
+ * in the coordination state: a change to a file nobody holds a lock on, or
+ * one locked by a different worker than the one whose task covers it, is a
+ * change made outside the coordination protocol
+ */
+
+const path = require('path');
+const EventEmitter = require('events');
+const chokidar = require('chokidar');
+const picomatch = require('picomatch');
+const { getLockHolders, isLeaseExpired, isWithinPattern, locksOverlap } = require('./lock-manager');
+
+// Flagged changes kept in the state for the monitor
+const MAX_CHANGE_VIOLATION_HISTORY = 20;
+
+// Never worth watching, whatever the project's exclude_patterns say
+const ALWAYS_IGNORED = ['.claude-coord/**', '.git/**', 'node_modules/**'];
+
+/**
+ * Why a change to `key` breaks the locking protocol, as
+ * `{ key, reason, holders, workers }`, or null. `holders` are the workers
+ * holding a live lock covering the key, `workers` the working workers whose
+ * current task files cover it. Reasons are `unlocked` (no lock covers the
+ * key) and `wrong-holder` (the lock belongs to someone other than the
+ * workers whose task touches the key). Keys released within `gracePeriod`
+ * ms (see `releases`) count as still held, since writes land on disk a
+ * little after a worker has finished with a file.
+ */
+function findChangeViolation(state, key, { now = Date.now(), releases = [], gracePeriod = 2000 } = {}) {
+  const holders = [];
+  for (const [lockKey, lock] of Object.entries(state.file_locks || {})) {
+    if (!locksOverlap(lockKey, key)) continue;
+
+    for (const holder of getLockHolders(lock)) {
+      if (!isLeaseExpired(holder, now) && !holders.includes(holder.workerId)) holders.push(holder.workerId);
+    }
+  }
+
+  for (const release of releases) {
+    if (now - release.at <= gracePeriod && locksOverlap(release.key, key) && !holders.includes(release.workerId)) {
+      holders.push(release.workerId);
+    }
+  }
+
+  const workers = Object.entries(state.active_workers || {})
+    .filter(([, worker]) => worker.status === 'working')
+    .filter(([, worker]) => (worker.current_files || []).some(pattern => isWithinPattern(key, pattern)))
+    .map(([workerId]) => workerId);
+
+  if (holders.length === 0) {
+    return { key, reason: 'unlocked', holders, workers };
+  }
+
+  if (workers.length > 0 && !workers.some(workerId => holders.includes(workerId))) {
+    return { key, reason: 'wrong-holder', holders, workers };
+  }
+
+  return null;
+}
+
+/**
+ * Emits `change` with `{ key, change }` (`add`, `change` or `unlink`) for
+ * every file created, modified or deleted under the project root, with
+ * keys relative to the root. Paths matching `excludePatterns` are skipped.
+ * An editor saving a file fires several events, so a key is flagged for
+ * the same reason at most once per `repeatWindow` ms.
+ */
+class ChangeWatcher extends EventEmitter {
+  constructor(projectRoot, { excludePatterns = [], gracePeriod = 2000, repeatWindow = 5000, usePolling = false } = {}) {
+    super();
+
+    this.projectRoot = projectRoot;
+    this.gracePeriod = gracePeriod;
+    this.repeatWindow = repeatWindow;
+    this.usePolling = usePolling;
+    this.releases = [];
+    this.flagged = new Map();
+    this.watcher = null;
+    this.isIgnored = picomatch([...ALWAYS_IGNORED, ...excludePatterns], { dot: true });
+  }
+
+  async start() {
+    this.watcher = chokidar.watch(this.projectRoot, {
+      ignoreInitial: true,
+      ignorePermissionErrors: true,
+      usePolling: this.usePolling,
+      ignored: filePath => {
+        const key = this.toKey(filePath);
+        return key !== '' && this.isIgnored(key);
+      }
+    });
+
+    for (const change of ['add', 'change', 'unlink']) {
+      this.watcher.on(change, filePath => this.emit('change', { key: this.toKey(filePath), change }));
+    }
+    this.watcher.on('error', error => this.emit('error', error));
+
+    await new Promise(resolve => this.watcher.once('ready', resolve));
+  }
+
+  async close() {
+    if (!this.watcher) return;
+
+    const watcher = this.watcher;
+    this.watcher = null;
+    await watcher.close();
+  }
+
+  /**
+   * Remember that a worker just let go of a lock, so its last writes
+   * arriving after the release are not flagged
+   */
+  noteRelease(key, workerId, now = Date.now()) {
+    this.releases = this.releases
+      .filter(release => now - release.at <= this.gracePeriod)
+      .concat({ key, workerId, at: now });
+  }
+
+  /**
+   * Violation for a change to `key`, or null if there is none or the same
+   * one was just flagged
+   */
+  check(state, key, now = Date.now()) {
+    const violation = findChangeViolation(state, key, { now, releases: this.releases, gracePeriod: this.gracePeriod });
+    if (!violation) return null;
+
+    const id = `${key}\0${violation.reason}`;
+    if (now - (this.flagged.get(id) || -Infinity) < this.repeatWindow) return null;
+
+    for (const [flaggedId, at] of this.flagged) {
+      if (now - at >= this.repeatWindow) this.flagged.delete(flaggedId);
+    }
+    this.flagged.set(id, now);
+
+    return violation;
+  }
+
+  toKey(filePath) {
+    return path.relative(this.projectRoot, filePath).split(path.sep).join('/');
+  }
+}
+
+module.exports = {
+  MAX_CHANGE_VIOLATION_HISTORY,
+  ChangeWatcher,
+  findChangeViolation
+};
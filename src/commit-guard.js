@@ -0,0 +1,162 @@
+/**
+ * Commit Guard
+ * A git pre-commit hook that checks the staged files against the
+ * coordination state, so nobody commits files another worker is still
+ * editing under a write lock
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { getLockHolders, isLeaseExpired, locksOverlap } = require('./lock-manager');
+
+const execFileAsync = promisify(execFile);
+
+const HOOK_MARKER = '# claude-coord pre-commit guard';
+const GUARD_MODES = ['block', 'warn'];
+
+// A hook the guard replaced with --force, put back on uninstall
+const DISPLACED_HOOK_SUFFIX = '.claude-coord-displaced';
+
+// Environment variables the hook reads: who is committing, and a one-off override
+const COMMITTER_ENV = 'CLAUDE_COORD_WORKER';
+const OVERRIDE_ENV = 'CLAUDE_COORD_ALLOW_LOCKED';
+
+/**
+ * Staged files covered by a live write lock of a worker other than
+ * `committer`, as `[{ file, lock, holders }]`. Read locks don't count:
+ * their holders aren't changing the file.
+ */
+function findLockedFiles(state, files, committer = null, now = Date.now()) {
+  const locked = [];
+
+  for (const file of files) {
+    for (const [key, lock] of Object.entries(state.file_locks || {})) {
+      if (lock.mode === 'shared' || !locksOverlap(key, file)) continue;
+
+      const holders = getLockHolders(lock)
+        .filter(holder => holder.workerId !== committer && !isLeaseExpired(holder, now))
+        .map(holder => holder.workerId);
+
+      if (holders.length > 0) {
+        locked.push({ file, lock: key, holders });
+        break;
+      }
+    }
+  }
+
+  return locked;
+}
+
+async function git(args, cwd) {
+  const { stdout } = await execFileAsync('git', args, { cwd, timeout: 15000, maxBuffer: 16 * 1024 * 1024 });
+  return stdout;
+}
+
+/**
+ * Files in the index that differ from HEAD (deletions included), relative
+ * to the project root like lock keys. A project in a subdirectory of the
+ * repository leaves out staged files outside it.
+ */
+async function getStagedFiles(projectRoot) {
+  const topLevel = (await git(['rev-parse', '--show-toplevel'], projectRoot)).trim();
+  const root = await fs.realpath(projectRoot);
+  const output = await git(['diff', '--cached', '--name-only', '-z', '--no-renames'], projectRoot);
+
+  return output.split('\0')
+    .filter(Boolean)
+    .map(file => path.relative(root, path.join(topLevel, file)).split(path.sep).join('/'))
+    .filter(file => file !== '' && file !== '..' && !file.startsWith('../') && !path.isAbsolute(file));
+}
+
+async function getHookPath(projectRoot) {
+  const hooksDir = path.resolve(projectRoot, (await git(['rev-parse', '--git-path', 'hooks'], projectRoot)).trim());
+
+  // core.hooksPath pointing at /dev/null and the like turns hooks off
+  if (await fs.pathExists(hooksDir) && !(await fs.stat(hooksDir)).isDirectory()) {
+    throw new Error(`Git hooks are disabled in this repository (core.hooksPath is ${hooksDir})`);
+  }
+
+  return path.join(hooksDir, 'pre-commit');
+}
+
+function quote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Write the pre-commit hook, running this install's CLI. An existing hook
+ * that isn't ours is only replaced with `force`, and is kept aside to be
+ * put back by `uninstallPreCommitHook`.
+ */
+async function installPreCommitHook(projectRoot, { mode = 'block', force = false, cliPath } = {}) {
+  if (!GUARD_MODES.includes(mode)) {
+    throw new Error(`Unknown guard mode: ${mode} (expected ${GUARD_MODES.join(', ')})`);
+  }
+
+  const hookPath = await getHookPath(projectRoot);
+  let displaced = null;
+
+  if (await fs.pathExists(hookPath)) {
+    const existing = await fs.readFile(hookPath, 'utf8');
+
+    if (!existing.includes(HOOK_MARKER)) {
+      if (!force) {
+        const error = new Error(`A pre-commit hook already exists at ${hookPath} (use --force to replace it)`);
+        error.code = 'EHOOKEXISTS';
+        throw error;
+      }
+
+      displaced = `${hookPath}${DISPLACED_HOOK_SUFFIX}`;
+      await fs.move(hookPath, displaced, { overwrite: true });
+    }
+  }
+
+  const script = [
+    '#!/bin/sh',
+    `${HOOK_MARKER} (installed by \`claude-coord hooks install\`)`,
+    '# Checks staged files against the locks of other workers. Commit as a worker',
+    `# with ${COMMITTER_ENV}=<id>, or override once with ${OVERRIDE_ENV}=1.`,
+    `exec ${quote(process.execPath)} ${quote(cliPath)} hooks pre-commit --mode=${mode} --project=${quote(path.resolve(projectRoot))}`,
+    ''
+  ].join('\n');
+
+  await fs.ensureDir(path.dirname(hookPath));
+  await fs.writeFile(hookPath, script, { mode: 0o755 });
+
+  return { path: hookPath, mode, displaced };
+}
+
+/**
+ * Remove the guard, restoring a hook it displaced. Returns false if the
+ * installed hook isn't ours.
+ */
+async function uninstallPreCommitHook(projectRoot) {
+  const hookPath = await getHookPath(projectRoot);
+
+  if (!(await fs.pathExists(hookPath)) || !(await fs.readFile(hookPath, 'utf8')).includes(HOOK_MARKER)) {
+    return { removed: false, path: hookPath, restored: null };
+  }
+
+  await fs.remove(hookPath);
+
+  const displaced = `${hookPath}${DISPLACED_HOOK_SUFFIX}`;
+  if (await fs.pathExists(displaced)) {
+    await fs.move(displaced, hookPath);
+    return { removed: true, path: hookPath, restored: hookPath };
+  }
+
+  return { removed: true, path: hookPath, restored: null };
+}
+
+module.exports = {
+  COMMITTER_ENV,
+  GUARD_MODES,
+  HOOK_MARKER,
+  OVERRIDE_ENV,
+  findLockedFiles,
+  getStagedFiles,
+  installPreCommitHook,
+  uninstallPreCommitHook
+};
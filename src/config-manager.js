@@ -73,6 +73,7 @@ class ConfigManager {
             'build/**',
             '.next/**'
           ],
+          group_scope: 'warn', // Lock requests outside a group's files: enforce, warn or off
           backup_before_modify: true
         }
       }
@@ -0,0 +1,544 @@
+/**
+ * Coordination API
+ * The worker-facing coordination operations. Workers call them directly
+ * against the state file in file-based mode, and the coordinator serves the
+ * same methods to connected clients over IPC and HTTP.
+ */
+
+const {
+  DEFAULT_LOCK_TTL,
+  LOCK_MODES,
+  findConflictingLock,
+  findQueuedRequest,
+  findScopeViolation,
+  getQueuePosition,
+  getLockHolders,
+  getLockMode,
+  getLocksHeldBy,
+  isHeldBy,
+  isLeaseExpired,
+  locksOverlap,
+  normalizeLockKey,
+  createLease
+} = require('./lock-manager');
+const { WORKTREE_KEY_PREFIX, checkWorkerId } = require('./worktree-manager');
+
+class CoordinationAPI {
+  constructor(store, options = {}) {
+    this.store = store;
+
+    this.options = {
+      lockTTL: DEFAULT_LOCK_TTL,
+      projectRoot: null, // Lock keys are normalized relative to it
+      forceReleaseAfter: null, // Deadline for release requests; null never forces
+      changeTracker: null, // ChangeTracker diffing files between write lock grant and release
+      ...options
+    };
+
+    this.methods = {
+      'state.get': () => this.store.read(),
+      'worker.register': params => this.registerWorker(params),
+      'worker.update': params => this.updateWorker(params),
+      'worker.heartbeat': params => this.heartbeat(params),
+      'worker.progress': params => this.updateProgress(params),
+      'lock.acquire': params => this.acquireLock(params),
+      'lock.acquireAll': params => this.acquireLocks(params),
+      'lock.release': params => this.releaseLocks(params),
+      'lock.unlock': params => this.unlockLock(params),
+      'lock.requestRelease': params => this.requestRelease(params),
+      'worktree.submit': params => this.submitWorktree(params)
+    };
+  }
+
+  /**
+   * Dispatch a method call by name
+   */
+  async handle(method, params = {}) {
+    const handler = this.methods[method];
+
+    if (!handler) {
+      throw new Error(`Unknown coordination method: ${method}`);
+    }
+
+    return await handler(params);
+  }
+
+  async registerWorker({ workerId, worker }) {
+    await checkWorkerId(workerId);
+
+    await this.store.update((state, emit) => {
+      if (!state.dependencies[worker.group]) {
+        throw new Error(`Group configuration not found: ${worker.group}`);
+      }
+
+      emit('worker_registered', { workerId, worker });
+    });
+
+    return true;
+  }
+
+  async updateWorker({ workerId, updates }) {
+    return await this.store.update((state, emit) => {
+      if (!state.active_workers[workerId]) return false;
+
+      emit('worker_status_changed', { workerId, updates });
+      return true;
+    });
+  }
+
+  /**
+   * Record a worker heartbeat and renew the leases on its locks. Returns the
+   * files the worker still holds, or null if it is not registered.
+   */
+  async heartbeat({ workerId, updates }) {
+    return await this.store.update((state, emit) => {
+      if (!state.active_workers[workerId]) return null;
+
+      emit('worker_heartbeat', {
+        workerId,
+        updates,
+        expires_at: new Date(Date.now() + this.options.lockTTL).toISOString()
+      });
+      return getLocksHeldBy(state, workerId);
+    });
+  }
+
+  /**
+   * Merge progress fields into the worker's existing progress
+   */
+  async updateProgress({ workerId, progress }) {
+    return await this.store.update((state, emit) => {
+      const worker = state.active_workers[workerId];
+      if (!worker) return false;
+
+      emit('worker_status_changed', {
+        workerId,
+        updates: { progress: { ...worker.progress, ...progress } }
+      });
+      return true;
+    });
+  }
+
+  /**
+   * Hand a worker's finished worktree to the coordinator for merging. A
+   * worktree whose merge conflicted or failed can be submitted again once
+   * the worker has sorted it out. Returns false if the worker has no
+   * worktree to submit.
+   */
+  async submitWorktree({ workerId }) {
+    return await this.store.update((state, emit) => {
+      const worktree = (state.worktrees || {})[workerId];
+      if (!worktree || !['active', 'conflict', 'failed'].includes(worktree.status)) return false;
+
+      emit('worktree_submitted', { workerId, at: new Date().toISOString() });
+      return true;
+    });
+  }
+
+  /**
+   * Take a lease on a file or pattern unless another worker holds a live
+   * lock that conflicts with it, or queued an earlier request that does.
+   * Shared locks coexist with each other; a refused request is recorded in
+   * `lock_waits`. Expired leases on the same key are reclaimed on the spot.
+   * Throws an `ESCOPE` error for keys outside the worker's scope unless
+   * `override` is set (see `checkScope`). With `queue: false` a refused
+   * request is not recorded, for one-off attempts nobody will retry.
+   * `ttl` overrides the lease term for this lock.
+   */
+  async acquireLock({ workerId, file, mode = 'exclusive', override = false, queue = true, ttl = this.options.lockTTL }) {
+    checkLockMode(mode);
+    file = this.normalizeKey(file);
+
+    const result = await this.store.update((state, emit) => {
+      const now = Date.now();
+      const position = getQueuePosition(state, workerId, { key: file });
+
+      // Retries of a queued request were checked when it was queued
+      const rejected = position === Infinity && this.checkScope(state, emit, workerId, [file], override, now);
+      if (rejected) return { rejected };
+
+      if (this.findBlocker(state, workerId, [file], mode, position, now)) {
+        if (queue) this.queueRequest(emit, workerId, [file], mode, undefined, now);
+        return false;
+      }
+
+      this.grantLock(state, emit, workerId, file, mode, now, ttl);
+      return true;
+    });
+
+    if (result.rejected) throw scopeError(workerId, result.rejected);
+    if (result === true && mode === 'exclusive') await this.trackChanges('capture', workerId, [file]);
+    return result;
+  }
+
+  /**
+   * Lock a set of files all-or-nothing. Either every lock is granted at
+   * once, or the request joins the FIFO queue without taking any of them.
+   * Queued requests are granted as soon as they reach the front, announced
+   * by a `lock_request_granted` event; the waiter retries with the same
+   * `request` id to keep its place in the queue.
+   */
+  async acquireLocks({ workerId, files, mode = 'exclusive', request, override = false }) {
+    checkLockMode(mode);
+    request = request || `lock_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    files = [...new Set(files.map(file => this.normalizeKey(file)))];
+
+    const result = await this.store.update((state, emit) => {
+      const now = Date.now();
+      const position = getQueuePosition(state, workerId, { request });
+
+      const rejected = position === Infinity && this.checkScope(state, emit, workerId, files, override, now);
+      if (rejected) return { rejected };
+
+      const blockedBy = this.findBlocker(state, workerId, files, mode, position, now);
+
+      if (blockedBy) {
+        this.queueRequest(emit, workerId, files, mode, request, now);
+        return { granted: false, request, blockedBy };
+      }
+
+      for (const file of files) {
+        this.grantLock(state, emit, workerId, file, mode, now);
+      }
+      return { granted: true, request };
+    });
+
+    if (result.rejected) throw scopeError(workerId, result.rejected);
+    if (result.granted && mode === 'exclusive') await this.trackChanges('capture', workerId, files);
+    return result;
+  }
+
+  /**
+   * Release a worker's locks on the given keys, withdrawing any requests
+   * it still has queued for them, and grant queued requests this unblocks
+   */
+  async releaseLocks({ workerId, files }) {
+    files = files.map(file => this.normalizeKey(file));
+
+    // Before the next holder can touch them
+    await this.trackChanges('settle', workerId, files);
+
+    return await this.store.update((state, emit) => {
+      const released = [];
+
+      for (const file of files) {
+        if (isHeldBy(state.file_locks[file], workerId)) {
+          emit('lock_released', { filePath: file, workerId });
+          released.push(file);
+        }
+
+        if ((state.lock_waits || []).some(wait => wait.workerId === workerId && wait.key === file)) {
+          emit('lock_wait_ended', { workerId, key: file });
+        }
+      }
+
+      this.settleReleaseRequests(state, emit, Date.now());
+      this.grantQueued(state, emit, Date.now());
+      return released;
+    });
+  }
+
+  /**
+   * Release a lock by hand (`claude-coord unlock`). Only holders that are
+   * no longer live workers (unregistered, stale, or with an expired lease)
+   * are released unless `force` is set; `workerId` limits it to one holder.
+   * Checked and released in one update, so nobody renews in between.
+   */
+  async unlockLock({ file, workerId = null, force = false }) {
+    file = this.normalizeKey(file);
+
+    return await this.store.update((state, emit) => {
+      const now = Date.now();
+      const holders = getLockHolders(state.file_locks[file])
+        .filter(holder => !workerId || holder.workerId === workerId);
+
+      if (holders.length === 0) {
+        return { success: false, key: file, released: [], error: `${file} is not locked${workerId ? ` by ${workerId}` : ''}` };
+      }
+
+      const live = holders.filter(holder => {
+        const worker = state.active_workers[holder.workerId];
+        return worker && worker.status !== 'stale' && !isLeaseExpired(holder, now);
+      });
+
+      if (live.length > 0 && !force) {
+        return {
+          success: false,
+          key: file,
+          released: [],
+          error: `${file} is held by live worker ${live.map(holder => holder.workerId).join(', ')} (use --force to release it anyway)`
+        };
+      }
+
+      for (const holder of holders) {
+        emit('lock_released', { filePath: file, workerId: holder.workerId });
+      }
+
+      this.settleReleaseRequests(state, emit, now);
+      this.grantQueued(state, emit, now);
+      return { success: true, key: file, released: holders.map(holder => holder.workerId), forced: live.map(holder => holder.workerId) };
+    });
+  }
+
+  /**
+   * Ask the worker holding a lock that blocks `key` to release it at its
+   * next safe point. Only a group with a higher priority (a lower `priority`
+   * number) than the holder's may ask. Returns `{ success, request }`, or
+   * `{ success: false, error }` when there is nothing to ask for.
+   */
+  async requestRelease({ workerId, key, mode = 'exclusive', reason = null }) {
+    checkLockMode(mode);
+    key = this.normalizeKey(key);
+
+    return await this.store.update((state, emit) => {
+      const now = Date.now();
+      const conflict = findConflictingLock(state, key, workerId, { mode, now });
+
+      if (!conflict) {
+        return { success: false, error: `${key} is not locked by another worker` };
+      }
+
+      const existing = (state.release_requests || []).find(entry => entry.status === 'pending' &&
+        entry.key === conflict.key && entry.holder === conflict.owner && entry.requester === workerId);
+
+      if (existing) {
+        return { success: true, request: existing };
+      }
+
+      if (getGroupPriority(state, workerId) >= getGroupPriority(state, conflict.owner)) {
+        return { success: false, error: `${conflict.owner} has the same or a higher priority than ${workerId}` };
+      }
+
+      const { forceReleaseAfter } = this.options;
+      emit('release_requested', {
+        id: `release_${now.toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+        key: conflict.key,
+        holder: conflict.owner,
+        requester: workerId,
+        reason,
+        at: new Date(now).toISOString(),
+        deadline: forceReleaseAfter ? new Date(now + forceReleaseAfter).toISOString() : null
+      });
+
+      return { success: true, request: state.release_requests[state.release_requests.length - 1] };
+    });
+  }
+
+  /**
+   * Release the locks of holders that let a release request run past its
+   * deadline, and hand them to the queued requests. Returns the forced
+   * requests.
+   */
+  async forceOverdueReleases() {
+    return await this.store.update((state, emit) => {
+      const now = Date.now();
+      this.settleReleaseRequests(state, emit, now);
+
+      const overdue = (state.release_requests || []).filter(request =>
+        request.status === 'pending' && request.deadline && new Date(request.deadline).getTime() <= now
+      );
+
+      for (const request of overdue) {
+        emit('lock_released', { filePath: request.key, workerId: request.holder });
+        emit('release_request_resolved', { id: request.id, outcome: 'forced', at: new Date(now).toISOString() });
+      }
+
+      this.grantQueued(state, emit, now);
+      return overdue;
+    });
+  }
+
+  /**
+   * Close pending release requests that no longer apply: the holder let go
+   * of the lock, or the requester stopped waiting for it
+   */
+  settleReleaseRequests(state, emit, now) {
+    for (const request of state.release_requests || []) {
+      if (request.status !== 'pending') continue;
+
+      const stillWaiting = (state.lock_waits || []).some(wait => wait.workerId === request.requester &&
+        !isLeaseExpired(wait, now) && locksOverlap(wait.key, request.key));
+      const outcome = !isHeldBy(state.file_locks[request.key], request.holder) ? 'released' :
+        (!stillWaiting ? 'withdrawn' : null);
+
+      if (outcome) {
+        emit('release_request_resolved', { id: request.id, outcome, at: new Date(now).toISOString() });
+      }
+    }
+  }
+
+  /**
+   * Grant every queued batch request that has become grantable, in queue
+   * order. Returns the granted requests as `{ workerId, request, files, mode }`.
+   */
+  async grantQueuedRequests() {
+    return await this.store.update((state, emit) => this.grantQueued(state, emit, Date.now()));
+  }
+
+  grantQueued(state, emit, now) {
+    const granted = [];
+    const waits = (state.lock_waits || []).filter(wait => wait.request && !isLeaseExpired(wait, now));
+    const requests = [...new Set(waits.map(wait => wait.request))];
+
+    for (const request of requests) {
+      // Earlier grants in this pass rewrite the queue
+      const entries = state.lock_waits.filter(wait => wait.request === request);
+      if (entries.length === 0) continue;
+
+      const { workerId, mode } = entries[0];
+      const files = entries.map(wait => wait.key);
+      const position = getQueuePosition(state, workerId, { request });
+
+      if (this.findBlocker(state, workerId, files, mode, position, now)) continue;
+
+      for (const file of files) {
+        this.grantLock(state, emit, workerId, file, mode, now);
+      }
+      emit('lock_request_granted', { workerId, request, files, mode, at: new Date(now).toISOString() });
+      granted.push({ workerId, request, files, mode });
+    }
+
+    return granted;
+  }
+
+  /**
+   * Record every key a worker may not lock under the state's
+   * `file_protection` rules. Under the `enforce` policy the violations are
+   * returned unless the request carries an explicit `override`; `warn` and
+   * overridden requests only leave the record.
+   */
+  checkScope(state, emit, workerId, files, override, now) {
+    const violations = files.map(file => findScopeViolation(state, workerId, file)).filter(Boolean);
+    if (violations.length === 0) return null;
+
+    const enforced = state.file_protection.group_scope === 'enforce';
+    const action = !enforced ? 'allowed' : (override ? 'overridden' : 'rejected');
+
+    for (const violation of violations) {
+      emit('lock_scope_violation', { workerId, ...violation, action, at: new Date(now).toISOString() });
+    }
+
+    return action === 'rejected' ? violations : null;
+  }
+
+  /**
+   * Hand granted or released write locks to the change tracker. The files
+   * are read before the caller hears back, so the worker can't have changed
+   * them yet (or the next holder already). Tracking failures never fail the
+   * lock operation.
+   */
+  async trackChanges(action, workerId, keys) {
+    const tracker = this.options.changeTracker;
+    if (!tracker) return;
+
+    try {
+      if (action === 'capture') await tracker.capture(await this.store.read(), workerId, keys);
+      else await tracker.settle(workerId, keys);
+    } catch (error) {
+      console.warn(`⚠️  Could not track changes to ${keys.join(', ')}: ${error.message}`);
+    }
+  }
+
+  normalizeKey(key) {
+    // A path inside a worker's worktree locks the same file of the project
+    return normalizeLockKey(key, this.options.projectRoot).replace(WORKTREE_KEY_PREFIX, '');
+  }
+
+  /**
+   * First live lock or earlier queued request that keeps a worker from
+   * taking all of `files` in `mode`, or null
+   */
+  findBlocker(state, workerId, files, mode, position, now) {
+    for (const file of files) {
+      const heldMode = getHeldMode(state, workerId, file, now);
+      if (heldMode === 'exclusive' || heldMode === mode) continue;
+
+      const conflict = findConflictingLock(state, file, workerId, { mode, now }) ||
+        findQueuedRequest(state, file, workerId, { mode, now, before: position });
+      if (conflict) return conflict;
+    }
+
+    return null;
+  }
+
+  queueRequest(emit, workerId, files, mode, request, now) {
+    for (const file of files) {
+      emit('lock_wait_started', {
+        workerId,
+        key: file,
+        mode,
+        request,
+        at: new Date(now).toISOString(),
+        expires_at: new Date(now + this.options.lockTTL).toISOString()
+      });
+    }
+  }
+
+  grantLock(state, emit, workerId, file, mode, now, ttl = this.options.lockTTL) {
+    const heldMode = getHeldMode(state, workerId, file, now);
+
+    // Already held at least as strongly
+    if (heldMode === 'exclusive' || heldMode === mode) {
+      if (getQueuePosition(state, workerId, { key: file }) !== Infinity) {
+        emit('lock_wait_ended', { workerId, key: file });
+      }
+      return;
+    }
+
+    for (const holder of getLockHolders(state.file_locks[file])) {
+      if (holder.workerId !== workerId && isLeaseExpired(holder, now)) {
+        emit('lock_expired', {
+          filePath: file,
+          workerId: holder.workerId,
+          expired_at: holder.expires_at,
+          at: new Date(now).toISOString()
+        });
+      }
+    }
+
+    // Upgrading our own shared lock once the other readers have drained
+    if (heldMode === 'shared') {
+      emit('lock_released', { filePath: file, workerId });
+    }
+
+    emit('lock_acquired', { filePath: file, workerId, lease: createLease(workerId, ttl, now, mode) });
+  }
+}
+
+/**
+ * Priority of a worker's group; 1 is the most important. Groups without
+ * one rank below every prioritized group.
+ */
+function getGroupPriority(state, workerId) {
+  const worker = state.active_workers[workerId];
+  const group = worker && (state.dependencies || {})[worker.group];
+  return (group && group.priority) || Infinity;
+}
+
+function scopeError(workerId, violations) {
+  const details = violations.map(({ key, reason, group, pattern }) => (reason === 'excluded' ?
+    `${key} is protected by ${pattern}` :
+    `${key} is outside the files of ${group}`)).join('; ');
+
+  const error = new Error(`${workerId} may not lock ${details}`);
+  error.code = 'ESCOPE';
+  error.violations = violations;
+  return error;
+}
+
+function checkLockMode(mode) {
+  if (!LOCK_MODES.includes(mode)) {
+    throw new Error(`Unknown lock mode: ${mode}`);
+  }
+}
+
+/**
+ * Mode in which a worker holds a live lock on a key, or null
+ */
+function getHeldMode(state, workerId, file, now) {
+  const lock = state.file_locks[file];
+  const ownLease = getLockHolders(lock).find(holder => holder.workerId === workerId);
+  return ownLease && !isLeaseExpired(ownLease, now) ? getLockMode(lock) : null;
+}
+
+module.exports = CoordinationAPI;
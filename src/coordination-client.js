@@ -0,0 +1,152 @@
+/**
+ * Coordination Client
+ * Talks to the running coordinator over its IPC socket (see ipc-server.js)
+ */
+
+const net = require('net');
+const EventEmitter = require('events');
+const CoordinatorDiscovery = require('./coordinator-discovery');
+const { readMessages } = require('./ipc-server');
+
+class CoordinationClient extends EventEmitter {
+  constructor(socketPath, options = {}) {
+    super();
+
+    this.socketPath = socketPath;
+    this.socket = null;
+    this.connected = false;
+    this.nextId = 1;
+    this.pending = new Map();
+
+    this.options = {
+      requestTimeout: 10000,
+      ...options
+    };
+  }
+
+  /**
+   * Connect to the coordinator running for a project, or return null when
+   * none is reachable so callers can fall back to file-based coordination
+   */
+  static async connectTo(coordinationDir, { subscribe = false } = {}) {
+    const info = await new CoordinatorDiscovery(coordinationDir).find();
+    if (!info || !info.socket) return null;
+
+    const client = new CoordinationClient(info.socket);
+
+    try {
+      await client.connect();
+      if (subscribe) await client.request('subscribe');
+      return client;
+    } catch (error) {
+      client.close();
+      return null;
+    }
+  }
+
+  async connect() {
+    await new Promise((resolve, reject) => {
+      this.socket = net.createConnection(this.socketPath);
+      this.socket.once('connect', resolve);
+      this.socket.once('error', reject);
+    });
+
+    this.connected = true;
+    this.socket.on('error', () => {});
+    this.socket.on('close', () => this.handleClose());
+
+    readMessages(this.socket, message => this.handleMessage(message));
+  }
+
+  handleMessage(message) {
+    if (message.event) {
+      this.emit('event', message.event);
+      return;
+    }
+
+    const request = this.pending.get(message.id);
+    if (!request) return;
+
+    this.pending.delete(message.id);
+    clearTimeout(request.timer);
+
+    if (message.error) {
+      const error = new Error(message.error.message);
+      error.code = message.error.code;
+      request.reject(error);
+    } else {
+      request.resolve(message.result);
+    }
+  }
+
+  handleClose() {
+    if (!this.connected) return;
+    this.connected = false;
+
+    for (const request of this.pending.values()) {
+      clearTimeout(request.timer);
+      const error = new Error('Coordinator connection lost');
+      error.code = 'ECOORDLOST';
+      request.reject(error);
+    }
+    this.pending.clear();
+
+    this.emit('disconnected');
+  }
+
+  /**
+   * Call a coordination API method on the coordinator
+   */
+  request(method, params = {}) {
+    if (!this.connected) {
+      const error = new Error('Not connected to coordinator');
+      error.code = 'ECOORDLOST';
+      return Promise.reject(error);
+    }
+
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Coordinator request timed out: ${method}`));
+      }, this.options.requestTimeout);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.socket.write(`${JSON.stringify({ id, method, params })}\n`);
+    });
+  }
+
+  /**
+   * Wait for a pushed event matching the predicate. Resolves with the event,
+   * or null after the timeout or if the connection drops.
+   */
+  waitForEvent(predicate, timeout) {
+    return new Promise((resolve) => {
+      const finish = (event) => {
+        clearTimeout(timer);
+        this.off('event', onEvent);
+        this.off('disconnected', onClose);
+        resolve(event);
+      };
+      const onEvent = (event) => {
+        if (predicate(event)) finish(event);
+      };
+      const onClose = () => finish(null);
+      const timer = setTimeout(() => finish(null), timeout);
+
+      this.on('event', onEvent);
+      this.on('disconnected', onClose);
+    });
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.end();
+      this.socket.destroy();
+    }
+    this.handleClose();
+  }
+}
+
+module.exports = CoordinationClient;
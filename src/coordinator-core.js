@@ -4,11 +4,28 @@
  */
 
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
 const EventEmitter = require('events');
 const chalk = require('chalk');
-const { logCoordinator, logError, logPerformance } = require('./development-logger');
+const { getLogger, logCoordinator, logError, logPerformance } = require('./development-logger');
 const WebDashboard = require('./web-dashboard');
+const { StateStore, isProcessAlive } = require('./state-store');
+const EventJournal = require('./event-journal');
+const { createHeartbeat } = require('./coordinator-heartbeat');
+const CoordinatorPidFile = require('./coordinator-pidfile');
+const CoordinatorDiscovery = require('./coordinator-discovery');
+const CoordinationAPI = require('./coordination-api');
+const { IPCServer, getSocketPath } = require('./ipc-server');
+const { ensureAuthToken } = require('./auth-token');
+const { STATE_SCHEMA_VERSION, migrateState } = require('./state-schema');
+const { LOCK_FREEING_EVENTS, SCOPE_POLICIES, findConflictingLock, findQueuedRequest, getQueuePosition, getLockHolders, getLockMode, locksOverlap, normalizeLockKey, getLocksHeldBy, findExpiredLeases, isLeaseExpired } = require('./lock-manager');
+const { DEADLOCK_POLICIES, findDeadlocks, chooseVictim } = require('./deadlock-detector');
+const { ChangeWatcher } = require('./change-watcher');
+const { BackupManager } = require('./backup-manager');
+const { ChangeTracker } = require('./change-tracker');
+const { WorktreeManager, checkWorkerId, findMergeBlockers } = require('./worktree-manager');
+const { version } = require('../package.json');
 
 class CoordinatorCore extends EventEmitter {
   constructor(projectRoot, options = {}) {
@@ -18,21 +35,57 @@ class CoordinatorCore extends EventEmitter {
     this.coordinationDir = path.join(projectRoot, '.claude-coord');
     this.stateFile = path.join(this.coordinationDir, 'system-state.json');
     this.messagesFile = path.join(this.coordinationDir, 'messages.json');
+    this.journal = new EventJournal(this.coordinationDir);
+    this.pidFile = new CoordinatorPidFile(this.coordinationDir);
+    this.discovery = new CoordinatorDiscovery(this.coordinationDir);
     
     this.options = {
       port: 7777,
+      host: '127.0.0.1',          // Dashboard address; remote workers need one they can reach
       mode: 'prod',
       maxWorkers: 6,
       heartbeatInterval: 15000,
       staleWorkerTimeout: 60000,
+      lockTTL: 60000,             // Lock leases expire unless their holder's heartbeat renews them
+      compactionInterval: 300000, // Snapshot the event journal every 5 minutes
+      fresh: false,               // Discard any existing session state on start
+      detached: false,            // Running in the background, logging to .claude-coord/logs
+      ipc: true,                  // Serve workers over a local socket (file-based mode remains the fallback)
+      flushInterval: 250,         // Debounce between state file writes while running
+      deadlockCheckInterval: 5000,
+      deadlockPolicy: 'youngest', // Which worker in a lock wait cycle backs off (see deadlock-detector)
+      forceReleaseAfter: 120000,  // Release requests escalate to a forced release after this; null never forces
+      fileWatching: true,         // Flag file changes made without the covering lock (also features.file_watching)
+      worktrees: false,           // Give every worker its own git worktree and branch, merged back in dependency order
       ...options
     };
 
+    if (!DEADLOCK_POLICIES[this.options.deadlockPolicy]) {
+      throw new Error(`Unknown deadlock policy: ${this.options.deadlockPolicy} (expected ${Object.keys(DEADLOCK_POLICIES).join(', ')})`);
+    }
+
+    this.store = new StateStore(this.stateFile, {
+      journal: this.journal,
+      validate: true,
+      flushInterval: this.options.flushInterval
+    });
+
     this.isRunning = false;
     this.workers = new Map();
     this.fileLocks = new Map();
     this.messageQueue = [];
-    this.webDashboard = new WebDashboard(this, this.options.port);
+    this.webDashboard = new WebDashboard(this, this.options.port, this.options.host);
+    this.changes = new ChangeTracker(projectRoot);
+    this.api = new CoordinationAPI(this.store, {
+      lockTTL: this.options.lockTTL,
+      forceReleaseAfter: this.options.forceReleaseAfter,
+      changeTracker: this.changes,
+      projectRoot
+    });
+    this.ipcServer = null;
+    this.backups = new BackupManager(projectRoot);
+    this.worktrees = new WorktreeManager(projectRoot);
+    this.worktreeQueue = Promise.resolve();
     
     console.log(`🤖 Coordinator initialized for: ${path.basename(projectRoot)}`);
   }
@@ -42,11 +95,14 @@ class CoordinatorCore extends EventEmitter {
    */
   async initializeSystem() {
     await fs.ensureDir(this.coordinationDir);
+    const fileProtection = await this.loadFileProtection();
+    const isolation = await this.loadIsolation();
     
     const initialState = {
+      schema_version: STATE_SCHEMA_VERSION,
       system_info: {
         initialized_at: new Date().toISOString(),
-        version: '1.0.0',
+        version,
         project_root: this.projectRoot,
         max_workers: this.options.maxWorkers,
         coordination_mode: 'file_based',
@@ -54,7 +110,10 @@ class CoordinatorCore extends EventEmitter {
       },
       active_workers: {},
       file_locks: {},
+      lock_waits: [],
       dependencies: await this.loadDependencies(),
+      ...(fileProtection && { file_protection: fileProtection }),
+      ...(isolation && { isolation, worktrees: {} }),
       task_progress: {
         total_groups: 0,
         completed_groups: 0,
@@ -63,29 +122,191 @@ class CoordinatorCore extends EventEmitter {
       messages: []
     };
 
-    await this.saveSystemState(initialState);
+    await this.store.write(initialState);
     console.log(`✅ System state initialized at ${this.stateFile}`);
     
     return initialState;
   }
 
+  /**
+   * Check whether a previous session left state (or a journal) behind
+   */
+  async hasRecoverableState() {
+    return await this.store.exists() || await fs.pathExists(this.journal.eventsFile);
+  }
+
+  /**
+   * Recover a previous session after a coordinator crash or restart.
+   * Workers whose heartbeat is still fresh are adopted together with their
+   * locks; dead workers and locks without a live owner are released.
+   */
+  async recoverSystem() {
+    let state;
+    
+    try {
+      const migration = await this.store.migrate();
+      if (migration.migrated) {
+        console.log(chalk.blue(`📦 Migrated system state from schema v${migration.from} to v${migration.to}`));
+      }
+      
+      state = await this.store.read();
+    } catch (error) {
+      console.warn(`⚠️  System state unreadable (${error.message}), replaying journal...`);
+      state = await this.journal.replay();
+      
+      if (!state) {
+        console.warn('⚠️  No journal to recover from, initializing fresh state');
+        await this.initializeSystem();
+        return { recovered: false, adopted: [], removed: [], releasedLocks: [] };
+      }
+      
+      migrateState(state);
+      await this.store.write(state);
+    }
+    
+    const previousPid = state.system_info?.coordinator_pid;
+    if (previousPid && previousPid !== process.pid && isProcessAlive(previousPid)) {
+      throw new Error(`Another coordinator (pid ${previousPid}) is already running for this project`);
+    }
+    
+    const dependencies = await this.loadDependencies();
+    const fileProtection = await this.loadFileProtection();
+    const isolation = await this.loadIsolation();
+    
+    const summary = await this.store.update((currentState, emit) => {
+      const now = Date.now();
+      const adopted = [];
+      const removed = [];
+      const releasedLocks = [];
+      
+      emit('coordinator_recovered', {
+        pid: process.pid,
+        previousPid: previousPid || null,
+        at: new Date().toISOString(),
+        dependencies,
+        fileProtection,
+        isolation
+      });
+      
+      for (const [workerId, worker] of Object.entries(currentState.active_workers)) {
+        const heartbeatAge = now - new Date(worker.last_heartbeat).getTime();
+        // A networked worker's pid belongs to its own host
+        const processGone = worker.pid && worker.host === os.hostname() && !isProcessAlive(worker.pid);
+        
+        if (heartbeatAge > this.options.staleWorkerTimeout || processGone) {
+          releasedLocks.push(...this.getWorkerLocks(currentState, workerId));
+          emit('worker_removed', { workerId });
+          removed.push(workerId);
+        } else {
+          adopted.push(workerId);
+        }
+      }
+      
+      // Locks whose owner is no longer registered would block forever
+      for (const [filePath, lock] of Object.entries(currentState.file_locks)) {
+        for (const { workerId } of getLockHolders(lock)) {
+          if (!currentState.active_workers[workerId]) {
+            emit('lock_released', { filePath, workerId });
+            releasedLocks.push(filePath);
+          }
+        }
+      }
+      
+      return { recovered: true, previousPid, adopted, removed, releasedLocks };
+    });
+    
+    // The previous coordinator's snapshots went with it
+    summary.untracked = this.changes.findUntracked(await this.loadSystemState());
+    
+    console.log(chalk.green(`♻️  Recovered previous session: ${summary.adopted.length} workers adopted, ${summary.removed.length} removed`));
+    if (summary.releasedLocks.length > 0) {
+      console.log(chalk.yellow(`🔓 Released ${summary.releasedLocks.length} orphaned locks: ${summary.releasedLocks.join(', ')}`));
+    }
+    if (summary.untracked.length > 0) {
+      console.log(chalk.yellow(`⚠️  Changes under ${summary.untracked.length} adopted write locks won't be recorded: ${summary.untracked.map(hold => `${hold.key} (${hold.workerId})`).join(', ')}`));
+    }
+    
+    await logCoordinator('System Recovered', {
+      description: `Adopted existing session state from coordinator pid ${previousPid || 'unknown'}`,
+      result: 'SUCCESS',
+      files: summary.releasedLocks,
+      notes: `Adopted: ${summary.adopted.join(', ') || 'none'}; Removed: ${summary.removed.join(', ') || 'none'}; Changes not recorded under: ${summary.untracked.map(hold => hold.key).join(', ') || 'none'}`
+    });
+    
+    return summary;
+  }
+
   /**
    * Load project dependencies configuration
    */
   async loadDependencies() {
+    const config = await this.loadProjectConfig();
+    if (config) return config.groups || {};
+
+    // Return default dependencies based on project type
+    return this.getDefaultDependencies();
+  }
+
+  /**
+   * Lock scope and backup rules from `rules.file_protection` in
+   * claude-coord.json. Projects without a config (running on the default
+   * groups) get none.
+   */
+  async loadFileProtection() {
+    const config = await this.loadProjectConfig();
+    if (!config) return null;
+    
+    const protection = (config.rules && config.rules.file_protection) || {};
+    // Existing configs may lock outside their groups, so enforcing is opt-in
+    let groupScope = protection.group_scope || 'warn';
+    
+    if (!SCOPE_POLICIES.includes(groupScope)) {
+      console.warn(`⚠️  Unknown group_scope "${groupScope}" in claude-coord.json, only recording scope violations`);
+      groupScope = 'warn';
+    }
+    
+    return {
+      group_scope: groupScope,
+      exclude_patterns: (protection.exclude_patterns || []).map(pattern => normalizeLockKey(pattern)),
+      backup_before_modify: protection.backup_before_modify !== false && (config.features || {}).auto_backup !== false
+    };
+  }
+
+  /**
+   * Worktree isolation settings when the coordinator runs with `worktrees`:
+   * merges go into the branch the project's working copy has checked out
+   */
+  async loadIsolation() {
+    if (!this.options.worktrees) return null;
+    
+    if (!(await this.worktrees.isRepository())) {
+      const error = new Error(`Worktree isolation needs a git repository: ${this.projectRoot}`);
+      error.code = 'ENOTREPO';
+      throw error;
+    }
+    
+    let baseBranch;
+    try {
+      baseBranch = await this.worktrees.currentBranch();
+    } catch (error) {
+      throw new Error('Worktree isolation needs a branch checked out in the project (HEAD is detached)');
+    }
+    
+    return { mode: 'worktree', base_branch: baseBranch };
+  }
+
+  async loadProjectConfig() {
     const configFile = path.join(this.projectRoot, 'claude-coord.json');
     
     try {
       if (await fs.pathExists(configFile)) {
-        const config = await fs.readJson(configFile);
-        return config.groups || {};
+        return await fs.readJson(configFile);
       }
     } catch (error) {
       console.warn(`⚠️  Could not load project config: ${error.message}`);
     }
-
-    // Return default dependencies based on project type
-    return this.getDefaultDependencies();
+    
+    return null;
   }
 
   /**
@@ -137,6 +358,9 @@ class CoordinatorCore extends EventEmitter {
       throw new Error('Coordinator already running');
     }
 
+    // Refuse to run next to another coordinator for the same project
+    await this.pidFile.acquire();
+    
     console.log(chalk.blue('🚀 Starting Multi-Claude Coordination System...'));
     
     await logCoordinator('Starting System', {
@@ -146,24 +370,90 @@ class CoordinatorCore extends EventEmitter {
       port: this.options.port
     });
     
-    // Initialize system state
-    await this.initializeSystem();
+    // Adopt a previous session's workers and locks unless asked to start fresh
+    try {
+      if (this.options.fresh || !(await this.hasRecoverableState())) {
+        await this.initializeSystem();
+      } else {
+        this.recovery = await this.recoverSystem();
+      }
+    } catch (error) {
+      await this.pidFile.release();
+      throw error;
+    }
+    
+    // From here on the state lives in memory and is flushed to disk in batches
+    await this.store.takeAuthority();
+    await this.changes.removeOrphanedHolds();
     
     // Start background processes
     this.isRunning = true;
+    this.startedAt = new Date().toISOString();
+    await this.publishHeartbeat();
     this.startHeartbeatMonitor();
     this.startMessageProcessor();
-    this.startFileWatcher();
+    this.startJournalCompaction();
+    this.startDeadlockDetector();
+    await this.startFileWatcher();
     
-    // Start web dashboard
+    // Hand locks freed outside the coordination API to queued requests
+    this.onStoreCommit = ({ events }) => {
+      if (events.some(event => LOCK_FREEING_EVENTS.includes(event.type))) {
+        this.scheduleLockQueue();
+        this.store.read()
+          .then(state => this.changes.settleFreed(state))
+          .catch(error => console.error('❌ Failed to record file changes:', error.message));
+      }
+      this.reportPreemptions(events).catch(error => console.error('❌ Failed to log preemption:', error.message));
+      this.reportScopeViolations(events).catch(error => console.error('❌ Failed to log scope violation:', error.message));
+      this.reportChangeViolations(events).catch(error => console.error('❌ Failed to log file change:', error.message));
+      
+      if (this.options.worktrees && events.some(event => ['worker_registered', 'worktree_submitted'].includes(event.type))) {
+        this.scheduleWorktrees();
+      }
+      
+      if (this.fileWatcher) {
+        events.filter(event => event.type === 'lock_released').forEach(event => this.fileWatcher.noteRelease(event.data.filePath, event.data.workerId));
+      }
+    };
+    this.store.on('commit', this.onStoreCommit);
+    
+    // Catch up on worktrees an earlier coordinator left to create or merge
+    if (this.options.worktrees) this.scheduleWorktrees();
+    
+    // Start web dashboard (also serves networked workers on /api/rpc)
+    this.authToken = await ensureAuthToken(this.coordinationDir);
     await this.webDashboard.start();
     
+    // Serve registration, locks and status over IPC and push state events
+    if (this.options.ipc) {
+      this.ipcServer = new IPCServer(this.api, this.store, getSocketPath(this.coordinationDir));
+      await this.ipcServer.start();
+    }
+    
+    // Let the CLI, monitor and workers find this coordinator without a port
+    const address = this.webDashboard.server.address();
+    this.port = address ? address.port : this.options.port;
+    const dashboardUrl = `http://localhost:${this.port}`;
+    
+    await this.discovery.write({
+      pid: process.pid,
+      port: this.port,
+      dashboard_url: dashboardUrl,
+      socket: this.ipcServer ? this.ipcServer.socketPath : null,
+      project_root: this.projectRoot,
+      version,
+      started_at: this.startedAt,
+      detached: this.options.detached,
+      log_file: this.options.detached ? this.discovery.logFile : null
+    });
+    
     console.log(chalk.green('✅ Coordinator started successfully'));
-    console.log(chalk.blue(`📊 Dashboard: http://localhost:${this.options.port}`));
+    console.log(chalk.blue(`📊 Dashboard: ${dashboardUrl}`));
     
     await logCoordinator('System Started', {
       result: 'SUCCESS',
-      dashboardUrl: `http://localhost:${this.options.port}`,
+      dashboardUrl,
       notes: 'Coordination system fully operational'
     });
     
@@ -172,10 +462,11 @@ class CoordinatorCore extends EventEmitter {
   }
 
   /**
-   * Stop coordination system
+   * Stop coordination system. Returns a shutdown report listing the workers
+   * and locks that were drained, which is also left on disk for `claude-coord stop`.
    */
-  async stop() {
-    if (!this.isRunning) return;
+  async stop({ reason = 'stop' } = {}) {
+    if (!this.isRunning) return null;
 
     console.log(chalk.yellow('🛑 Stopping coordination system...'));
     
@@ -184,47 +475,100 @@ class CoordinatorCore extends EventEmitter {
     // Clear all timers
     if (this.heartbeatTimer) clearInterval(this.heartbeatTimer);
     if (this.messageTimer) clearInterval(this.messageTimer);
-    if (this.fileWatcher) this.fileWatcher.close();
+    if (this.compactionTimer) clearInterval(this.compactionTimer);
+    if (this.deadlockTimer) clearInterval(this.deadlockTimer);
+    if (this.onStoreCommit) this.store.off('commit', this.onStoreCommit);
+    if (this.fileWatcher) await this.fileWatcher.close();
+    
+    // Let a merge in progress finish rather than leave the working copy mid-merge
+    await this.worktreeQueue;
     
     // Stop web dashboard
     if (this.webDashboard) await this.webDashboard.stop();
     
-    // Stop all workers
+    // Stop all workers (picking up any changes written to the file by other processes)
+    await this.store.flush();
+    const state = await this.loadSystemState();
     await this.stopAllWorkers();
     
+    // The drained locks were freed with the commit handler detached
+    try {
+      await this.changes.settleFreed(await this.loadSystemState());
+    } catch (error) {
+      console.error('❌ Failed to record file changes:', error.message);
+    }
+    
+    // Tell workers the coordinator went away on purpose
+    const stoppedAt = new Date().toISOString();
+    await this.updateSystemState((currentState, emit) => {
+      emit('coordinator_stopped', { at: stoppedAt });
+    });
+    
+    if (this.ipcServer) {
+      await this.ipcServer.stop();
+      this.ipcServer = null;
+    }
+    
+    await this.store.relinquishAuthority();
+    
+    const report = {
+      pid: process.pid,
+      reason,
+      started_at: this.startedAt,
+      stopped_at: stoppedAt,
+      drained: {
+        workers: Object.entries(state.active_workers).map(([id, worker]) => ({
+          id,
+          group: worker.group,
+          status: worker.status
+        })),
+        locks: Object.keys(state.file_locks)
+      }
+    };
+    
+    await this.pidFile.writeShutdownReport(report);
+    await this.discovery.remove();
+    await this.pidFile.release();
+    
+    await logCoordinator('System Stopped', {
+      result: 'SUCCESS',
+      notes: `Reason: ${reason}, drained ${report.drained.workers.length} workers and ${report.drained.locks.length} file locks`
+    });
+    
     console.log(chalk.green('✅ Coordinator stopped'));
-    this.emit('stopped');
+    this.emit('stopped', report);
+    return report;
   }
 
   /**
    * Register a new worker
    */
   async registerWorker(workerId, groupId, metadata = {}) {
-    const state = await this.loadSystemState();
+    await checkWorkerId(workerId);
     
-    if (state.active_workers[workerId]) {
-      throw new Error(`Worker ${workerId} already registered`);
-    }
-
-    const workerInfo = {
-      id: workerId,
-      group: groupId,
-      status: 'initializing',
-      started_at: new Date().toISOString(),
-      last_heartbeat: new Date().toISOString(),
-      current_files: [],
-      metadata,
-      progress: {
-        total_tasks: 0,
-        completed_tasks: 0,
-        current_task: null
+    const workerInfo = await this.updateSystemState((state, emit) => {
+      if (state.active_workers[workerId]) {
+        throw new Error(`Worker ${workerId} already registered`);
       }
-    };
 
-    state.active_workers[workerId] = workerInfo;
-    state.task_progress.active_groups++;
-    
-    await this.saveSystemState(state);
+      const worker = {
+        id: workerId,
+        group: groupId,
+        status: 'initializing',
+        started_at: new Date().toISOString(),
+        last_heartbeat: new Date().toISOString(),
+        current_files: [],
+        metadata,
+        progress: {
+          total_tasks: 0,
+          completed_tasks: 0,
+          current_task: null
+        }
+      };
+
+      emit('worker_registered', { workerId, worker });
+      return state.active_workers[workerId];
+    });
     
     console.log(chalk.green(`👥 Worker registered: ${workerId} (${groupId})`));
     this.emit('worker:registered', workerInfo);
@@ -236,58 +580,248 @@ class CoordinatorCore extends EventEmitter {
    * Update worker status
    */
   async updateWorkerStatus(workerId, updates) {
-    const state = await this.loadSystemState();
-    
-    if (!state.active_workers[workerId]) {
-      throw new Error(`Worker ${workerId} not found`);
-    }
+    const worker = await this.updateSystemState((state, emit) => {
+      if (!state.active_workers[workerId]) {
+        throw new Error(`Worker ${workerId} not found`);
+      }
 
-    // Update worker info
-    Object.assign(state.active_workers[workerId], {
-      ...updates,
-      last_heartbeat: new Date().toISOString()
+      // Update worker info
+      emit('worker_status_changed', {
+        workerId,
+        updates: { ...updates, last_heartbeat: new Date().toISOString() }
+      });
+      return state.active_workers[workerId];
     });
 
-    await this.saveSystemState(state);
-    this.emit('worker:updated', state.active_workers[workerId]);
+    this.emit('worker:updated', worker);
   }
 
   /**
-   * File locking system
+   * File locking system. Keys outside the worker's group scope are refused
+   * with `outOfScope` unless `override` is set. Pass a `client` connected
+   * to the running coordinator to lock through it rather than the file.
    */
-  async acquireFileLock(workerId, filePath) {
-    const state = await this.loadSystemState();
+  async acquireFileLock(workerId, filePath, mode = 'exclusive', { override = false, queue = true, ttl, client = null } = {}) {
+    filePath = normalizeLockKey(filePath, this.projectRoot);
     
-    // Check if file is already locked
-    if (state.file_locks[filePath] && state.file_locks[filePath] !== workerId) {
-      return { success: false, lockedBy: state.file_locks[filePath] };
+    if (!client && !(await this.store.exists())) {
+      await this.initializeSystem();
     }
 
-    // Acquire lock
-    state.file_locks[filePath] = workerId;
-    await this.saveSystemState(state);
+    const params = { workerId, file: filePath, mode, override, queue, ttl };
+    let acquired;
+    try {
+      acquired = client ? await client.request('lock.acquire', params) : await this.api.acquireLock(params);
+    } catch (error) {
+      if (error.code !== 'ESCOPE') throw error;
+      return { success: false, error: error.message, outOfScope: error.violations || true };
+    }
+
+    if (!acquired) {
+      const state = client ? await client.request('state.get') : await this.loadSystemState();
+      const conflict = findConflictingLock(state, filePath, workerId, { mode }) ||
+        findQueuedRequest(state, filePath, workerId, { mode, before: getQueuePosition(state, workerId, { key: filePath }) });
+      return {
+        success: false,
+        lockedBy: conflict ? conflict.owner : null,
+        lockKey: conflict ? conflict.key : null,
+        queued: Boolean(conflict && conflict.waiting) // Blocked by an earlier request rather than a held lock
+      };
+    }
     
-    console.log(`🔒 File locked: ${filePath} → ${workerId}`);
-    this.emit('file:locked', { filePath, workerId });
+    console.log(`🔒 File locked${mode === 'shared' ? ' (shared)' : ''}: ${filePath} → ${workerId}`);
+    this.emit('file:locked', { filePath, workerId, mode });
     
     return { success: true };
   }
 
+  /**
+   * Lock a set of files all-or-nothing, queueing the request if any of them
+   * is unavailable. Pass the returned `request` id to retry in place.
+   */
+  async acquireFileLocks(workerId, files, mode = 'exclusive', request, { override = false } = {}) {
+    files = files.map(file => normalizeLockKey(file, this.projectRoot));
+    
+    if (!(await this.store.exists())) {
+      await this.initializeSystem();
+    }
+
+    let result;
+    try {
+      result = await this.api.acquireLocks({ workerId, files, mode, request, override });
+    } catch (error) {
+      if (error.code !== 'ESCOPE') throw error;
+      return { success: false, error: error.message, outOfScope: error.violations };
+    }
+    
+    if (!result.granted) {
+      return { success: false, request: result.request, lockedBy: result.blockedBy.owner, lockKey: result.blockedBy.key };
+    }
+    
+    console.log(`🔒 Files locked${mode === 'shared' ? ' (shared)' : ''}: ${files.join(', ')} → ${workerId}`);
+    for (const filePath of files) {
+      this.emit('file:locked', { filePath, workerId, mode });
+    }
+    
+    return { success: true, request: result.request };
+  }
+
+  /**
+   * Grant queued lock requests after locks were freed outside the
+   * coordination API (lease expiry, worker removal, deadlock resolution).
+   * Coalesces bursts of commits into a single pass.
+   */
+  scheduleLockQueue() {
+    if (this.lockQueueScheduled) return;
+    this.lockQueueScheduled = true;
+    
+    setImmediate(async () => {
+      this.lockQueueScheduled = false;
+      if (!this.isRunning) return;
+      
+      try {
+        const granted = await this.api.grantQueuedRequests();
+        
+        for (const { workerId, files, mode } of granted) {
+          console.log(`🎫 Queued lock request granted${mode === 'shared' ? ' (shared)' : ''}: ${files.join(', ')} → ${workerId}`);
+          for (const filePath of files) {
+            this.emit('file:locked', { filePath, workerId, mode });
+          }
+        }
+      } catch (error) {
+        console.error('❌ Granting queued lock requests failed:', error.message);
+      }
+    });
+  }
+
   /**
    * Release file lock
    */
   async releaseFileLock(workerId, filePath) {
-    const state = await this.loadSystemState();
+    filePath = normalizeLockKey(filePath, this.projectRoot);
+    const released = await this.api.releaseLocks({ workerId, files: [filePath] });
     
-    if (state.file_locks[filePath] === workerId) {
-      delete state.file_locks[filePath];
-      await this.saveSystemState(state);
-      
+    if (released.length > 0) {
       console.log(`🔓 File unlocked: ${filePath} ← ${workerId}`);
       this.emit('file:unlocked', { filePath, workerId });
     }
   }
 
+  /**
+   * Release a lock by hand (`claude-coord unlock`, see
+   * CoordinationAPI.unlockLock), through `client` when one is connected to
+   * the running coordinator
+   */
+  async unlockFile(filePath, { workerId = null, force = false, client = null } = {}) {
+    const params = { file: normalizeLockKey(filePath, this.projectRoot), workerId, force };
+    const result = client ? await client.request('lock.unlock', params) : await this.api.unlockLock(params);
+    
+    if (!result.success) return result;
+    
+    for (const holder of result.released) {
+      console.log(`🔓 File unlocked: ${result.key} ← ${holder}`);
+      this.emit('file:unlocked', { filePath: result.key, workerId: holder });
+    }
+    
+    await logCoordinator('Lock Released Manually', {
+      description: 'File lock released from the command line',
+      result: result.forced.length > 0 ? 'FORCED' : 'SUCCESS',
+      files: [result.key],
+      notes: `Holders: ${result.released.join(', ')}`
+    });
+    
+    return result;
+  }
+
+  /**
+   * Locks with their holders and the requests queued behind them, in the
+   * shape printed by `claude-coord locks`. With `filePath`, only locks that
+   * cover it (`claude-coord who`). Pass a state fetched from the running
+   * coordinator to describe that instead of the state file.
+   */
+  async getLockTable(currentState = null, filePath = null) {
+    const state = currentState || await this.loadSystemState();
+    const now = Date.now();
+    const key = filePath ? normalizeLockKey(filePath, this.projectRoot) : null;
+    const waits = (state.lock_waits || []).map(wait => ({
+      workerId: wait.workerId,
+      key: wait.key,
+      mode: wait.mode,
+      since: wait.since,
+      request: wait.request || null
+    }));
+    
+    const locks = Object.entries(state.file_locks)
+      .filter(([lockKey]) => !key || locksOverlap(lockKey, key))
+      .map(([lockKey, lock]) => ({
+        key: lockKey,
+        mode: getLockMode(lock),
+        holders: getLockHolders(lock).map(holder => ({
+          workerId: holder.workerId,
+          group: (state.active_workers[holder.workerId] || {}).group || null,
+          acquired_at: holder.acquired_at,
+          expires_at: holder.expires_at,
+          held_ms: holder.acquired_at ? now - new Date(holder.acquired_at).getTime() : null,
+          expired: isLeaseExpired(holder, now)
+        })),
+        waiters: waits.filter(wait => locksOverlap(wait.key, lockKey))
+      }));
+    
+    return {
+      key,
+      locks,
+      waiters: waits.filter(wait => !key || locksOverlap(wait.key, key))
+    };
+  }
+
+  /**
+   * Roll files back from the snapshots workers took before modifying them
+   * (`claude-coord restore`). `filters` (`session`, `workerId`, `task`,
+   * `file`) select the snapshots, and each file goes back to the earliest
+   * one. Files a live worker holds a lock on are skipped unless `force` is
+   * set; `dryRun` only reports what would be restored.
+   */
+  async restoreBackups(filters, { force = false, dryRun = false, currentState = null } = {}) {
+    const file = filters.file ? normalizeLockKey(filters.file, this.projectRoot) : null;
+    const points = await this.backups.findRestorePoints({ ...filters, file });
+    
+    if (points.length === 0) {
+      return { success: false, restored: [], skipped: [], error: 'No backups match' };
+    }
+    
+    const state = currentState || await this.loadSystemState();
+    const skipped = [];
+    const restored = points.filter(point => {
+      const holder = Object.entries(state.file_locks)
+        .filter(([lockKey]) => locksOverlap(lockKey, point.file))
+        .flatMap(([, lock]) => getLockHolders(lock))
+        .find(lease => {
+          const worker = state.active_workers[lease.workerId];
+          return worker && worker.status !== 'stale' && !isLeaseExpired(lease);
+        });
+      
+      if (holder && !force) skipped.push({ file: point.file, lockedBy: holder.workerId });
+      return !holder || force;
+    });
+    
+    if (!dryRun && restored.length > 0) {
+      await this.backups.restore(restored);
+      
+      await logCoordinator('Backups Restored', {
+        description: `Rolled files back from worker backups (session ${points[0].session})`,
+        result: skipped.length > 0 ? 'PARTIAL' : 'SUCCESS',
+        files: restored.map(point => point.file),
+        notes: `Filters: ${JSON.stringify({ ...filters, file })}; skipped: ${skipped.map(entry => entry.file).join(', ') || 'none'}`
+      });
+    }
+    
+    if (restored.length === 0) {
+      return { success: false, session: points[0].session, restored, skipped, error: 'Every matching file is locked by a live worker (use --force to restore anyway)' };
+    }
+    
+    return { success: true, session: points[0].session, dryRun, restored, skipped };
+  }
+
   /**
    * Check dependencies for a worker group
    */
@@ -317,11 +851,12 @@ class CoordinatorCore extends EventEmitter {
   }
 
   /**
-   * Get system status
+   * Summarize the system state. Pass a state fetched from the running
+   * coordinator to summarize that instead of the state file.
    */
-  async getSystemStatus() {
+  async getSystemStatus(currentState = null) {
     try {
-      const state = await this.loadSystemState();
+      const state = currentState || await this.loadSystemState();
       
       return {
         healthy: true,
@@ -330,6 +865,8 @@ class CoordinatorCore extends EventEmitter {
         totalTasks: state.task_progress.total_groups,
         fileLocks: Object.keys(state.file_locks).length,
         workers: Object.values(state.active_workers),
+        changeViolations: state.change_violations || [],
+        worktrees: state.worktrees || {},
         uptime: Date.now() - new Date(state.system_info.initialized_at).getTime()
       };
     } catch (error) {
@@ -345,30 +882,48 @@ class CoordinatorCore extends EventEmitter {
    */
   async loadSystemState() {
     try {
-      const data = await fs.readFile(this.stateFile, 'utf8');
-      return JSON.parse(data);
+      return await this.store.read();
     } catch (error) {
       console.warn('⚠️  Could not load system state, initializing...');
       return await this.initializeSystem();
     }
   }
 
+  /**
+   * Save a previously loaded state. Fails with a StateConflictError if
+   * another process wrote the state since it was loaded.
+   */
   async saveSystemState(state) {
     try {
-      await fs.writeFile(this.stateFile, JSON.stringify(state, null, 2));
+      await this.store.write(state, { expectedRevision: state.revision });
     } catch (error) {
       console.error('❌ Failed to save system state:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Atomically apply a mutation to the system state
+   */
+  async updateSystemState(mutator) {
+    if (!(await this.store.exists())) {
+      console.warn('⚠️  Could not load system state, initializing...');
+      await this.initializeSystem();
+    }
+
+    return await this.store.update(mutator);
+  }
+
   /**
    * Background monitoring processes
    */
   startHeartbeatMonitor() {
     this.heartbeatTimer = setInterval(async () => {
       try {
+        await this.publishHeartbeat();
         await this.checkWorkerHealth();
+        await this.reclaimExpiredLocks();
+        await this.api.forceOverdueReleases();
       } catch (error) {
         console.error('❌ Heartbeat check failed:', error.message);
       }
@@ -377,22 +932,45 @@ class CoordinatorCore extends EventEmitter {
     console.log('💓 Heartbeat monitor started');
   }
 
+  /**
+   * Publish the coordinator heartbeat workers use to detect liveness
+   */
+  async publishHeartbeat() {
+    const heartbeat = createHeartbeat({
+      port: this.options.port,
+      interval: this.options.heartbeatInterval,
+      startedAt: this.startedAt
+    });
+    
+    await this.updateSystemState((state, emit) => {
+      emit('coordinator_heartbeat', { heartbeat });
+    });
+    
+    return heartbeat;
+  }
+
   async checkWorkerHealth() {
-    const state = await this.loadSystemState();
     const now = Date.now();
-    const staleWorkers = [];
     
-    for (const [workerId, worker] of Object.entries(state.active_workers)) {
-      const lastHeartbeat = new Date(worker.last_heartbeat).getTime();
+    // Mark stale workers without touching their heartbeat, so they stay stale
+    // (and their lock leases run out) until the worker itself reports back
+    const staleWorkers = await this.updateSystemState((state, emit) => {
+      const stale = [];
       
-      if (now - lastHeartbeat > this.options.staleWorkerTimeout) {
-        staleWorkers.push(workerId);
+      for (const [workerId, worker] of Object.entries(state.active_workers)) {
+        const lastHeartbeat = new Date(worker.last_heartbeat).getTime();
+        
+        if (worker.status !== 'stale' && now - lastHeartbeat > this.options.staleWorkerTimeout) {
+          emit('worker_status_changed', { workerId, updates: { status: 'stale' } });
+          stale.push({ workerId, worker });
+        }
       }
-    }
+      
+      return stale;
+    });
     
-    // Mark stale workers as failed
-    for (const workerId of staleWorkers) {
-      await this.updateWorkerStatus(workerId, { status: 'stale' });
+    for (const { workerId, worker } of staleWorkers) {
+      this.emit('worker:updated', { ...worker, status: 'stale' });
       // Only log stale workers internally, don't show to user unless verbose mode
       if (this.options.verbose) {
         console.log(chalk.gray(`🔇 Worker ${workerId} marked as stale (internal)`));
@@ -405,6 +983,200 @@ class CoordinatorCore extends EventEmitter {
     }
   }
 
+  /**
+   * Release locks whose lease ran out because the holder stopped renewing it,
+   * and forget lock requests nobody has retried within a lease term
+   */
+  async reclaimExpiredLocks() {
+    const reclaimed = await this.updateSystemState((state, emit) => {
+      const now = Date.now();
+      const expired = findExpiredLeases(state, now);
+      
+      for (const wait of state.lock_waits || []) {
+        if (isLeaseExpired(wait, now)) {
+          emit('lock_wait_ended', { workerId: wait.workerId, key: wait.key });
+        }
+      }
+      
+      for (const { filePath, workerId, expiredAt } of expired) {
+        emit('lock_expired', {
+          filePath,
+          workerId,
+          expired_at: expiredAt,
+          at: new Date(now).toISOString()
+        });
+      }
+      
+      return expired;
+    });
+    
+    for (const { filePath, workerId, expiredAt } of reclaimed) {
+      console.log(chalk.yellow(`⌛ Lock lease expired: ${filePath} (held by ${workerId}), reclaimed`));
+      this.emit('lock:expired', { filePath, workerId, expiredAt });
+      
+      await logCoordinator('Lock Lease Expired', {
+        description: 'Reclaimed a file lock whose lease was not renewed',
+        result: 'RECLAIMED',
+        files: [filePath],
+        notes: `Holder: ${workerId}, expired at ${expiredAt}`
+      });
+    }
+    
+    return reclaimed;
+  }
+
+  /**
+   * Periodically fold the event journal into a snapshot
+   */
+  startJournalCompaction() {
+    this.compactionTimer = setInterval(async () => {
+      try {
+        await this.store.compact();
+      } catch (error) {
+        console.error('❌ Journal compaction failed:', error.message);
+      }
+    }, this.options.compactionInterval);
+  }
+
+  /**
+   * Log release requests and their outcome, whichever process recorded them
+   */
+  async reportPreemptions(events) {
+    for (const event of events) {
+      if (event.type === 'release_requested') {
+        const { key, holder, requester, reason, deadline } = event.data;
+        
+        console.log(chalk.cyan(`🙋 ${requester} asked ${holder} to release ${key}${deadline ? `, forced after ${new Date(deadline).toLocaleTimeString()}` : ''}`));
+        this.emit('lock:release-requested', event.data);
+        
+        await logCoordinator('Lock Release Requested', {
+          description: `Higher-priority worker asked for a held lock${reason ? ` (${reason})` : ''}`,
+          result: 'REQUESTED',
+          files: [key],
+          notes: `Holder: ${holder}, requester: ${requester}, deadline: ${deadline || 'none'}`
+        });
+      }
+      
+      if (event.type === 'release_request_resolved') {
+        const state = await this.store.read();
+        const request = (state.release_requests || []).find(entry => entry.id === event.data.id);
+        if (!request) continue;
+        
+        const message = `${request.key}: ${request.holder} → ${request.requester} (${event.data.outcome})`;
+        console.log(event.data.outcome === 'forced' ? chalk.red(`⚡ Lock preempted by force: ${message}`) : chalk.gray(`🙋 Release request settled: ${message}`));
+        this.emit('lock:preempted', { ...request, outcome: event.data.outcome });
+        
+        await logCoordinator('Lock Release Settled', {
+          description: 'Release request for a held lock was settled',
+          result: event.data.outcome.toUpperCase(),
+          files: [request.key],
+          notes: `Holder: ${request.holder}, requester: ${request.requester}`
+        });
+      }
+    }
+  }
+
+  /**
+   * Log lock requests outside a worker's group or on protected paths
+   */
+  async reportScopeViolations(events) {
+    for (const event of events) {
+      if (event.type !== 'lock_scope_violation') continue;
+      
+      const { workerId, group, key, reason, pattern, action } = event.data;
+      const why = reason === 'excluded' ? `protected by ${pattern}` : `outside ${group}`;
+      const message = `${workerId} requested ${key} (${why})`;
+      
+      console.log(action === 'rejected' ? chalk.red(`🚫 Lock rejected: ${message}`) : chalk.yellow(`⚠️  Out-of-scope lock ${action}: ${message}`));
+      this.emit('lock:scope-violation', event.data);
+      
+      await logCoordinator('Lock Scope Violation', {
+        description: `Lock request ${why}`,
+        result: action.toUpperCase(),
+        files: [key],
+        notes: `Worker: ${workerId}, group: ${group || 'none'}`
+      });
+    }
+  }
+
+  /**
+   * Log file changes made outside the locking protocol
+   */
+  async reportChangeViolations(events) {
+    for (const event of events) {
+      if (event.type !== 'file_change_flagged') continue;
+      
+      const { key, change, reason, holders, workers } = event.data;
+      const why = reason === 'unlocked' ?
+        'no lock held' :
+        `locked by ${holders.join(', ')}, task of ${workers.join(', ')}`;
+      
+      console.log(chalk.red(`👁️  Change without lock: ${key} ${change === 'unlink' ? 'deleted' : 'modified'} (${why})`));
+      this.emit('file:violation', event.data);
+      
+      await logCoordinator('File Change Flagged', {
+        description: `File changed outside the locking protocol (${why})`,
+        result: reason.toUpperCase(),
+        files: [key],
+        notes: `Change: ${change}; holders: ${holders.join(', ') || 'none'}; task workers: ${workers.join(', ') || 'none'}`
+      });
+    }
+  }
+
+  startDeadlockDetector() {
+    this.deadlockTimer = setInterval(async () => {
+      try {
+        await this.resolveDeadlocks();
+      } catch (error) {
+        console.error('❌ Deadlock check failed:', error.message);
+      }
+    }, this.options.deadlockCheckInterval);
+  }
+
+  /**
+   * Find cycles in the wait-for graph of pending lock requests and break
+   * each one by making the worker chosen by the deadlock policy release its
+   * locks. The victim's worker notices, backs off and retries its task.
+   */
+  async resolveDeadlocks() {
+    const policy = this.options.deadlockPolicy;
+    
+    const resolved = await this.updateSystemState((state, emit) => {
+      const now = Date.now();
+      const resolutions = [];
+      
+      for (const cycle of findDeadlocks(state, now)) {
+        // An earlier resolution in this pass may already have broken it
+        if (resolutions.some(({ victim }) => cycle.some(step => step.workerId === victim))) continue;
+        
+        const victim = chooseVictim(state, cycle, policy);
+        const resolution = { cycle, victim: victim.workerId, policy, released: victim.locks, at: new Date(now).toISOString() };
+        
+        emit('deadlock_resolved', resolution);
+        resolutions.push(resolution);
+      }
+      
+      return resolutions;
+    });
+    
+    for (const { cycle, victim, released } of resolved) {
+      const description = cycle.map(step => `${step.workerId} → ${step.waitsFor} (${step.key})`).join(', ');
+      
+      console.log(chalk.red(`⛔ Deadlock detected: ${description}`));
+      console.log(chalk.yellow(`↩️  ${victim} backs off (${policy}), releasing ${released.length > 0 ? released.join(', ') : 'no locks'}`));
+      this.emit('lock:deadlock', { cycle, victim, policy, released });
+      
+      await logCoordinator('Deadlock Resolved', {
+        description: 'Broke a cycle of workers waiting on each other\'s locks',
+        result: 'RESOLVED',
+        files: released,
+        notes: `Cycle: ${description}. Victim: ${victim} (policy: ${policy})`
+      });
+    }
+    
+    return resolved;
+  }
+
   startMessageProcessor() {
     this.messageTimer = setInterval(async () => {
       try {
@@ -427,12 +1199,160 @@ class CoordinatorCore extends EventEmitter {
     }
   }
 
-  startFileWatcher() {
-    // File watching implementation would go here
-    // For now, we'll use polling
+  /**
+   * Watch the project tree for changes made without the lock covering
+   * them. Off when `features.file_watching` is false in claude-coord.json.
+   */
+  async startFileWatcher() {
+    const config = await this.loadProjectConfig();
+    const features = (config && config.features) || {};
+    
+    if (!this.options.fileWatching || features.file_watching === false) {
+      console.log(chalk.gray('👁️  File watching disabled'));
+      return;
+    }
+    
+    const state = await this.store.read();
+    const excludePatterns = [...((state.file_protection || {}).exclude_patterns || [])];
+    
+    // The development log lives in the package directory, which may be the project itself
+    const logFile = path.relative(this.projectRoot, getLogger().logFile).split(path.sep).join('/');
+    if (!logFile.startsWith('..')) excludePatterns.push(logFile);
+    
+    this.fileWatcher = new ChangeWatcher(this.projectRoot, { excludePatterns });
+    this.fileWatcher.on('change', ({ key, change }) => {
+      this.checkFileChange(key, change).catch(error => console.error('❌ File change check failed:', error.message));
+    });
+    this.fileWatcher.on('error', error => console.error('❌ File watcher error:', error.message));
+    
+    await this.fileWatcher.start();
     console.log('👁️  File watcher initialized');
   }
 
+  /**
+   * Record a change to `key` made while it was unlocked or locked by
+   * someone other than the worker whose task covers it
+   */
+  async checkFileChange(key, change) {
+    if (!this.isRunning || !this.fileWatcher) return null;
+    
+    // Merging a worktree branch rewrites files nobody holds a lock on
+    if (this.merging || Date.now() < this.mergeQuietUntil) return null;
+    
+    return await this.updateSystemState((state, emit) => {
+      const violation = this.fileWatcher.check(state, key);
+      if (violation) emit('file_change_flagged', { ...violation, change, at: new Date().toISOString() });
+      return violation;
+    });
+  }
+
+  /**
+   * Create worktrees for newly registered workers and merge submitted ones,
+   * one git operation at a time
+   */
+  scheduleWorktrees() {
+    this.worktreeQueue = this.worktreeQueue
+      .then(() => this.processWorktrees())
+      .catch(error => console.error('❌ Worktree processing failed:', error.message));
+  }
+
+  async processWorktrees() {
+    if (!this.isRunning) return;
+    
+    const state = await this.loadSystemState();
+    if (!state.isolation) return;
+    
+    for (const [workerId, worker] of Object.entries(state.active_workers)) {
+      if (!(state.worktrees || {})[workerId]) {
+        await this.createWorktree(workerId, worker.group, state.isolation.base_branch);
+      }
+    }
+    
+    // A group's branch goes in once every group it is blocked by has been merged
+    for (;;) {
+      const current = await this.loadSystemState();
+      const next = Object.entries(current.worktrees || {})
+        .filter(([workerId, worktree]) => worktree.status === 'submitted' && findMergeBlockers(current, workerId).length === 0)
+        .sort(([, a], [, b]) => a.submitted_at.localeCompare(b.submitted_at))[0];
+      
+      if (!next || !this.isRunning) break;
+      await this.mergeWorktree(next[0], next[1]);
+    }
+  }
+
+  async createWorktree(workerId, group, base) {
+    try {
+      const worktree = await this.worktrees.create(workerId, base);
+      
+      await this.updateSystemState((state, emit) => {
+        emit('worktree_created', { workerId, ...worktree, group, at: new Date().toISOString() });
+      });
+      
+      console.log(chalk.green(`🌳 Worktree for ${workerId}: ${path.relative(this.projectRoot, worktree.path)} on ${worktree.branch}`));
+      await logCoordinator('Worktree Created', {
+        description: `Created worktree for worker ${workerId} (${group}) from ${base}`,
+        result: 'SUCCESS',
+        notes: `Branch: ${worktree.branch}; path: ${worktree.path}`
+      });
+    } catch (error) {
+      console.error(`❌ Could not create worktree for ${workerId}: ${error.message}`);
+      await logError(`worktree creation for ${workerId}`, error, 'Check that the base branch exists and .claude-coord/worktrees is writable');
+    }
+  }
+
+  /**
+   * Commit what the worker left in its worktree and merge its branch into
+   * the base branch. A conflicting merge is backed out and reported with
+   * the conflicting files instead of being left half done.
+   */
+  async mergeWorktree(workerId, worktree) {
+    const label = worktree.group || workerId;
+    let outcome;
+    
+    this.merging = true;
+    try {
+      await this.worktrees.commitAll(worktree.path, `${label}: work of ${workerId}`);
+      const result = await this.worktrees.merge(worktree.branch, worktree.base, `Merge ${worktree.branch} (${label})`);
+      
+      outcome = result.merged ?
+        { type: 'worktree_merged', data: { workerId, commit: result.commit, at: new Date().toISOString() } } :
+        { type: 'worktree_conflict', data: { workerId, files: result.conflicts } };
+    } catch (error) {
+      outcome = { type: 'worktree_failed', data: { workerId, error: error.message } };
+    } finally {
+      this.merging = false;
+      this.mergeQuietUntil = Date.now() + (this.fileWatcher ? this.fileWatcher.gracePeriod : 0);
+    }
+    
+    await this.updateSystemState((state, emit) => emit(outcome.type, outcome.data));
+    
+    if (outcome.type === 'worktree_merged') {
+      console.log(chalk.green(`🌳 Merged ${worktree.branch} into ${worktree.base} (${label})`));
+      this.emit('worktree:merged', { workerId, ...outcome.data });
+      await logCoordinator('Worktree Merged', {
+        description: `Merged ${worktree.branch} into ${worktree.base}`,
+        result: 'SUCCESS',
+        notes: `Worker: ${workerId}; group: ${label}; commit: ${outcome.data.commit}`
+      });
+    } else if (outcome.type === 'worktree_conflict') {
+      console.log(chalk.red(`💥 Merge conflict: ${worktree.branch} into ${worktree.base} (${outcome.data.files.join(', ')})`));
+      this.emit('worktree:conflict', { workerId, ...outcome.data });
+      await logCoordinator('Worktree Merge Conflict', {
+        description: `Merging ${worktree.branch} into ${worktree.base} conflicted; the merge was aborted`,
+        result: 'CONFLICT',
+        files: outcome.data.files,
+        notes: `Worker: ${workerId}; resolve on the branch and resubmit, or merge it by hand`
+      });
+    } else {
+      console.error(`❌ Could not merge ${worktree.branch}: ${outcome.data.error}`);
+      await logCoordinator('Worktree Merge Failed', {
+        description: `Merging ${worktree.branch} into ${worktree.base} failed`,
+        result: 'FAILED',
+        notes: `Worker: ${workerId}; ${outcome.data.error}`
+      });
+    }
+  }
+
   async stopAllWorkers() {
     const state = await this.loadSystemState();
     
@@ -442,41 +1362,32 @@ class CoordinatorCore extends EventEmitter {
     }
     
     // Clear all file locks
-    state.file_locks = {};
-    state.active_workers = {};
-    await this.saveSystemState(state);
+    await this.updateSystemState((currentState, emit) => {
+      emit('workers_cleared');
+    });
   }
 
   /**
    * Remove a specific worker from the system
    */
   async removeWorker(workerId) {
-    const state = await this.loadSystemState();
-    
-    if (!state.active_workers[workerId]) {
-      return { success: false, error: 'Worker not found' };
-    }
+    const removal = await this.updateSystemState((state, emit) => {
+      if (!state.active_workers[workerId]) return null;
 
-    const worker = state.active_workers[workerId];
-    const releasedFiles = [];
+      const worker = state.active_workers[workerId];
 
-    // Release all file locks held by this worker
-    for (const [filePath, lockedBy] of Object.entries(state.file_locks)) {
-      if (lockedBy === workerId) {
-        delete state.file_locks[filePath];
-        releasedFiles.push(filePath);
-      }
-    }
+      // Releases the worker's file locks and updates task progress
+      const releasedFiles = this.getWorkerLocks(state, workerId);
+      emit('worker_removed', { workerId });
 
-    // Remove worker from active workers
-    delete state.active_workers[workerId];
-    
-    // Update task progress
-    if (state.task_progress.active_groups > 0) {
-      state.task_progress.active_groups--;
+      return { worker, releasedFiles };
+    });
+
+    if (!removal) {
+      return { success: false, error: 'Worker not found' };
     }
 
-    await this.saveSystemState(state);
+    const { worker, releasedFiles } = removal;
     
     console.log(chalk.yellow(`👋 Worker removed: ${workerId} (${worker.group})`));
     this.emit('worker:removed', { workerId, group: worker.group, releasedFiles });
@@ -495,45 +1406,34 @@ class CoordinatorCore extends EventEmitter {
    * Reassign a worker to a different group
    */
   async reassignWorker(workerId, newGroupId) {
-    const state = await this.loadSystemState();
-    
-    if (!state.active_workers[workerId]) {
-      return { success: false, error: 'Worker not found' };
-    }
-
-    // Check if new group exists
-    if (!state.dependencies[newGroupId]) {
-      return { success: false, error: `Group '${newGroupId}' not found` };
-    }
-
-    const worker = state.active_workers[workerId];
-    const oldGroup = worker.group;
-    
-    // Release current file locks
-    const releasedFiles = [];
-    for (const [filePath, lockedBy] of Object.entries(state.file_locks)) {
-      if (lockedBy === workerId) {
-        delete state.file_locks[filePath];
-        releasedFiles.push(filePath);
+    const reassignment = await this.updateSystemState((state, emit) => {
+      if (!state.active_workers[workerId]) {
+        return { error: 'Worker not found' };
       }
-    }
 
-    // Update worker group
-    state.active_workers[workerId] = {
-      ...worker,
-      group: newGroupId,
-      status: 'reassigned',
-      reassigned_at: new Date().toISOString(),
-      previous_group: oldGroup,
-      current_files: [],
-      progress: {
-        total_tasks: 0,
-        completed_tasks: 0,
-        current_task: null
+      // Check if new group exists
+      if (!state.dependencies[newGroupId]) {
+        return { error: `Group '${newGroupId}' not found` };
       }
-    };
 
-    await this.saveSystemState(state);
+      const oldGroup = state.active_workers[workerId].group;
+      
+      // Releases current file locks and resets progress for the new group
+      const releasedFiles = this.getWorkerLocks(state, workerId);
+      emit('worker_reassigned', {
+        workerId,
+        group: newGroupId,
+        at: new Date().toISOString()
+      });
+
+      return { oldGroup, releasedFiles };
+    });
+
+    if (reassignment.error) {
+      return { success: false, error: reassignment.error };
+    }
+
+    const { oldGroup, releasedFiles } = reassignment;
     
     console.log(chalk.blue(`🔄 Worker reassigned: ${workerId} (${oldGroup} → ${newGroupId})`));
     this.emit('worker:reassigned', { workerId, oldGroup, newGroupId, releasedFiles });
@@ -541,6 +1441,20 @@ class CoordinatorCore extends EventEmitter {
     return { success: true };
   }
 
+  /**
+   * List the files a worker currently holds locks on
+   */
+  getWorkerLocks(state, workerId) {
+    return getLocksHeldBy(state, workerId);
+  }
+
+  /**
+   * Reconstruct the system state at a point in time from the event journal
+   */
+  async replayState(until) {
+    return await this.journal.replay({ until });
+  }
+
   /**
    * Stop all coordination (alias for stopAllWorkers for CLI compatibility)
    */
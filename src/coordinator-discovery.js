@@ -0,0 +1,54 @@
+/**
+ * Coordinator Discovery
+ * Records where the running coordinator can be reached so the CLI, the
+ * monitor and workers can find it without being told a port
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { isProcessAlive } = require('./state-store');
+
+class CoordinatorDiscovery {
+  constructor(coordinationDir) {
+    this.discoveryFile = path.join(coordinationDir, 'coordinator.json');
+    this.logDir = path.join(coordinationDir, 'logs');
+    this.logFile = path.join(this.logDir, 'coordinator.log');
+  }
+
+  async write(info) {
+    await fs.ensureDir(path.dirname(this.discoveryFile));
+
+    const tempFile = `${this.discoveryFile}.${process.pid}.tmp`;
+    await fs.writeJson(tempFile, info, { spaces: 2 });
+    await fs.rename(tempFile, this.discoveryFile);
+  }
+
+  async read() {
+    try {
+      return await fs.readJson(this.discoveryFile);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Remove the discovery file if it describes this process
+   */
+  async remove() {
+    const info = await this.read();
+
+    if (info && info.pid === process.pid) {
+      await fs.remove(this.discoveryFile);
+    }
+  }
+
+  /**
+   * Discovery info of the live coordinator, or null if none is running
+   */
+  async find() {
+    const info = await this.read();
+    return info && isProcessAlive(info.pid) ? info : null;
+  }
+}
+
+module.exports = CoordinatorDiscovery;
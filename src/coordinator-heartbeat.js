@@ -0,0 +1,63 @@
+/**
+ * Coordinator Heartbeat Protocol
+ *
+ * The coordinator publishes `state.coordinator` every heartbeat interval:
+ *   { pid, host, port, version, heartbeat_interval, started_at, last_heartbeat }
+ *
+ * Workers treat the coordinator as alive while its last heartbeat is younger
+ * than MISSED_HEARTBEAT_LIMIT intervals and, when it runs on the same host,
+ * its pid still exists. A coordinator that shuts down cleanly sets
+ * `stopped_at`, which workers see as an immediate disconnect.
+ */
+
+const os = require('os');
+const { isProcessAlive } = require('./state-store');
+const { version } = require('../package.json');
+
+const MISSED_HEARTBEAT_LIMIT = 3;
+
+/**
+ * Build the heartbeat record published by a running coordinator
+ */
+function createHeartbeat({ port, interval, startedAt }) {
+  return {
+    pid: process.pid,
+    host: os.hostname(),
+    port,
+    version,
+    heartbeat_interval: interval,
+    started_at: startedAt,
+    last_heartbeat: new Date().toISOString()
+  };
+}
+
+/**
+ * Decide whether the coordinator behind a heartbeat record is alive
+ */
+function getCoordinatorLiveness(heartbeat, now = Date.now()) {
+  if (!heartbeat || !heartbeat.last_heartbeat) {
+    return { alive: false, reason: 'no_heartbeat' };
+  }
+
+  const age = now - new Date(heartbeat.last_heartbeat).getTime();
+
+  if (heartbeat.stopped_at) {
+    return { alive: false, reason: 'stopped', age };
+  }
+
+  if (heartbeat.host === os.hostname() && !isProcessAlive(heartbeat.pid)) {
+    return { alive: false, reason: 'process_gone', age };
+  }
+
+  if (age > heartbeat.heartbeat_interval * MISSED_HEARTBEAT_LIMIT) {
+    return { alive: false, reason: 'heartbeat_expired', age };
+  }
+
+  return { alive: true, reason: null, age };
+}
+
+module.exports = {
+  MISSED_HEARTBEAT_LIMIT,
+  createHeartbeat,
+  getCoordinatorLiveness
+};
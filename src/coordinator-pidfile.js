@@ -0,0 +1,217 @@
+/**
+ * Coordinator Pidfile
+ * Keeps a single coordinator per project and lets the CLI signal it
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { isProcessAlive } = require('./state-store');
+const CoordinatorDiscovery = require('./coordinator-discovery');
+const CoordinationClient = require('./coordination-client');
+
+class CoordinatorPidFile {
+  constructor(coordinationDir, options = {}) {
+    this.pidFile = path.join(coordinationDir, 'coordinator.pid');
+    this.lockFile = `${this.pidFile}.lock`;
+    this.reportFile = path.join(coordinationDir, 'coordinator-shutdown.json');
+    this.discovery = new CoordinatorDiscovery(coordinationDir);
+
+    this.options = {
+      stopTimeout: 30000,   // How long `stop` waits for the coordinator to exit
+      pollInterval: 200,
+      startupGrace: 60000,  // A pidfile this young may belong to a coordinator that hasn't published coordinator.json yet
+      pingTimeout: 2000,
+      lockTimeout: 15000,   // Pidfile takeovers are serialized through a lockfile
+      staleLockTimeout: 10000,
+      ...options
+    };
+  }
+
+  /**
+   * Claim the pidfile for this process. Fails if another live coordinator
+   * holds it; a pidfile left behind by a crashed coordinator is replaced.
+   */
+  async acquire() {
+    await fs.ensureDir(path.dirname(this.pidFile));
+
+    return await this.withLock(async () => {
+      const pid = await this.readPid();
+
+      if (pid === process.pid) return pid;
+
+      if (pid && await this.isCoordinator(pid)) {
+        throw new Error(`Another coordinator (pid ${pid}) is already running for this project`);
+      }
+
+      // Missing, or stale from a crashed coordinator: replace it in one step
+      const tempFile = `${this.pidFile}.${process.pid}.tmp`;
+      await fs.writeFile(tempFile, `${process.pid}\n`);
+      await fs.rename(tempFile, this.pidFile);
+      return process.pid;
+    });
+  }
+
+  /**
+   * Whether `pid` is this project's coordinator and not an unrelated process
+   * that reused a crashed coordinator's pid. A running coordinator answers a
+   * ping on the socket it published in coordinator.json; one still starting
+   * up has a fresh pidfile.
+   */
+  async isCoordinator(pid) {
+    if (!isProcessAlive(pid)) return false;
+
+    const info = await this.discovery.read();
+    if (info && info.pid === pid) {
+      return !info.socket || await this.ping(info.socket) === pid;
+    }
+
+    try {
+      const stats = await fs.stat(this.pidFile);
+      return Date.now() - stats.mtimeMs < this.options.startupGrace;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Pid reported by the coordinator listening on the socket, or null
+   */
+  async ping(socketPath) {
+    const client = new CoordinationClient(socketPath, { requestTimeout: this.options.pingTimeout });
+
+    try {
+      await client.connect();
+      const { pid } = await client.request('ping');
+      return pid;
+    } catch (error) {
+      return null;
+    } finally {
+      client.close();
+    }
+  }
+
+  async withLock(action) {
+    const startTime = Date.now();
+
+    while (true) {
+      try {
+        await fs.writeFile(this.lockFile, JSON.stringify({ pid: process.pid }), { flag: 'wx' });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      if (await this.clearStaleLock()) continue;
+
+      if (Date.now() - startTime > this.options.lockTimeout) {
+        throw new Error(`Timed out waiting for pidfile lock: ${this.lockFile}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.options.pollInterval));
+    }
+
+    try {
+      return await action();
+    } finally {
+      await fs.remove(this.lockFile);
+    }
+  }
+
+  /**
+   * Remove the lockfile if its owner died or it has been held implausibly long
+   */
+  async clearStaleLock() {
+    try {
+      const stats = await fs.stat(this.lockFile);
+      let owner = null;
+
+      try {
+        owner = JSON.parse(await fs.readFile(this.lockFile, 'utf8'));
+      } catch (error) {
+        // Owner may still be writing the lockfile - fall back to its age
+      }
+
+      const expired = Date.now() - stats.mtimeMs > this.options.staleLockTimeout;
+      const ownerDead = owner && owner.pid !== process.pid && !isProcessAlive(owner.pid);
+
+      if (expired || ownerDead) {
+        await fs.remove(this.lockFile);
+        return true;
+      }
+    } catch (error) {
+      // Lock disappeared between attempts - just retry
+      if (error.code === 'ENOENT') return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Remove the pidfile if this process owns it
+   */
+  async release() {
+    if (await this.readPid() === process.pid) {
+      await fs.remove(this.pidFile);
+    }
+  }
+
+  async readPid() {
+    try {
+      const pid = parseInt(await fs.readFile(this.pidFile, 'utf8'), 10);
+      return Number.isNaN(pid) ? null : pid;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Pid of the live coordinator for this project, or null
+   */
+  async getRunningPid() {
+    const pid = await this.readPid();
+    return pid && await this.isCoordinator(pid) ? pid : null;
+  }
+
+  async writeShutdownReport(report) {
+    await fs.writeJson(this.reportFile, report, { spaces: 2 });
+  }
+
+  async readShutdownReport() {
+    if (!(await fs.pathExists(this.reportFile))) return null;
+    return await fs.readJson(this.reportFile);
+  }
+
+  /**
+   * Ask the running coordinator to shut down gracefully and wait until it
+   * has exited. Resolves with the shutdown report it left behind.
+   */
+  async requestStop({ timeout = this.options.stopTimeout } = {}) {
+    const pid = await this.getRunningPid();
+
+    if (!pid) {
+      return { stopped: false, pid: null, report: null };
+    }
+
+    process.kill(pid, 'SIGTERM');
+
+    const startTime = Date.now();
+    while (isProcessAlive(pid)) {
+      if (Date.now() - startTime > timeout) {
+        throw new Error(`Coordinator (pid ${pid}) did not stop within ${Math.round(timeout / 1000)}s`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.options.pollInterval));
+    }
+
+    const report = await this.readShutdownReport();
+
+    return {
+      stopped: true,
+      pid,
+      report: report && report.pid === pid ? report : null
+    };
+  }
+}
+
+module.exports = CoordinatorPidFile;
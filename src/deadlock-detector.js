@@ -0,0 +1,144 @@
+/**
+ * Deadlock Detector
+ * Builds a wait-for graph from the pending lock requests in `lock_waits` and
+ * the locks they are blocked by, finds cycles in it, and picks the worker
+ * that backs off to break each one
+ */
+
+const {
+  findQueuedRequest,
+  getLockHolders,
+  getLockMode,
+  getLocksHeldBy,
+  isLeaseExpired,
+  locksOverlap
+} = require('./lock-manager');
+
+// Resolved deadlocks kept in the state for the monitor
+const MAX_DEADLOCK_HISTORY = 20;
+
+/**
+ * Victim selection policies. Each compares two workers of a cycle and
+ * returns a negative number if the first one should back off.
+ */
+const DEADLOCK_POLICIES = {
+  // The most recently started worker has the least work to lose
+  youngest: (a, b) => startedAt(b) - startedAt(a),
+
+  // Holding the fewest locks means releasing the least
+  'fewest-locks': (a, b) => a.locks.length - b.locks.length,
+
+  // Groups with a higher priority number yield to more important ones
+  'lowest-priority': (a, b) => b.priority - a.priority
+};
+
+function startedAt(worker) {
+  return new Date(worker.started_at || 0).getTime();
+}
+
+/**
+ * Wait-for graph as `Map<workerId, Array<{ workerId, key, blockedBy }>>`:
+ * an edge for every live holder that conflicts with a pending request, and
+ * for the earlier queued request it waits behind
+ */
+function buildWaitForGraph(state, now = Date.now()) {
+  const graph = new Map();
+
+  (state.lock_waits || []).forEach((wait, position) => {
+    if (isLeaseExpired(wait, now)) return;
+
+    const edges = graph.get(wait.workerId) || [];
+    const addEdge = (workerId, key) => {
+      if (workerId !== wait.workerId && !edges.some(edge => edge.workerId === workerId)) {
+        edges.push({ workerId, key, blockedBy: wait.key });
+      }
+    };
+
+    for (const [lockKey, lock] of Object.entries(state.file_locks)) {
+      if (wait.mode === 'shared' && getLockMode(lock) === 'shared') continue;
+      if (!locksOverlap(lockKey, wait.key)) continue;
+
+      for (const holder of getLockHolders(lock)) {
+        if (!isLeaseExpired(holder, now)) addEdge(holder.workerId, lockKey);
+      }
+    }
+
+    const queued = findQueuedRequest(state, wait.key, wait.workerId, { mode: wait.mode, now, before: position });
+    if (queued) addEdge(queued.owner, queued.key);
+
+    graph.set(wait.workerId, edges);
+  });
+
+  return graph;
+}
+
+/**
+ * Cycles in the wait-for graph, each as a list of
+ * `{ workerId, waitsFor, key }` steps. At least one cycle is reported per
+ * deadlocked group of workers; breaking it may reveal others on the next check.
+ */
+function findDeadlocks(state, now = Date.now()) {
+  const graph = buildWaitForGraph(state, now);
+  const visited = new Set();
+  const cycles = [];
+
+  const visit = (workerId, path) => {
+    const index = path.findIndex(step => step.workerId === workerId);
+    if (index !== -1) {
+      const members = path.slice(index);
+      cycles.push(members.map((step, i) => ({
+        workerId: step.workerId,
+        waitsFor: (members[i + 1] || { workerId }).workerId,
+        key: step.edge.key
+      })));
+      return;
+    }
+
+    if (visited.has(workerId)) return;
+    visited.add(workerId);
+
+    for (const edge of graph.get(workerId) || []) {
+      visit(edge.workerId, [...path, { workerId, edge }]);
+    }
+  };
+
+  for (const workerId of graph.keys()) {
+    visit(workerId, []);
+  }
+
+  return cycles;
+}
+
+/**
+ * Worker in a cycle that should back off under the given policy. Ties go
+ * to the highest worker id so every coordinator picks the same one.
+ */
+function chooseVictim(state, cycle, policy = 'youngest') {
+  const compare = DEADLOCK_POLICIES[policy];
+  if (!compare) {
+    throw new Error(`Unknown deadlock policy: ${policy} (expected ${Object.keys(DEADLOCK_POLICIES).join(', ')})`);
+  }
+
+  const candidates = cycle.map(({ workerId }) => {
+    const worker = state.active_workers[workerId] || {};
+    const group = (state.dependencies || {})[worker.group] || {};
+
+    return {
+      workerId,
+      started_at: worker.started_at,
+      priority: group.priority || Number.MAX_SAFE_INTEGER,
+      locks: getLocksHeldBy(state, workerId)
+    };
+  });
+
+  candidates.sort((a, b) => compare(a, b) || b.workerId.localeCompare(a.workerId));
+  return candidates[0];
+}
+
+module.exports = {
+  MAX_DEADLOCK_HISTORY,
+  DEADLOCK_POLICIES,
+  buildWaitForGraph,
+  findDeadlocks,
+  chooseVictim
+};
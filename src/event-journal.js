@@ -0,0 +1,218 @@
+/**
+ * Coordination Event Journal
+ * Append-only record of every state mutation with replay and compaction
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { applyEvent } = require('./state-events');
+
+class EventJournal {
+  constructor(coordinationDir, options = {}) {
+    this.journalDir = path.join(coordinationDir, 'journal');
+    this.eventsFile = path.join(this.journalDir, 'events.jsonl');
+    this.snapshotFile = path.join(this.journalDir, 'snapshot.json');
+    this.archiveDir = path.join(this.journalDir, 'archive');
+    // State the oldest retained archive starts from, once older ones are pruned
+    this.baseFile = path.join(this.archiveDir, 'base.json');
+
+    this.options = {
+      compactThresholdBytes: 1024 * 1024, // Compact once the live log passes 1MB
+      maxArchives: 20,                    // Compacted segments kept for auditing
+      ...options
+    };
+  }
+
+  /**
+   * Append events produced by a state update. Callers hold the state lock,
+   * so the journal order always matches the revision order.
+   */
+  async append(events, revision) {
+    if (events.length === 0) return;
+
+    await fs.ensureDir(this.journalDir);
+
+    const lines = events
+      .map(event => JSON.stringify({ revision, ...event }))
+      .join('\n');
+
+    await fs.appendFile(this.eventsFile, `${lines}\n`, 'utf8');
+  }
+
+  /**
+   * Read events from the live log (or a given segment file)
+   */
+  async readEvents(file = this.eventsFile) {
+    if (!(await fs.pathExists(file))) return [];
+
+    const content = await fs.readFile(file, 'utf8');
+    const events = [];
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+
+      try {
+        events.push(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-append can leave a truncated final line - skip it
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Read archived and live events in order. Once archives have been pruned
+   * the events start with a `state_replaced` carrying the state they left.
+   */
+  async readAllEvents() {
+    const events = [];
+
+    const base = await this.readBase();
+    if (base) {
+      events.push({ revision: base.revision, type: 'state_replaced', at: base.at, data: { state: base.state } });
+    }
+
+    for (const archive of await this.listArchives()) {
+      events.push(...await this.readEvents(path.join(this.archiveDir, archive)));
+    }
+
+    events.push(...await this.readEvents());
+    return events;
+  }
+
+  async readBase() {
+    if (!(await fs.pathExists(this.baseFile))) return null;
+    return await fs.readJson(this.baseFile);
+  }
+
+  async readSnapshot() {
+    if (!(await fs.pathExists(this.snapshotFile))) return null;
+    return await fs.readJson(this.snapshotFile);
+  }
+
+  /**
+   * Rebuild the state by replaying events on top of the latest snapshot.
+   * With `until` the state is reconstructed as it was at that moment, which
+   * may require replaying archived segments from the beginning.
+   */
+  async replay({ until } = {}) {
+    const cutoff = until ? new Date(until).getTime() : Infinity;
+    const snapshot = await this.readSnapshot();
+
+    let state = null;
+    let revision = 0;
+    let events;
+
+    if (snapshot && new Date(snapshot.compacted_at).getTime() <= cutoff) {
+      state = snapshot.state;
+      revision = snapshot.revision;
+      events = await this.readEvents();
+    } else {
+      events = await this.readAllEvents();
+    }
+
+    for (const event of events) {
+      if (event.revision <= revision && state) continue;
+      if (new Date(event.at).getTime() > cutoff) break;
+
+      if (!state) {
+        // History before the first full state cannot be reconstructed
+        if (event.type !== 'state_replaced') continue;
+        state = {};
+      }
+
+      applyEvent(state, event);
+      state.revision = event.revision;
+    }
+
+    return state;
+  }
+
+  async shouldCompact() {
+    try {
+      const stats = await fs.stat(this.eventsFile);
+      return stats.size >= this.options.compactThresholdBytes;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Snapshot the given state and move the events it covers into an archive
+   * segment. Callers hold the state lock.
+   */
+  async compact(state) {
+    await fs.ensureDir(this.archiveDir);
+
+    const events = await this.readEvents();
+    const covered = events.filter(event => event.revision <= state.revision);
+    const remaining = events.filter(event => event.revision > state.revision);
+
+    const snapshotTemp = `${this.snapshotFile}.${process.pid}.tmp`;
+    await fs.writeJson(snapshotTemp, {
+      revision: state.revision,
+      compacted_at: new Date().toISOString(),
+      state
+    }, { spaces: 2 });
+    await fs.rename(snapshotTemp, this.snapshotFile);
+
+    if (covered.length > 0) {
+      const first = covered[0].revision;
+      const archiveFile = path.join(this.archiveDir, `events-${String(first).padStart(10, '0')}-${state.revision}.jsonl`);
+      await fs.writeFile(archiveFile, covered.map(event => JSON.stringify(event)).join('\n') + '\n');
+    }
+
+    const eventsTemp = `${this.eventsFile}.${process.pid}.tmp`;
+    await fs.writeFile(eventsTemp, remaining.map(event => `${JSON.stringify(event)}\n`).join(''));
+    await fs.rename(eventsTemp, this.eventsFile);
+
+    await this.pruneArchives();
+
+    return { revision: state.revision, archived: covered.length };
+  }
+
+  async listArchives() {
+    if (!(await fs.pathExists(this.archiveDir))) return [];
+
+    return (await fs.readdir(this.archiveDir))
+      .filter(file => file.endsWith('.jsonl'))
+      .sort();
+  }
+
+  async pruneArchives() {
+    const archives = await this.listArchives();
+    const pruned = archives.slice(0, Math.max(0, archives.length - this.options.maxArchives));
+    if (pruned.length === 0) return;
+
+    // Fold the pruned segments into the base so history can still be replayed
+    const base = await this.readBase();
+    let state = base ? base.state : null;
+    let { revision, at } = base || {};
+
+    for (const archive of pruned) {
+      for (const event of await this.readEvents(path.join(this.archiveDir, archive))) {
+        if (!state) {
+          if (event.type !== 'state_replaced') continue;
+          state = {};
+        }
+
+        applyEvent(state, event);
+        revision = event.revision;
+        at = event.at;
+      }
+    }
+
+    if (state) {
+      const baseTemp = `${this.baseFile}.${process.pid}.tmp`;
+      await fs.writeJson(baseTemp, { revision, at, state });
+      await fs.rename(baseTemp, this.baseFile);
+    }
+
+    for (const archive of pruned) {
+      await fs.remove(path.join(this.archiveDir, archive));
+    }
+  }
+}
+
+module.exports = EventJournal;
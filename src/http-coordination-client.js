@@ -0,0 +1,132 @@
+/**
+ * HTTP Coordination Client
+ * Talks to a coordinator on another machine or container through the
+ * `/api/rpc` endpoint of its web server, authenticating with the project token
+ */
+
+const http = require('http');
+const https = require('https');
+const EventEmitter = require('events');
+
+// Upper bound the server holds an `events.poll` request open for
+const MAX_POLL_TIMEOUT = 25000;
+
+class HttpCoordinationClient extends EventEmitter {
+  constructor(coordinatorUrl, token, options = {}) {
+    super();
+
+    this.rpcUrl = new URL('/api/rpc', coordinatorUrl);
+    this.token = token;
+    this.connected = false;
+    this.revision = null; // Last state revision whose events were seen
+
+    this.options = {
+      requestTimeout: 10000,
+      ...options
+    };
+  }
+
+  /**
+   * Verify the coordinator is reachable and accepts the token
+   */
+  async connect() {
+    const { revision } = await this.request('events.poll', {});
+    this.revision = revision;
+    this.connected = true;
+  }
+
+  /**
+   * Call a coordination API method on the coordinator
+   */
+  async request(method, params = {}, { timeout = this.options.requestTimeout } = {}) {
+    const body = JSON.stringify({ method, params });
+    const transport = this.rpcUrl.protocol === 'https:' ? https : http;
+
+    let response;
+    try {
+      response = await new Promise((resolve, reject) => {
+        const req = transport.request(this.rpcUrl, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            'Authorization': `Bearer ${this.token}`
+          },
+          timeout
+        }, (res) => {
+          let data = '';
+          res.setEncoding('utf8');
+          res.on('data', chunk => data += chunk);
+          res.on('end', () => resolve({ status: res.statusCode, data }));
+        });
+
+        req.on('timeout', () => req.destroy(new Error(`Coordinator request timed out: ${method}`)));
+        req.on('error', reject);
+        req.end(body);
+      });
+    } catch (error) {
+      this.handleConnectionLost();
+      const lost = new Error(`Coordinator unreachable at ${this.rpcUrl.origin}: ${error.message}`);
+      lost.code = 'ECOORDLOST';
+      throw lost;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(response.data);
+    } catch (error) {
+      throw new Error(`Invalid response from coordinator (HTTP ${response.status})`);
+    }
+
+    if (response.status !== 200) {
+      const error = new Error(payload.message || `Coordinator request failed (HTTP ${response.status})`);
+      error.code = payload.code;
+      throw error;
+    }
+
+    return payload.result;
+  }
+
+  handleConnectionLost() {
+    if (!this.connected) return;
+
+    this.connected = false;
+    this.emit('disconnected');
+  }
+
+  /**
+   * Long-poll for a state event matching the predicate. Resolves with the
+   * event, or null after the timeout or if the coordinator becomes unreachable.
+   */
+  async waitForEvent(predicate, timeout) {
+    const deadline = Date.now() + timeout;
+
+    while (this.connected && Date.now() < deadline) {
+      const wait = Math.min(deadline - Date.now(), MAX_POLL_TIMEOUT);
+      let batch;
+
+      try {
+        batch = await this.request('events.poll', { after: this.revision, timeout: wait }, {
+          timeout: wait + this.options.requestTimeout
+        });
+      } catch (error) {
+        return null;
+      }
+
+      this.revision = batch.revision;
+
+      for (const event of batch.events) {
+        this.emit('event', event);
+        if (predicate(event)) return event;
+      }
+    }
+
+    return null;
+  }
+
+  close() {
+    this.connected = false;
+  }
+}
+
+module.exports = HttpCoordinationClient;
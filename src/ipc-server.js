@@ -0,0 +1,171 @@
+/**
+ * Coordinator IPC Server
+ * Serves the coordination API over a local socket using newline-delimited
+ * JSON and pushes state events to subscribed clients.
+ *
+ * Request:  { id, method, params }
+ * Response: { id, result } or { id, error: { message, code } }
+ * Push:     { event: { type, data, revision, at } }
+ */
+
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const chalk = require('chalk');
+
+// Unix socket paths are limited to ~104 bytes on most platforms
+const MAX_SOCKET_PATH = 100;
+
+/**
+ * Socket path for a project. Falls back to the temp dir when the project
+ * path is too long, and to a named pipe on Windows.
+ */
+function getSocketPath(coordinationDir) {
+  const hash = crypto.createHash('sha1').update(coordinationDir).digest('hex').slice(0, 12);
+
+  if (process.platform === 'win32') {
+    return `\\\\.\\pipe\\claude-coord-${hash}`;
+  }
+
+  const socketPath = path.join(coordinationDir, 'coordinator.sock');
+  if (Buffer.byteLength(socketPath) <= MAX_SOCKET_PATH) {
+    return socketPath;
+  }
+
+  return path.join(os.tmpdir(), `claude-coord-${hash}.sock`);
+}
+
+/**
+ * Split a stream into JSON messages, one per line
+ */
+function readMessages(socket, onMessage) {
+  let buffer = '';
+
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+
+      if (!line.trim()) continue;
+
+      try {
+        onMessage(JSON.parse(line));
+      } catch (error) {
+        // Ignore malformed lines rather than dropping the connection
+      }
+    }
+  });
+}
+
+function send(socket, message) {
+  if (!socket.destroyed) {
+    socket.write(`${JSON.stringify(message)}\n`);
+  }
+}
+
+class IPCServer {
+  constructor(api, store, socketPath) {
+    this.api = api;
+    this.store = store;
+    this.socketPath = socketPath;
+    this.server = null;
+    this.connections = new Set();
+    this.subscribers = new Set();
+
+    this.onCommit = ({ revision, events }) => {
+      for (const event of events) {
+        this.broadcast({ event: { revision, ...event } });
+      }
+    };
+  }
+
+  async start() {
+    // The coordinator holds the pidfile, so a leftover socket is stale
+    if (process.platform !== 'win32') {
+      await fs.remove(this.socketPath);
+    }
+
+    this.server = net.createServer(socket => this.handleConnection(socket));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.socketPath, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.store.on('commit', this.onCommit);
+    console.log(chalk.green(`🔌 IPC listening on ${this.socketPath}`));
+  }
+
+  async stop() {
+    this.store.off('commit', this.onCommit);
+
+    for (const socket of this.connections) {
+      socket.destroy();
+    }
+
+    if (this.server) {
+      await new Promise(resolve => this.server.close(() => resolve()));
+      this.server = null;
+    }
+
+    if (process.platform !== 'win32') {
+      await fs.remove(this.socketPath);
+    }
+  }
+
+  handleConnection(socket) {
+    this.connections.add(socket);
+
+    socket.on('close', () => {
+      this.connections.delete(socket);
+      this.subscribers.delete(socket);
+    });
+    socket.on('error', () => socket.destroy());
+
+    readMessages(socket, message => this.handleMessage(socket, message));
+  }
+
+  async handleMessage(socket, { id, method, params }) {
+    try {
+      let result;
+
+      if (method === 'subscribe') {
+        this.subscribers.add(socket);
+        result = true;
+      } else if (method === 'ping') {
+        // Lets the CLI confirm a pid really is this coordinator before signalling it
+        result = { pid: process.pid };
+      } else {
+        result = await this.api.handle(method, params);
+      }
+
+      send(socket, { id, result });
+    } catch (error) {
+      send(socket, { id, error: { message: error.message, code: error.code } });
+    }
+  }
+
+  /**
+   * Push a message to every subscribed client
+   */
+  broadcast(message) {
+    for (const socket of this.subscribers) {
+      send(socket, message);
+    }
+  }
+}
+
+module.exports = {
+  IPCServer,
+  getSocketPath,
+  readMessages
+};
@@ -0,0 +1,161 @@
+/**
+ * Lock History
+ * Reconstructs every lock hold and wait from the event journal and
+ * summarizes contention: the most-contended keys, waits per group and the
+ * longest holds. Used by `claude-monitor locks --report` to decide where
+ * groups should be split.
+ */
+
+const { applyEvent } = require('./state-events');
+const { getLockHolders } = require('./lock-manager');
+
+/**
+ * Holds and waits as `{ holds, waits, from, to }`. A hold is
+ * `{ key, workerId, group, mode, acquired_at, released_at, ended_by }`, a
+ * wait `{ key, workerId, group, mode, since, ended_at, granted, request }`;
+ * both carry a `duration` in ms. Holds and waits still open at the last
+ * event end `null` and are measured up to `now`.
+ */
+function buildLockHistory(events, { since = null, now = Date.now() } = {}) {
+  const cutoff = since ? new Date(since).getTime() : -Infinity;
+  const holds = [];
+  const waits = [];
+  const openHolds = new Map();
+  const openWaits = new Map();
+  let state = null;
+  let from = null;
+  let to = null;
+
+  const groupOf = workerId => (state.active_workers[workerId] || {}).group || null;
+
+  for (const event of events) {
+    // History before the first full state cannot be reconstructed
+    if (!state) {
+      if (event.type !== 'state_replaced') continue;
+      state = {};
+    }
+
+    applyEvent(state, event);
+    from = from || event.at;
+    to = event.at;
+
+    const held = new Map();
+    for (const [key, lock] of Object.entries(state.file_locks || {})) {
+      for (const holder of getLockHolders(lock)) {
+        held.set(`${key}\0${holder.workerId}`, { key, workerId: holder.workerId, mode: lock.mode || 'exclusive' });
+      }
+    }
+
+    for (const [id, hold] of openHolds) {
+      if (held.has(id)) continue;
+      openHolds.delete(id);
+      holds.push({ ...hold, released_at: event.at, ended_by: event.type });
+    }
+
+    for (const [id, { key, workerId, mode }] of held) {
+      if (openHolds.has(id)) continue;
+      openHolds.set(id, { key, workerId, group: groupOf(workerId), mode, acquired_at: event.at });
+    }
+
+    const waiting = new Map((state.lock_waits || []).map(wait => [`${wait.key}\0${wait.workerId}`, wait]));
+
+    for (const [id, wait] of openWaits) {
+      if (waiting.has(id)) continue;
+      openWaits.delete(id);
+      waits.push({ ...wait, ended_at: event.at, granted: held.has(id) });
+    }
+
+    for (const [id, { key, workerId, mode, since: waitSince, request }] of waiting) {
+      if (openWaits.has(id)) continue;
+      openWaits.set(id, { key, workerId, group: groupOf(workerId), mode, since: waitSince || event.at, request: request || null });
+    }
+  }
+
+  holds.push(...[...openHolds.values()].map(hold => ({ ...hold, released_at: null, ended_by: null })));
+  waits.push(...[...openWaits.values()].map(wait => ({ ...wait, ended_at: null, granted: false })));
+
+  const duration = (start, end) => (end ? new Date(end).getTime() : now) - new Date(start).getTime();
+
+  return {
+    from,
+    to,
+    holds: holds
+      .filter(hold => !hold.released_at || new Date(hold.released_at).getTime() >= cutoff)
+      .map(hold => ({ ...hold, duration: duration(hold.acquired_at, hold.released_at) })),
+    waits: waits
+      .filter(wait => !wait.ended_at || new Date(wait.ended_at).getTime() >= cutoff)
+      .map(wait => ({ ...wait, duration: duration(wait.since, wait.ended_at) }))
+  };
+}
+
+/**
+ * Contention summary of a lock history: `hotFiles` (keys ranked by how
+ * often and how long workers waited for them), `groups` (waits and holds
+ * per group) and `longestHolds`, each limited to `top` entries
+ */
+function buildContentionReport(history, { top = 10 } = {}) {
+  const files = new Map();
+  const groups = new Map();
+
+  const fileEntry = key => {
+    if (!files.has(key)) files.set(key, { key, acquisitions: 0, waits: 0, totalWait: 0, maxWait: 0, totalHold: 0, workers: new Set() });
+    return files.get(key);
+  };
+  const groupEntry = group => {
+    const name = group || 'unknown';
+    if (!groups.has(name)) groups.set(name, { group: name, waits: 0, totalWait: 0, maxWait: 0, holds: 0, totalHold: 0 });
+    return groups.get(name);
+  };
+
+  for (const hold of history.holds) {
+    const file = fileEntry(hold.key);
+    file.acquisitions++;
+    file.totalHold += hold.duration;
+    file.workers.add(hold.workerId);
+
+    const group = groupEntry(hold.group);
+    group.holds++;
+    group.totalHold += hold.duration;
+  }
+
+  for (const wait of history.waits) {
+    const file = fileEntry(wait.key);
+    file.waits++;
+    file.totalWait += wait.duration;
+    file.maxWait = Math.max(file.maxWait, wait.duration);
+    file.workers.add(wait.workerId);
+
+    const group = groupEntry(wait.group);
+    group.waits++;
+    group.totalWait += wait.duration;
+    group.maxWait = Math.max(group.maxWait, wait.duration);
+  }
+
+  const average = (total, count) => (count > 0 ? Math.round(total / count) : 0);
+
+  return {
+    from: history.from,
+    to: history.to,
+    totals: {
+      holds: history.holds.length,
+      waits: history.waits.length,
+      waitTime: history.waits.reduce((sum, wait) => sum + wait.duration, 0)
+    },
+    hotFiles: [...files.values()]
+      .filter(file => file.waits > 0)
+      .sort((a, b) => b.waits - a.waits || b.totalWait - a.totalWait)
+      .slice(0, top)
+      .map(({ workers, ...file }) => ({ ...file, workers: workers.size, avgWait: average(file.totalWait, file.waits) })),
+    groups: [...groups.values()]
+      .map(group => ({ ...group, avgWait: average(group.totalWait, group.waits), avgHold: average(group.totalHold, group.holds) }))
+      .sort((a, b) => b.avgWait - a.avgWait || a.group.localeCompare(b.group)),
+    longestHolds: [...history.holds]
+      .sort((a, b) => b.duration - a.duration)
+      .slice(0, top)
+  };
+}
+
+module.exports = {
+  buildLockHistory,
+  buildContentionReport
+};
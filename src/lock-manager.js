@@ -0,0 +1,422 @@
+/**
+ * File Lock Manager
+ * Lock semantics shared by the state reducers, the coordination API and the
+ * coordinator. Locks in `file_locks` are leases: an owner, an acquisition time
+ * and an expiry the holder pushes forward with every heartbeat.
+ *
+ * Lock keys are concrete paths, directories (with a trailing `/`, covering
+ * everything beneath them) or glob patterns (group `files` entries such as
+ * `src/**\/*.ts`), all relative to the project root. Two locks conflict when
+ * some file could match both keys and at least one of them is exclusive.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const picomatch = require('picomatch');
+
+// Four missed worker heartbeats (15s apart) before a lease runs out
+const DEFAULT_LOCK_TTL = 60000;
+
+// Reclaimed leases kept in the state for the monitor
+const MAX_RECLAIM_HISTORY = 20;
+
+// Settled release requests kept in the state next to the pending ones
+const MAX_PREEMPTION_HISTORY = 20;
+
+// Out-of-scope lock requests kept in the state for the monitor
+const MAX_SCOPE_VIOLATION_HISTORY = 20;
+
+// How lock requests outside a worker's group are handled (`group_scope`)
+const SCOPE_POLICIES = ['enforce', 'warn', 'off'];
+
+// Shared locks may be held by several readers; exclusive ones by one writer
+const LOCK_MODES = ['exclusive', 'shared'];
+
+// State events that may let a queued lock request through
+const LOCK_FREEING_EVENTS = [
+  'lock_released',
+  'lock_expired',
+  'lock_wait_ended',
+  'deadlock_resolved',
+  'worker_removed',
+  'worker_reassigned',
+  'workers_cleared'
+];
+
+// Parentheses only count as part of an extglob like `@(a|b)`: on their own
+// they are literal, as in the route groups of `app/(auth)/page.tsx`
+const GLOB_CHARS = /[*?[\]{}]|[!+@]\(|^!/;
+const EXTGLOB_CHARS = /[!+@*?]\(|^!/;
+
+function isGlobPattern(key) {
+  return GLOB_CHARS.test(key);
+}
+
+/**
+ * Escape the literal parentheses of a lock key, which picomatch would
+ * otherwise read as a regex group
+ */
+function escapeLiteralParens(key) {
+  const literal = [];
+  let escaped = '';
+
+  for (let i = 0; i < key.length; i++) {
+    const char = key[i];
+
+    if (char === '(') {
+      literal.push(!/[!+@*?]/.test(key[i - 1] || ''));
+      escaped += literal[literal.length - 1] ? '\\(' : char;
+    } else if (char === ')' && literal.length > 0) {
+      escaped += literal.pop() ? '\\)' : char;
+    } else {
+      escaped += char;
+    }
+  }
+
+  return escaped;
+}
+
+/**
+ * Whether a path matches a lock pattern
+ */
+function matchesPattern(file, pattern) {
+  return picomatch.isMatch(file, escapeLiteralParens(pattern), { dot: true });
+}
+
+function isDirectoryKey(key) {
+  return key.endsWith('/');
+}
+
+/**
+ * Canonical form of a lock key: relative to the project root, with `/`
+ * separators and no `./`, `..` or duplicate slashes, so `./src/a.ts` and
+ * `src/a.ts` are the same lock. With a project root, absolute paths are made
+ * relative and existing directories get their trailing `/`. The project root
+ * itself becomes `**`.
+ */
+function normalizeLockKey(key, projectRoot = null) {
+  let normalized = String(key).split(path.sep).join('/');
+
+  if (path.isAbsolute(key)) {
+    if (!projectRoot) {
+      throw new Error(`Cannot lock absolute path without a project root: ${key}`);
+    }
+    normalized = path.relative(projectRoot, key).split(path.sep).join('/') + (isDirectoryKey(normalized) ? '/' : '');
+  }
+
+  normalized = path.posix.normalize(normalized);
+
+  if (normalized === '..' || normalized.startsWith('../')) {
+    throw new Error(`Lock key is outside the project: ${key}`);
+  }
+  if (normalized === '.' || normalized === './' || normalized === '/') {
+    return '**';
+  }
+
+  if (projectRoot && !isDirectoryKey(normalized) && !isGlobPattern(normalized)) {
+    try {
+      if (fs.statSync(path.join(projectRoot, normalized)).isDirectory()) normalized += '/';
+    } catch (error) {
+      // Not on disk (yet) - lock it as a file
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Expand `{a,b}` alternatives (nested ones included) into separate patterns
+ */
+function expandBraces(pattern) {
+  const open = pattern.indexOf('{');
+  if (open === -1) return [pattern];
+
+  let depth = 0;
+  let close = -1;
+  const commas = [];
+
+  for (let i = open; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '{') depth++;
+    if (char === '}' && --depth === 0) {
+      close = i;
+      break;
+    }
+    if (char === ',' && depth === 1) commas.push(i);
+  }
+
+  // Unbalanced or `{x}` without alternatives - treat the brace literally
+  if (close === -1 || commas.length === 0) return [pattern];
+
+  const before = pattern.slice(0, open);
+  const after = pattern.slice(close + 1);
+  const bounds = [open, ...commas, close];
+  const expanded = [];
+
+  for (let i = 0; i < bounds.length - 1; i++) {
+    const option = pattern.slice(bounds[i] + 1, bounds[i + 1]);
+    expanded.push(...expandBraces(`${before}${option}${after}`));
+  }
+
+  return expanded;
+}
+
+/**
+ * Whether two glob segments (no `/`) can match a common name. Literal text
+ * before the first and after the last wildcard must agree; anything past that
+ * is assumed to overlap, so the check errs on the side of a conflict.
+ */
+function segmentsOverlap(a, b) {
+  if (!isGlobPattern(a)) return isGlobPattern(b) ? matchesPattern(a, b) : a === b;
+  if (!isGlobPattern(b)) return matchesPattern(b, a);
+
+  // Negations and extglobs can match almost anything
+  if (EXTGLOB_CHARS.test(a) || EXTGLOB_CHARS.test(b)) return true;
+
+  const prefix = segment => segment.slice(0, segment.search(GLOB_CHARS));
+  const suffix = (segment) => {
+    const match = segment.match(/[*?\]]([^*?[\]]*)$/);
+    return match ? match[1] : '';
+  };
+
+  const [prefixA, prefixB] = [prefix(a), prefix(b)];
+  const [suffixA, suffixB] = [suffix(a), suffix(b)];
+
+  return (prefixA.startsWith(prefixB) || prefixB.startsWith(prefixA)) &&
+    (suffixA.endsWith(suffixB) || suffixB.endsWith(suffixA));
+}
+
+function pathSegmentsOverlap(a, b) {
+  if (a.length === 0 && b.length === 0) return true;
+
+  // `**` matches zero or more whole segments
+  if (a[0] === '**') {
+    return pathSegmentsOverlap(a.slice(1), b) || (b.length > 0 && pathSegmentsOverlap(a, b.slice(1)));
+  }
+  if (b[0] === '**') {
+    return pathSegmentsOverlap(a, b.slice(1)) || (a.length > 0 && pathSegmentsOverlap(a.slice(1), b));
+  }
+
+  if (a.length === 0 || b.length === 0) return false;
+
+  return segmentsOverlap(a[0], b[0]) && pathSegmentsOverlap(a.slice(1), b.slice(1));
+}
+
+/**
+ * Whether two lock keys could cover the same file: equal paths, a path
+ * matched by a pattern, or two patterns with a match in common
+ */
+function locksOverlap(a, b) {
+  if (a === b) return true;
+
+  // A directory covers everything beneath it
+  if (isDirectoryKey(a)) a = `${a}**`;
+  if (isDirectoryKey(b)) b = `${b}**`;
+
+  if (!isGlobPattern(a) && !isGlobPattern(b)) return false;
+  if (!isGlobPattern(a)) return matchesPattern(a, b);
+  if (!isGlobPattern(b)) return matchesPattern(b, a);
+
+  return expandBraces(a).some(left => expandBraces(b).some(right =>
+    pathSegmentsOverlap(left.split('/'), right.split('/'))
+  ));
+}
+
+/**
+ * Mode of a lock entry. Entries written before schema v4 are exclusive.
+ */
+function getLockMode(lock) {
+  return (lock && lock.mode) || 'exclusive';
+}
+
+/**
+ * Holders of a lock entry as `{ workerId, acquired_at, expires_at }`. An
+ * exclusive lock has one holder, a shared lock any number; entries written
+ * before schema v3 are plain worker ids.
+ */
+function getLockHolders(lock) {
+  if (!lock) return [];
+  if (typeof lock === 'string') return [{ workerId: lock }];
+
+  if (getLockMode(lock) === 'shared') {
+    return Object.entries(lock.holders || {}).map(([workerId, lease]) => ({ workerId, ...lease }));
+  }
+
+  const { owner, acquired_at, expires_at, renewed_at } = lock;
+  return [{ workerId: owner, acquired_at, expires_at, renewed_at }];
+}
+
+function isHeldBy(lock, workerId) {
+  return getLockHolders(lock).some(holder => holder.workerId === workerId);
+}
+
+function isLeaseExpired(lease, now = Date.now()) {
+  return Boolean(lease && lease.expires_at) && new Date(lease.expires_at).getTime() <= now;
+}
+
+/**
+ * Live lock held by another worker that a request for `key` in `mode`
+ * conflicts with, as `{ key, owner, mode }`, or null if it is free to
+ * proceed. Shared locks only conflict with exclusive ones.
+ */
+function findConflictingLock(state, key, workerId, { mode = 'exclusive', now = Date.now() } = {}) {
+  for (const [lockKey, lock] of Object.entries(state.file_locks)) {
+    const lockMode = getLockMode(lock);
+    if (mode === 'shared' && lockMode === 'shared') continue;
+
+    const other = getLockHolders(lock).find(holder =>
+      holder.workerId !== workerId && !isLeaseExpired(holder, now)
+    );
+
+    if (other && locksOverlap(lockKey, key)) {
+      return { key: lockKey, owner: other.workerId, mode: lockMode };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether a worker holds a live lock that conflicts with a request for
+ * `key` in `mode`
+ */
+function holdsConflictingLock(state, workerId, key, mode = 'exclusive', now = Date.now()) {
+  return Object.entries(state.file_locks).some(([lockKey, lock]) =>
+    !(mode === 'shared' && getLockMode(lock) === 'shared') &&
+    getLockHolders(lock).some(holder => holder.workerId === workerId && !isLeaseExpired(holder, now)) &&
+    locksOverlap(lockKey, key)
+  );
+}
+
+/**
+ * Earlier queued request from another worker that a request for `key` in
+ * `mode` conflicts with, as `{ key, owner, mode, waiting: true }`. Requests
+ * are served in the order they were queued in `lock_waits`, so a new request
+ * can't overtake a waiting one (readers can't starve writers and vice versa).
+ * Requests that are waiting for the requester's own locks don't count, as
+ * queueing behind them would deadlock. `before` is the requester's own
+ * position in the queue, if it has one.
+ */
+function findQueuedRequest(state, key, workerId, { mode = 'exclusive', now = Date.now(), before = Infinity } = {}) {
+  const waits = (state.lock_waits || []).slice(0, before);
+
+  const wait = waits.find(entry =>
+    entry.workerId !== workerId &&
+    !(mode === 'shared' && entry.mode === 'shared') &&
+    !isLeaseExpired(entry, now) &&
+    locksOverlap(entry.key, key) &&
+    !holdsConflictingLock(state, workerId, entry.key, entry.mode, now)
+  );
+
+  return wait ? { key: wait.key, owner: wait.workerId, mode: wait.mode, waiting: true } : null;
+}
+
+/**
+ * Position of a worker's request in `lock_waits`, or Infinity if it has
+ * not been queued. Batch requests are identified by their `request` id.
+ */
+function getQueuePosition(state, workerId, { key, request } = {}) {
+  const index = (state.lock_waits || []).findIndex(entry => entry.workerId === workerId &&
+    (request ? entry.request === request : entry.key === key));
+
+  return index === -1 ? Infinity : index;
+}
+
+/**
+ * Whether everything a lock key covers lies within a pattern. A pattern key
+ * is matched as a literal string, so `src/**\/*.ts` is within `src/**` but
+ * not within `src/**\/*.tsx`, and a directory key stands for all its contents.
+ */
+function isWithinPattern(key, pattern) {
+  if (key === pattern) return true;
+  return matchesPattern(isDirectoryKey(key) ? `${key}**` : key, pattern);
+}
+
+/**
+ * Why a worker may not lock `key` under the state's `file_protection`
+ * rules, as `{ key, reason, group, pattern }`, or null. Keys within an
+ * `exclude_patterns` entry are off limits to everyone (reason `excluded`);
+ * other keys must lie within one of the `files` patterns of the worker's
+ * group (reason `outside-group`). Groups without `files` may lock anything.
+ */
+function findScopeViolation(state, workerId, key) {
+  const protection = state.file_protection;
+  if (!protection || protection.group_scope === 'off') return null;
+
+  const worker = state.active_workers[workerId];
+  const group = worker ? worker.group : null;
+
+  const excluded = (protection.exclude_patterns || []).find(pattern => isWithinPattern(key, pattern));
+  if (excluded) {
+    return { key, reason: 'excluded', group, pattern: excluded };
+  }
+
+  const patterns = ((state.dependencies || {})[group] || {}).files || [];
+  if (patterns.length > 0 && !patterns.some(pattern => isWithinPattern(key, pattern))) {
+    return { key, reason: 'outside-group', group, pattern: null };
+  }
+
+  return null;
+}
+
+function createLease(owner, ttl = DEFAULT_LOCK_TTL, now = Date.now(), mode = 'exclusive') {
+  return {
+    mode,
+    owner,
+    acquired_at: new Date(now).toISOString(),
+    expires_at: new Date(now + ttl).toISOString()
+  };
+}
+
+/**
+ * Files a worker holds locks on
+ */
+function getLocksHeldBy(state, workerId) {
+  return Object.entries(state.file_locks)
+    .filter(([, lock]) => isHeldBy(lock, workerId))
+    .map(([filePath]) => filePath);
+}
+
+/**
+ * Leases past their expiry, as `{ filePath, workerId, expiredAt }`
+ */
+function findExpiredLeases(state, now = Date.now()) {
+  const expired = [];
+
+  for (const [filePath, lock] of Object.entries(state.file_locks)) {
+    for (const holder of getLockHolders(lock)) {
+      if (isLeaseExpired(holder, now)) {
+        expired.push({ filePath, workerId: holder.workerId, expiredAt: holder.expires_at });
+      }
+    }
+  }
+
+  return expired;
+}
+
+module.exports = {
+  DEFAULT_LOCK_TTL,
+  MAX_RECLAIM_HISTORY,
+  MAX_PREEMPTION_HISTORY,
+  MAX_SCOPE_VIOLATION_HISTORY,
+  SCOPE_POLICIES,
+  LOCK_MODES,
+  LOCK_FREEING_EVENTS,
+  isGlobPattern,
+  escapeLiteralParens,
+  isDirectoryKey,
+  normalizeLockKey,
+  locksOverlap,
+  getLockMode,
+  getLockHolders,
+  isHeldBy,
+  isLeaseExpired,
+  findConflictingLock,
+  findQueuedRequest,
+  getQueuePosition,
+  isWithinPattern,
+  findScopeViolation,
+  createLease,
+  getLocksHeldBy,
+  findExpiredLeases
+};
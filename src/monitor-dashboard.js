@@ -8,6 +8,12 @@
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
+const { StateStore } = require('./state-store');
+const CoordinatorDiscovery = require('./coordinator-discovery');
+const CoordinationClient = require('./coordination-client');
+const EventJournal = require('./event-journal');
+const { getLockHolders, getLockMode } = require('./lock-manager');
+const { buildLockHistory, buildContentionReport } = require('./lock-history');
 
 class MonitorDashboard {
   constructor(projectRoot, options = {}) {
@@ -17,6 +23,10 @@ class MonitorDashboard {
     this.isRunning = false;
     this.coordDir = path.join(this.projectRoot, '.claude-coord');
     this.stateFile = path.join(this.coordDir, 'system-state.json');
+    this.store = new StateStore(this.stateFile, { validate: true });
+    this.journal = new EventJournal(this.coordDir);
+    this.discovery = new CoordinatorDiscovery(this.coordDir);
+    this.client = null;
   }
 
   async start() {
@@ -52,7 +62,7 @@ class MonitorDashboard {
     while (this.isRunning) {
       try {
         await this.updateDisplay();
-        await new Promise(resolve => setTimeout(resolve, this.refreshInterval));
+        await this.waitForRefresh();
       } catch (error) {
         console.error(chalk.red('Monitor error:'), error.message);
         await new Promise(resolve => setTimeout(resolve, 5000));
@@ -75,7 +85,7 @@ class MonitorDashboard {
     console.log('═'.repeat(80));
     
     // System Overview
-    await this.displaySystemOverview(systemState);
+    await this.displaySystemOverview(systemState, await this.discovery.find());
     console.log();
     
     // Active Workers
@@ -98,7 +108,7 @@ class MonitorDashboard {
     }
   }
 
-  async displaySystemOverview(systemState) {
+  async displaySystemOverview(systemState, coordinator) {
     const activeWorkers = Object.keys(systemState.active_workers || {}).length;
     const fileLocks = Object.keys(systemState.file_locks || {}).length;
     const totalTasks = systemState.task_progress?.total_groups || 0;
@@ -106,6 +116,7 @@ class MonitorDashboard {
     const healthy = systemState.system_info?.healthy !== false;
     
     console.log(chalk.cyan('📈 System Overview:'));
+    console.log(`  Coordinator: ${coordinator ? chalk.green(`pid ${coordinator.pid} on ${coordinator.dashboard_url}`) : chalk.red('Not running')}`);
     console.log(`  Active Workers: ${activeWorkers > 0 ? chalk.green(activeWorkers) : chalk.gray(activeWorkers)}`);
     console.log(`  File Locks: ${fileLocks > 0 ? chalk.yellow(fileLocks) : chalk.gray(fileLocks)}`);
     console.log(`  Tasks: ${chalk.green(completedTasks)}/${totalTasks}`);
@@ -146,16 +157,76 @@ class MonitorDashboard {
 
   async displayFileLocks(systemState) {
     const locks = systemState.file_locks || {};
+    const reclaims = systemState.lock_reclaims || [];
+    const waits = systemState.lock_waits || [];
+    const deadlocks = systemState.deadlocks || [];
     
     console.log(chalk.cyan('🔒 File Locks:'));
     
     if (Object.keys(locks).length === 0) {
       console.log(chalk.gray('  No file locks'));
-      return;
     }
     
-    Object.entries(locks).forEach(([file, workerId]) => {
-      console.log(`  ${chalk.yellow('🔒')} ${file} → ${chalk.bold(workerId)}`);
+    Object.entries(locks).forEach(([file, lock]) => {
+      const holders = getLockHolders(lock);
+      // A shared lock is only as fresh as its stalest reader
+      const remaining = Math.min(...holders.map(holder => new Date(holder.expires_at).getTime())) - Date.now();
+      const lease = remaining > 0 ?
+        chalk.gray(`lease ${Math.ceil(remaining / 1000)}s`) :
+        chalk.red('lease expired');
+      const owners = chalk.bold(holders.map(holder => holder.workerId).join(', '));
+      
+      if (getLockMode(lock) === 'shared') {
+        console.log(`  ${chalk.green('📖')} ${file} → ${owners} ${chalk.gray('(shared)')} ${lease}`);
+      } else {
+        console.log(`  ${chalk.yellow('🔒')} ${file} → ${owners} ${lease}`);
+      }
+    });
+    
+    // Queued requests in the order they will be served; a batch is one line
+    const requests = new Map();
+    waits.forEach(wait => {
+      const id = wait.request || `${wait.workerId}:${wait.key}`;
+      if (!requests.has(id)) requests.set(id, { ...wait, keys: [] });
+      requests.get(id).keys.push(wait.key);
+    });
+    
+    [...requests.values()].forEach((request, index) => {
+      console.log(`  ${chalk.gray(`⏳ #${index + 1}`)} ${request.keys.join(', ')} ← ${chalk.bold(request.workerId)} ${chalk.gray(`waiting for ${request.mode} lock, queued ${this.formatTimeAgo(new Date(request.since))}`)}`);
+    });
+    
+    // Release requests from higher-priority workers: pending ones, then the latest outcomes
+    const releaseRequests = systemState.release_requests || [];
+    const settled = releaseRequests.filter(request => request.status !== 'pending').slice(-3);
+    releaseRequests.filter(request => request.status === 'pending').concat(settled).forEach(request => {
+      const icon = { pending: '🙋', released: '🤝', forced: '⚡', withdrawn: '↩️ ' }[request.status];
+      const when = request.status === 'pending' ?
+        (request.deadline ? `forced in ${Math.max(0, Math.ceil((new Date(request.deadline).getTime() - Date.now()) / 1000))}s` : 'no deadline') :
+        this.formatTimeAgo(new Date(request.resolved_at));
+      console.log(`  ${icon} ${request.key}: ${chalk.bold(request.requester)} asked ${chalk.bold(request.holder)} ${chalk.gray(`(${request.status}, ${when})`)}`);
+    });
+    
+    // Wait-for cycles the coordinator broke by making one worker back off
+    deadlocks.slice(-3).forEach(deadlock => {
+      const cycle = deadlock.cycle.map(step => step.workerId).concat(deadlock.cycle[0].workerId).join(' → ');
+      console.log(`  ${chalk.red('⛔')} Deadlock ${cycle}: ${chalk.bold(deadlock.victim)} backed off ${chalk.gray(`(${deadlock.policy}) ${this.formatTimeAgo(new Date(deadlock.resolved_at))}`)}`);
+    });
+    
+    // Lock requests outside a worker's group or on protected paths
+    (systemState.scope_violations || []).slice(-3).forEach(violation => {
+      const why = violation.reason === 'excluded' ? `protected by ${violation.pattern}` : `outside ${violation.group}`;
+      console.log(`  ${chalk.red('🚫')} ${violation.key} requested by ${chalk.bold(violation.workerId)} ${chalk.gray(`(${why}, ${violation.action} ${this.formatTimeAgo(new Date(violation.at))})`)}`);
+    });
+    
+    // Files the coordinator saw change without the lock that should cover them
+    (systemState.change_violations || []).slice(-3).forEach(violation => {
+      const why = violation.reason === 'unlocked' ? 'no lock held' : `locked by ${violation.holders.join(', ')}, task of ${violation.workers.join(', ')}`;
+      console.log(`  ${chalk.red('👁️ ')} ${violation.key} ${violation.change === 'unlink' ? 'deleted' : 'modified'} ${chalk.gray(`(${why}, ${this.formatTimeAgo(new Date(violation.at))})`)}`);
+    });
+    
+    // Leases the coordinator took back from unresponsive workers
+    reclaims.slice(-5).forEach(reclaim => {
+      console.log(`  ${chalk.red('⌛')} ${reclaim.file} reclaimed from ${chalk.bold(reclaim.owner)} ${chalk.gray(this.formatTimeAgo(new Date(reclaim.reclaimed_at)))}`);
     });
   }
 
@@ -179,6 +250,13 @@ class MonitorDashboard {
         console.log(`    Depends on: ${chalk.gray(group.dependencies.join(', '))}`);
       }
     });
+
+    // Worker branches in worktree isolation mode and how far their merge got
+    Object.entries(systemState.worktrees || {}).forEach(([workerId, worktree]) => {
+      const icon = { active: '🌱', submitted: '⏳', merged: '🌳', conflict: '💥', failed: '❌' }[worktree.status];
+      const detail = worktree.conflicts ? `: ${worktree.conflicts.join(', ')}` : worktree.error ? `: ${worktree.error}` : '';
+      console.log(`  ${icon} ${chalk.bold(workerId)} ${chalk.gray(`${worktree.branch} ${worktree.status}${detail}`)}`);
+    });
   }
 
   async displayRecentActivity(systemState) {
@@ -201,13 +279,43 @@ class MonitorDashboard {
     });
   }
 
+  /**
+   * Wait for the next refresh. Connected to the coordinator, the display
+   * refreshes as soon as a state event is pushed.
+   */
+  async waitForRefresh() {
+    if (this.client && this.client.connected) {
+      await this.client.waitForEvent(() => true, this.refreshInterval);
+    } else {
+      await new Promise(resolve => setTimeout(resolve, this.refreshInterval));
+    }
+  }
+
   async loadSystemState() {
+    // The live dashboard reads from the running coordinator over IPC
+    if (this.isRunning) {
+      if (!this.client || !this.client.connected) {
+        this.client = await CoordinationClient.connectTo(this.coordDir, { subscribe: true });
+      }
+      
+      if (this.client) {
+        try {
+          return await this.client.request('state.get');
+        } catch (error) {
+          // Fall back to the state file
+        }
+      }
+    }
+    
     try {
-      if (await fs.pathExists(this.stateFile)) {
-        return await fs.readJSON(this.stateFile);
+      if (await this.store.exists()) {
+        return await this.store.read();
       }
     } catch (error) {
-      // Ignore read errors
+      // Ignore transient read errors, but explain a corrupt state file
+      if (error.code === 'ESTATEINVALID') {
+        console.error(chalk.red(`❌ ${error.message}`));
+      }
     }
     
     return {
@@ -219,6 +327,23 @@ class MonitorDashboard {
     };
   }
 
+  /**
+   * Quick summary for `claude-monitor status`
+   */
+  async getQuickStatus() {
+    const systemState = await this.loadSystemState();
+    const coordinator = await this.discovery.find();
+    
+    return {
+      coordinatorRunning: Boolean(coordinator),
+      coordinator,
+      activeWorkers: Object.keys(systemState.active_workers || {}).length,
+      fileLocks: Object.keys(systemState.file_locks || {}).length,
+      healthy: systemState.system_info?.healthy !== false,
+      recentActivity: []
+    };
+  }
+
   async loadRecentLogs() {
     try {
       const logFile = path.join(this.coordDir, 'activity.log');
@@ -297,6 +422,51 @@ class MonitorDashboard {
     }
   }
 
+  /**
+   * Lock contention report for `claude-monitor locks --report`, built from
+   * the journal (archived segments included)
+   */
+  async getLockReport({ since = null, top = 10 } = {}) {
+    const history = buildLockHistory(await this.journal.readAllEvents(), { since });
+    return buildContentionReport(history, { top });
+  }
+
+  displayLockReport(report) {
+    if (!report.from) {
+      console.log(chalk.yellow('No lock history recorded yet'));
+      return;
+    }
+    
+    console.log(chalk.blue(`📊 Lock report ${new Date(report.from).toLocaleString()} → ${new Date(report.to).toLocaleString()}`));
+    console.log(chalk.gray(`${report.totals.holds} holds, ${report.totals.waits} waits, ${this.formatMs(report.totals.waitTime)} spent waiting`));
+    console.log(chalk.gray('─'.repeat(60)));
+    
+    console.log(chalk.cyan('🔥 Most contended:'));
+    if (report.hotFiles.length === 0) console.log(chalk.gray('  No lock waits'));
+    report.hotFiles.forEach((file, index) => {
+      console.log(`  ${index + 1}. ${chalk.bold(file.key)} - ${file.waits} waits, avg ${this.formatMs(file.avgWait)}, max ${this.formatMs(file.maxWait)} ${chalk.gray(`(${file.workers} workers, ${file.acquisitions} holds)`)}`);
+    });
+    
+    console.log(chalk.cyan('⏳ Waiting per group:'));
+    report.groups.forEach(group => {
+      console.log(`  ${chalk.bold(group.group)}: ${group.waits} waits, avg ${this.formatMs(group.avgWait)}, max ${this.formatMs(group.maxWait)} ${chalk.gray(`(${group.holds} holds, avg ${this.formatMs(group.avgHold)})`)}`);
+    });
+    
+    console.log(chalk.cyan('🐢 Longest holds:'));
+    if (report.longestHolds.length === 0) console.log(chalk.gray('  No locks taken'));
+    report.longestHolds.forEach(hold => {
+      const until = hold.released_at ? `released ${this.formatTimeAgo(new Date(hold.released_at))}` : 'still held';
+      console.log(`  ${this.formatMs(hold.duration).padStart(7)} ${hold.key} → ${chalk.bold(hold.workerId)} ${chalk.gray(`(${hold.group || 'unknown'}, ${hold.mode}, ${until})`)}`);
+    });
+  }
+
+  formatMs(ms) {
+    if (ms < 1000) return `${ms}ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+    if (ms < 3600000) return `${Math.floor(ms / 60000)}m ${Math.floor((ms % 60000) / 1000)}s`;
+    return `${Math.floor(ms / 3600000)}h ${Math.floor((ms % 3600000) / 60000)}m`;
+  }
+
   formatTimeAgo(date) {
     const now = new Date();
     const diffMs = now - date;
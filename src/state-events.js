@@ -0,0 +1,352 @@
+/**
+ * Coordination State Events
+ * Typed state mutations shared by the state store and the event journal
+ */
+
+const { migrateState } = require('./state-schema');
+const { getLockMode, isHeldBy, MAX_RECLAIM_HISTORY, MAX_PREEMPTION_HISTORY, MAX_SCOPE_VIOLATION_HISTORY } = require('./lock-manager');
+const { MAX_DEADLOCK_HISTORY } = require('./deadlock-detector');
+const { MAX_CHANGE_VIOLATION_HISTORY } = require('./change-watcher');
+
+/**
+ * Event reducers. Each reducer applies one event to the state in place, so
+ * replaying the journal from a snapshot reproduces the state file exactly.
+ */
+const reducers = {
+  // Full state replacement (system initialization or a legacy save)
+  state_replaced(state, { state: nextState }) {
+    for (const key of Object.keys(state)) {
+      delete state[key];
+    }
+    Object.assign(state, JSON.parse(JSON.stringify(nextState)));
+  },
+
+  // Schema upgrade of an existing state (see state-schema.js)
+  state_migrated(state, { to }) {
+    migrateState(state, to);
+  },
+
+  // A restarted coordinator adopting the previous session. Journals written
+  // before lock scopes were enforced carry no `fileProtection`, and those
+  // from before worktree isolation no `isolation`.
+  coordinator_recovered(state, { pid, previousPid, at, dependencies, fileProtection, isolation }) {
+    Object.assign(state.system_info, {
+      coordinator_pid: pid,
+      previous_coordinator_pid: previousPid,
+      recovered_at: at
+    });
+    state.dependencies = dependencies;
+
+    if (fileProtection) {
+      state.file_protection = fileProtection;
+    } else if (fileProtection === null) {
+      delete state.file_protection;
+    }
+
+    if (isolation) {
+      state.isolation = isolation;
+    } else if (isolation === null) {
+      delete state.isolation;
+    }
+  },
+
+  // Liveness record workers poll to detect a dead coordinator
+  coordinator_heartbeat(state, { heartbeat }) {
+    state.coordinator = heartbeat;
+  },
+
+  coordinator_stopped(state, { at }) {
+    if (state.coordinator) {
+      state.coordinator.stopped_at = at;
+    }
+  },
+
+  worker_registered(state, { workerId, worker }) {
+    state.active_workers[workerId] = worker;
+    state.task_progress.active_groups++;
+  },
+
+  worker_status_changed(state, { workerId, updates }) {
+    if (state.active_workers[workerId]) {
+      Object.assign(state.active_workers[workerId], updates);
+    }
+  },
+
+  // Worker heartbeat; also renews the leases on every lock the worker holds
+  worker_heartbeat(state, { workerId, updates, expires_at }) {
+    const worker = state.active_workers[workerId];
+    if (!worker) return;
+
+    Object.assign(worker, updates);
+
+    for (const lock of Object.values(state.file_locks)) {
+      const lease = getLockMode(lock) === 'shared' ? lock.holders[workerId] :
+        (typeof lock === 'object' && lock.owner === workerId ? lock : null);
+
+      if (lease) {
+        lease.expires_at = expires_at;
+        lease.renewed_at = updates.last_heartbeat;
+      }
+    }
+  },
+
+  worker_reassigned(state, { workerId, group, at }) {
+    const worker = state.active_workers[workerId];
+    if (!worker) return;
+
+    releaseWorkerLocks(state, workerId);
+    clearWorkerWaits(state, workerId);
+
+    state.active_workers[workerId] = {
+      ...worker,
+      group,
+      status: 'reassigned',
+      reassigned_at: at,
+      previous_group: worker.group,
+      current_files: [],
+      progress: {
+        total_tasks: 0,
+        completed_tasks: 0,
+        current_task: null
+      }
+    };
+  },
+
+  worker_removed(state, { workerId }) {
+    if (!state.active_workers[workerId]) return;
+
+    releaseWorkerLocks(state, workerId);
+    clearWorkerWaits(state, workerId);
+    delete state.active_workers[workerId];
+
+    if (state.task_progress.active_groups > 0) {
+      state.task_progress.active_groups--;
+    }
+  },
+
+  workers_cleared(state) {
+    state.active_workers = {};
+    state.file_locks = {};
+    state.lock_waits = [];
+  },
+
+  // Journals written before schema v3 carry no lease
+  lock_acquired(state, { filePath, workerId, lease }) {
+    endWait(state, workerId, filePath);
+
+    if (!lease || lease.mode !== 'shared') {
+      state.file_locks[filePath] = lease || workerId;
+      return;
+    }
+
+    const { acquired_at, expires_at } = lease;
+    const existing = state.file_locks[filePath];
+
+    if (getLockMode(existing) === 'shared') {
+      existing.holders[workerId] = { acquired_at, expires_at };
+    } else {
+      state.file_locks[filePath] = { mode: 'shared', holders: { [workerId]: { acquired_at, expires_at } } };
+    }
+  },
+
+  lock_released(state, { filePath, workerId }) {
+    releaseHolder(state, filePath, workerId);
+  },
+
+  // A lease that ran out without being renewed, reclaimed by the coordinator
+  lock_expired(state, { filePath, workerId, expired_at, at }) {
+    if (!releaseHolder(state, filePath, workerId)) return;
+
+    state.lock_reclaims = [
+      ...(state.lock_reclaims || []),
+      { file: filePath, owner: workerId, expired_at, reclaimed_at: at }
+    ].slice(-MAX_RECLAIM_HISTORY);
+  },
+
+  // A refused lock request; refreshed on every retry until granted or
+  // abandoned. Batch requests queue one entry per key under a `request` id.
+  lock_wait_started(state, { workerId, key, mode, request, at, expires_at }) {
+    state.lock_waits = state.lock_waits || [];
+
+    const wait = state.lock_waits.find(entry => entry.workerId === workerId && entry.key === key);
+    if (wait) {
+      Object.assign(wait, { mode, expires_at });
+    } else {
+      state.lock_waits.push({ workerId, key, mode, since: at, expires_at, ...(request && { request }) });
+    }
+  },
+
+  lock_wait_ended(state, { workerId, key }) {
+    endWait(state, workerId, key);
+  },
+
+  // A queued batch request reached the front; its locks arrive as
+  // `lock_acquired` events in the same commit
+  lock_request_granted(state, { workerId, request }) {
+    if (!state.lock_waits) return;
+    state.lock_waits = state.lock_waits.filter(entry => !(entry.workerId === workerId && entry.request === request));
+  },
+
+  // A higher-priority worker asks a lock holder to release at a safe point
+  release_requested(state, { id, key, holder, requester, reason, at, deadline }) {
+    state.release_requests = [
+      ...(state.release_requests || []),
+      { id, key, holder, requester, reason, status: 'pending', requested_at: at, deadline }
+    ];
+  },
+
+  // outcome: released (holder yielded), forced (deadline passed) or withdrawn
+  release_request_resolved(state, { id, outcome, at }) {
+    const request = (state.release_requests || []).find(entry => entry.id === id);
+    if (!request || request.status !== 'pending') return;
+
+    Object.assign(request, { status: outcome, resolved_at: at });
+
+    const pending = state.release_requests.filter(entry => entry.status === 'pending');
+    const settled = state.release_requests.filter(entry => entry.status !== 'pending');
+    state.release_requests = [...settled.slice(-MAX_PREEMPTION_HISTORY), ...pending];
+  },
+
+  // A lock request outside the worker's group or on a protected path;
+  // action: rejected, overridden (explicitly allowed) or allowed (warn policy)
+  lock_scope_violation(state, { workerId, group, key, reason, pattern, action, at }) {
+    state.scope_violations = [
+      ...(state.scope_violations || []),
+      { workerId, group, key, reason, pattern, action, at }
+    ].slice(-MAX_SCOPE_VIOLATION_HISTORY);
+  },
+
+  // A file changed on disk without the lock that should cover the change
+  file_change_flagged(state, { key, change, reason, holders, workers, at }) {
+    state.change_violations = [
+      ...(state.change_violations || []),
+      { key, change, reason, holders, workers, at }
+    ].slice(-MAX_CHANGE_VIOLATION_HISTORY);
+  },
+
+  // Worktree isolation: a worker's worktree and branch were created, the
+  // worker handed its finished work in, and the coordinator merged the
+  // branch back or gave up on it (conflicting files, or a git failure)
+  worktree_created(state, { workerId, path, branch, base, group, at }) {
+    state.worktrees = state.worktrees || {};
+    state.worktrees[workerId] = { path, branch, base, group, status: 'active', created_at: at };
+  },
+
+  worktree_submitted(state, { workerId, at }) {
+    const worktree = (state.worktrees || {})[workerId];
+    if (!worktree) return;
+
+    worktree.status = 'submitted';
+    worktree.submitted_at = at;
+    delete worktree.conflicts;
+    delete worktree.error;
+  },
+
+  worktree_merged(state, { workerId, commit, at }) {
+    const worktree = (state.worktrees || {})[workerId];
+    if (!worktree) return;
+
+    worktree.status = 'merged';
+    worktree.commit = commit;
+    worktree.merged_at = at;
+  },
+
+  worktree_conflict(state, { workerId, files }) {
+    const worktree = (state.worktrees || {})[workerId];
+    if (!worktree) return;
+
+    worktree.status = 'conflict';
+    worktree.conflicts = files;
+  },
+
+  worktree_failed(state, { workerId, error }) {
+    const worktree = (state.worktrees || {})[workerId];
+    if (!worktree) return;
+
+    worktree.status = 'failed';
+    worktree.error = error;
+  },
+
+  // The victim of a wait-for cycle gives up its locks and pending requests
+  deadlock_resolved(state, { cycle, victim, policy, released, at }) {
+    releaseWorkerLocks(state, victim);
+    clearWorkerWaits(state, victim);
+
+    state.deadlocks = [
+      ...(state.deadlocks || []),
+      { cycle, victim, policy, released, resolved_at: at }
+    ].slice(-MAX_DEADLOCK_HISTORY);
+  }
+};
+
+/**
+ * Drop one holder from a lock, removing the entry once nobody holds it.
+ * Returns false if the worker didn't hold the lock.
+ */
+function releaseHolder(state, filePath, workerId) {
+  const lock = state.file_locks[filePath];
+  if (!isHeldBy(lock, workerId)) return false;
+
+  if (getLockMode(lock) === 'shared') {
+    delete lock.holders[workerId];
+    if (Object.keys(lock.holders).length > 0) return true;
+  }
+
+  delete state.file_locks[filePath];
+  return true;
+}
+
+function endWait(state, workerId, key) {
+  if (!state.lock_waits) return;
+  state.lock_waits = state.lock_waits.filter(entry => !(entry.workerId === workerId && entry.key === key));
+}
+
+function clearWorkerWaits(state, workerId) {
+  if (!state.lock_waits) return;
+  state.lock_waits = state.lock_waits.filter(entry => entry.workerId !== workerId);
+}
+
+/**
+ * Release every lock held by a worker
+ */
+function releaseWorkerLocks(state, workerId) {
+  for (const filePath of Object.keys(state.file_locks)) {
+    releaseHolder(state, filePath, workerId);
+  }
+}
+
+/**
+ * Build a journal event
+ */
+function createEvent(type, data = {}) {
+  if (!reducers[type]) {
+    throw new Error(`Unknown state event type: ${type}`);
+  }
+
+  return {
+    type,
+    at: new Date().toISOString(),
+    pid: process.pid,
+    data
+  };
+}
+
+/**
+ * Apply an event to the state in place
+ */
+function applyEvent(state, event) {
+  const reducer = reducers[event.type];
+
+  if (!reducer) {
+    throw new Error(`Unknown state event type: ${event.type}`);
+  }
+
+  reducer(state, event.data || {});
+  return state;
+}
+
+module.exports = {
+  EVENT_TYPES: Object.keys(reducers),
+  createEvent,
+  applyEvent
+};
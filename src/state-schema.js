@@ -0,0 +1,420 @@
+/**
+ * Coordination State Schema
+ * Shape of system-state.json, validation with readable diagnostics, and the
+ * chain of migrations that brings older state files up to date
+ */
+
+const { createLease } = require('./lock-manager');
+
+// Bump together with a new entry in `migrations`
+const STATE_SCHEMA_VERSION = 4;
+
+const WORKER_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    group: { type: 'string', required: true },
+    status: { type: 'string', required: true },
+    pid: { type: ['integer', 'null'] },
+    started_at: { type: 'string' },
+    last_heartbeat: { type: 'string', required: true },
+    current_files: { type: 'array', items: { type: 'string' } },
+    progress: {
+      type: 'object',
+      required: true,
+      properties: {
+        total_tasks: { type: 'integer', required: true },
+        completed_tasks: { type: 'integer', required: true },
+        current_task: { type: ['string', 'object', 'null'] }
+      }
+    }
+  }
+};
+
+const GROUP_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    priority: { type: 'number' },
+    blocks: { type: 'array', items: { type: 'string' } },
+    blocked_by: { type: 'array', items: { type: 'string' } },
+    files: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const LEASE_SCHEMA = {
+  type: 'object',
+  properties: {
+    acquired_at: { type: 'string', required: true },
+    expires_at: { type: 'string', required: true },
+    renewed_at: { type: 'string' }
+  }
+};
+
+// Exclusive locks are a lease with an `owner`; shared ones map each holder to a lease
+const LOCK_SCHEMA = {
+  type: 'object',
+  properties: {
+    mode: { type: 'string', enum: ['exclusive', 'shared'], required: true },
+    owner: { type: 'string' },
+    acquired_at: { type: 'string' },
+    expires_at: { type: 'string' },
+    renewed_at: { type: 'string' },
+    holders: { type: 'object', values: LEASE_SCHEMA }
+  },
+  check(lock) {
+    if (lock.mode === 'shared') {
+      return lock.holders && Object.keys(lock.holders).length > 0 ? null : 'shared lock without holders';
+    }
+    return lock.owner && lock.acquired_at && lock.expires_at ? null : 'exclusive lock needs owner, acquired_at and expires_at';
+  }
+};
+
+const STATE_SCHEMA = {
+  type: 'object',
+  properties: {
+    schema_version: { type: 'integer', required: true },
+    revision: { type: 'integer' },
+    system_info: {
+      type: 'object',
+      required: true,
+      properties: {
+        initialized_at: { type: 'string', required: true },
+        version: { type: 'string' },
+        project_root: { type: 'string' },
+        max_workers: { type: 'integer' },
+        coordination_mode: { type: 'string' },
+        coordinator_pid: { type: ['integer', 'null'] }
+      }
+    },
+    coordinator: {
+      type: 'object',
+      properties: {
+        pid: { type: 'integer', required: true },
+        heartbeat_interval: { type: 'integer', required: true },
+        last_heartbeat: { type: 'string', required: true },
+        stopped_at: { type: 'string' }
+      }
+    },
+    active_workers: { type: 'object', required: true, values: WORKER_SCHEMA },
+    file_locks: { type: 'object', required: true, values: LOCK_SCHEMA },
+    lock_waits: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          workerId: { type: 'string', required: true },
+          key: { type: 'string', required: true },
+          mode: { type: 'string', enum: ['exclusive', 'shared'], required: true },
+          request: { type: 'string' },
+          since: { type: 'string', required: true },
+          expires_at: { type: 'string', required: true }
+        }
+      }
+    },
+    lock_reclaims: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          file: { type: 'string', required: true },
+          owner: { type: 'string', required: true },
+          expired_at: { type: 'string' },
+          reclaimed_at: { type: 'string', required: true }
+        }
+      }
+    },
+    release_requests: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', required: true },
+          key: { type: 'string', required: true },
+          holder: { type: 'string', required: true },
+          requester: { type: 'string', required: true },
+          reason: { type: ['string', 'null'] },
+          status: { type: 'string', enum: ['pending', 'released', 'forced', 'withdrawn'], required: true },
+          requested_at: { type: 'string', required: true },
+          deadline: { type: ['string', 'null'] },
+          resolved_at: { type: 'string' }
+        }
+      }
+    },
+    file_protection: {
+      type: 'object',
+      properties: {
+        group_scope: { type: 'string', enum: ['enforce', 'warn', 'off'] },
+        exclude_patterns: { type: 'array', items: { type: 'string' } },
+        backup_before_modify: { type: 'boolean' }
+      }
+    },
+    scope_violations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          workerId: { type: 'string', required: true },
+          group: { type: ['string', 'null'] },
+          key: { type: 'string', required: true },
+          reason: { type: 'string', enum: ['excluded', 'outside-group'], required: true },
+          pattern: { type: ['string', 'null'] },
+          action: { type: 'string', enum: ['rejected', 'overridden', 'allowed'], required: true },
+          at: { type: 'string', required: true }
+        }
+      }
+    },
+    change_violations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          key: { type: 'string', required: true },
+          change: { type: 'string', enum: ['add', 'change', 'unlink'], required: true },
+          reason: { type: 'string', enum: ['unlocked', 'wrong-holder'], required: true },
+          holders: { type: 'array', items: { type: 'string' } },
+          workers: { type: 'array', items: { type: 'string' } },
+          at: { type: 'string', required: true }
+        }
+      }
+    },
+    isolation: {
+      type: 'object',
+      properties: {
+        mode: { type: 'string', enum: ['worktree'], required: true },
+        base_branch: { type: 'string', required: true }
+      }
+    },
+    worktrees: {
+      type: 'object',
+      values: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', required: true },
+          branch: { type: 'string', required: true },
+          base: { type: 'string', required: true },
+          group: { type: ['string', 'null'] },
+          status: { type: 'string', enum: ['active', 'submitted', 'merged', 'conflict', 'failed'], required: true },
+          created_at: { type: 'string', required: true },
+          submitted_at: { type: 'string' },
+          merged_at: { type: 'string' },
+          commit: { type: ['string', 'null'] },
+          conflicts: { type: 'array', items: { type: 'string' } },
+          error: { type: 'string' }
+        }
+      }
+    },
+    deadlocks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          cycle: {
+            type: 'array',
+            required: true,
+            items: {
+              type: 'object',
+              properties: {
+                workerId: { type: 'string', required: true },
+                waitsFor: { type: 'string', required: true },
+                key: { type: 'string', required: true }
+              }
+            }
+          },
+          victim: { type: 'string', required: true },
+          policy: { type: 'string' },
+          released: { type: 'array', items: { type: 'string' } },
+          resolved_at: { type: 'string', required: true }
+        }
+      }
+    },
+    dependencies: { type: 'object', required: true, values: GROUP_SCHEMA },
+    task_progress: {
+      type: 'object',
+      required: true,
+      properties: {
+        total_groups: { type: 'integer', required: true },
+        completed_groups: { type: 'integer', required: true },
+        active_groups: { type: 'integer', required: true }
+      }
+    },
+    messages: { type: 'array', required: true }
+  }
+};
+
+/**
+ * Migrations keyed by the version they produce. Each one upgrades a state
+ * of the previous version in place and must be safe to run on a live session.
+ */
+const migrations = {
+  // v1 was the original unversioned layout; fill in the containers and
+  // worker fields later code relies on
+  2(state) {
+    const now = new Date().toISOString();
+
+    state.system_info = { initialized_at: now, ...state.system_info };
+    state.active_workers = state.active_workers || {};
+    state.file_locks = state.file_locks || {};
+    state.dependencies = state.dependencies || {};
+    state.messages = Array.isArray(state.messages) ? state.messages : [];
+    state.task_progress = {
+      total_groups: Object.keys(state.dependencies).length,
+      completed_groups: 0,
+      active_groups: Object.keys(state.active_workers).length,
+      ...state.task_progress
+    };
+
+    for (const [workerId, worker] of Object.entries(state.active_workers)) {
+      if (!worker || typeof worker !== 'object') continue;
+
+      worker.id = worker.id || workerId;
+      worker.status = worker.status || 'unknown';
+      worker.last_heartbeat = worker.last_heartbeat || worker.started_at || now;
+      worker.current_files = worker.current_files || [];
+      worker.progress = {
+        total_tasks: 0,
+        completed_tasks: 0,
+        current_task: null,
+        ...worker.progress
+      };
+    }
+  },
+
+  // v3 turned `path → workerId` locks into leases. Existing locks get a full
+  // lease term so their holders have time to start renewing them.
+  3(state) {
+    for (const [filePath, lock] of Object.entries(state.file_locks)) {
+      if (typeof lock === 'string') {
+        state.file_locks[filePath] = createLease(lock);
+      }
+    }
+  },
+
+  // v4 added shared locks and the queue of waiting lock requests
+  4(state) {
+    for (const lock of Object.values(state.file_locks)) {
+      lock.mode = lock.mode || 'exclusive';
+    }
+    state.lock_waits = state.lock_waits || [];
+  }
+};
+
+/**
+ * Raised when a state file does not match the schema
+ */
+class StateValidationError extends Error {
+  constructor(source, errors) {
+    const details = errors.map(error => `  - ${error.path}: ${error.message}`).join('\n');
+
+    super(`Invalid coordination state in ${source}:\n${details}\n` +
+      'Run "claude-coord start" to recover from the event journal, or "claude-coord start --fresh" to reinitialize.');
+    this.name = 'StateValidationError';
+    this.code = 'ESTATEINVALID';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Schema version of a state; files written before versioning are v1
+ */
+function getSchemaVersion(state) {
+  return Number.isInteger(state.schema_version) ? state.schema_version : 1;
+}
+
+/**
+ * Upgrade a state in place to the target version. Returns the versions
+ * that were applied (empty when already current, or newer than we know).
+ */
+function migrateState(state, targetVersion = STATE_SCHEMA_VERSION) {
+  const applied = [];
+
+  for (let version = getSchemaVersion(state) + 1; version <= targetVersion; version++) {
+    const migration = migrations[version];
+
+    if (!migration) {
+      throw new Error(`No state migration to schema v${version}`);
+    }
+
+    migration(state);
+    state.schema_version = version;
+    applied.push(version);
+  }
+
+  return applied;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function checkValue(value, schema, location, errors) {
+  const types = [].concat(schema.type);
+
+  if (!types.some(type => matchesType(value, type))) {
+    errors.push({ path: location, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: location, message: `expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}` });
+    return;
+  }
+
+  if (schema.properties && typeOf(value) === 'object') {
+    for (const [key, property] of Object.entries(schema.properties)) {
+      if (value[key] === undefined) {
+        if (property.required) {
+          errors.push({ path: `${location}.${key}`, message: 'required field is missing' });
+        }
+        continue;
+      }
+
+      checkValue(value[key], property, `${location}.${key}`, errors);
+    }
+  }
+
+  if (schema.values && typeOf(value) === 'object') {
+    for (const [key, entry] of Object.entries(value)) {
+      checkValue(entry, schema.values, `${location}[${JSON.stringify(key)}]`, errors);
+    }
+  }
+
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, index) => checkValue(item, schema.items, `${location}[${index}]`, errors));
+  }
+
+  // Constraints across fields that the declarative part can't express
+  if (schema.check) {
+    const problem = schema.check(value);
+    if (problem) errors.push({ path: location, message: problem });
+  }
+}
+
+/**
+ * Check a state against the schema. Returns a list of `{ path, message }`
+ * problems, empty when the state is valid. Unknown fields are allowed so a
+ * newer coordinator's additions don't break older readers.
+ */
+function validateState(state) {
+  const errors = [];
+  checkValue(state, STATE_SCHEMA, 'state', errors);
+  return errors;
+}
+
+module.exports = {
+  STATE_SCHEMA_VERSION,
+  STATE_SCHEMA,
+  StateValidationError,
+  getSchemaVersion,
+  migrateState,
+  validateState
+};
@@ -0,0 +1,629 @@
+/**
+ * Coordination State Store
+ * Conflict-safe, cross-process access to the shared system-state.json.
+ *
+ * The running coordinator takes authority over the state: it keeps it in
+ * memory, applies updates there and flushes coalesced writes to disk on a
+ * debounce. Everyone else reads and writes the file under the lockfile.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const EventEmitter = require('events');
+const { createEvent, applyEvent } = require('./state-events');
+const {
+  STATE_SCHEMA_VERSION,
+  StateValidationError,
+  getSchemaVersion,
+  migrateState,
+  validateState
+} = require('./state-schema');
+
+/**
+ * Raised when a compare-and-swap write finds a newer revision on disk
+ */
+class StateConflictError extends Error {
+  constructor(expectedRevision, actualRevision) {
+    super(`State revision conflict: expected ${expectedRevision}, found ${actualRevision}`);
+    this.name = 'StateConflictError';
+    this.code = 'ESTATECONFLICT';
+    this.expectedRevision = expectedRevision;
+    this.actualRevision = actualRevision;
+  }
+}
+
+/**
+ * Raised when a process tries to write the state file while a running
+ * coordinator holds the state in memory; its write would be lost or would
+ * contradict the coordinator's (see takeAuthority)
+ */
+class StateAuthorityError extends Error {
+  constructor(stateFile, pid) {
+    super(`The coordinator (pid ${pid}) holds the state of ${stateFile} in memory; send updates through it instead of writing the file`);
+    this.name = 'StateAuthorityError';
+    this.code = 'ESTATEAUTHORITY';
+    this.pid = pid;
+  }
+}
+
+/**
+ * Check whether a process with the given pid is still alive
+ */
+function isProcessAlive(pid) {
+  if (!pid) return false;
+
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+let tempCounter = 0;
+
+class StateStore extends EventEmitter {
+  constructor(stateFile, options = {}) {
+    super();
+
+    this.stateFile = stateFile;
+    this.lockFile = `${stateFile}.lock`;
+    this.authorityFile = `${stateFile}.authority`;
+    this.journal = options.journal || null;
+
+    this.options = {
+      lockTimeout: 10000,      // Give up acquiring the lock after 10s
+      staleLockTimeout: 30000, // Locks older than 30s are considered abandoned
+      retryInterval: 20,
+      validate: false,         // Check the coordination state schema on every load and write
+      flushInterval: 250,      // Authoritative mode: debounce between disk writes
+      maxFlushDelay: 1000,     // ...but never leave updates unflushed longer than this
+      ...options
+    };
+
+    // Serializes updates issued from this process so they don't spin on
+    // their own lockfile
+    this.queue = Promise.resolve();
+
+    // Authoritative mode (see takeAuthority)
+    this.authoritative = false;
+    this.authorityToken = null;
+    this.memory = null;
+    this.pending = [];          // { revision, events } not yet on disk
+    this.flushedRevision = null;
+    this.flushTimer = null;
+    this.firstPendingAt = null;
+  }
+
+  /**
+   * Check whether the state file exists
+   */
+  async exists() {
+    if (this.authoritative) return true;
+    return await fs.pathExists(this.stateFile);
+  }
+
+  /**
+   * Read the current state. Every state carries a monotonically
+   * increasing `revision` used for compare-and-swap writes.
+   */
+  async read() {
+    if (this.authoritative) {
+      return JSON.parse(JSON.stringify(this.memory));
+    }
+
+    return await this.readFile();
+  }
+
+  async readFile() {
+    const state = await this.readRaw();
+
+    if (this.options.validate) {
+      // Older files are upgraded on the fly; `migrate()` persists the upgrade
+      migrateState(state);
+      this.checkState(state);
+    }
+
+    return state;
+  }
+
+  async readRaw() {
+    const data = await fs.readFile(this.stateFile, 'utf8');
+    let state;
+
+    try {
+      state = JSON.parse(data);
+    } catch (error) {
+      throw new StateValidationError(this.stateFile, [{ path: 'state', message: `not valid JSON (${error.message})` }]);
+    }
+
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+      throw new StateValidationError(this.stateFile, [{ path: 'state', message: 'expected an object' }]);
+    }
+
+    if (typeof state.revision !== 'number') {
+      state.revision = 0;
+    }
+
+    return state;
+  }
+
+  /**
+   * Throw a StateValidationError listing every schema violation
+   */
+  checkState(state) {
+    if (!this.options.validate) return;
+
+    const errors = validateState(state);
+    if (errors.length > 0) {
+      throw new StateValidationError(this.stateFile, errors);
+    }
+
+    if (getSchemaVersion(state) > STATE_SCHEMA_VERSION && !this.warnedNewerSchema) {
+      // Migrations only add fields, so a newer file still reads fine here
+      this.warnedNewerSchema = true;
+      console.warn(`⚠️  State schema v${state.schema_version} is newer than this version supports (v${STATE_SCHEMA_VERSION}); consider updating`);
+    }
+  }
+
+  /**
+   * Upgrade the state file to the current schema version, recording the
+   * migration in the journal. Returns `{ from, to, migrated }`.
+   */
+  async migrate() {
+    if (this.authoritative) {
+      const version = getSchemaVersion(this.memory);
+      return { from: version, to: version, migrated: false };
+    }
+
+    return await this.withLock(async () => {
+      await this.checkAuthority();
+      const state = await this.readRaw();
+      const from = getSchemaVersion(state);
+
+      if (from >= STATE_SCHEMA_VERSION) {
+        this.checkState(state);
+        return { from, to: from, migrated: false };
+      }
+
+      const event = createEvent('state_migrated', { from, to: STATE_SCHEMA_VERSION });
+      applyEvent(state, event);
+      this.checkState(state);
+
+      state.revision += 1;
+      await this.commit(state, [event]);
+      return { from, to: STATE_SCHEMA_VERSION, migrated: true };
+    });
+  }
+
+  /**
+   * Replace the whole state. When `expectedRevision` is given the write only
+   * succeeds if nobody else has written since that revision was read.
+   */
+  async write(state, { expectedRevision } = {}) {
+    if (this.authoritative) {
+      return await this.enqueue(async () => {
+        const currentRevision = this.memory.revision;
+
+        if (expectedRevision !== undefined && expectedRevision !== currentRevision) {
+          throw new StateConflictError(expectedRevision, currentRevision);
+        }
+
+        this.checkState(state);
+        const event = createEvent('state_replaced', { state });
+        applyEvent(this.memory, event);
+        this.memory.revision = currentRevision + 1;
+        this.commitInMemory([event]);
+
+        state.revision = this.memory.revision;
+        return state;
+      });
+    }
+
+    return await this.withLock(async () => {
+      await this.checkAuthority();
+      const currentRevision = await this.readRevision();
+
+      if (expectedRevision !== undefined && expectedRevision !== currentRevision) {
+        throw new StateConflictError(expectedRevision, currentRevision);
+      }
+
+      this.checkState(state);
+      state.revision = currentRevision + 1;
+      await this.commit(state, [createEvent('state_replaced', { state })]);
+      return state;
+    });
+  }
+
+  /**
+   * Atomic read-modify-write. The mutator receives the current state and an
+   * `emit(type, data)` function that applies a typed event to it and records
+   * the event in the journal. Its return value is passed back to the caller.
+   * Nothing is written if the mutator leaves the state unchanged.
+   */
+  async update(mutator) {
+    if (this.authoritative) {
+      return await this.enqueue(() => this.updateInMemory(mutator));
+    }
+
+    return await this.withLock(async () => {
+      await this.checkAuthority();
+      const state = await this.read();
+      const before = JSON.stringify(state);
+      const events = [];
+
+      const emit = (type, data) => {
+        const event = createEvent(type, data);
+        applyEvent(state, event);
+        events.push(event);
+      };
+
+      const result = await mutator(state, emit);
+
+      if (JSON.stringify(state) !== before) {
+        this.checkState(state);
+        state.revision += 1;
+        await this.commit(state, events);
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Apply a mutator to the in-memory state. A mutator that throws leaves
+   * the state as it was.
+   */
+  async updateInMemory(mutator) {
+    const before = JSON.stringify(this.memory);
+    const events = [];
+
+    const emit = (type, data) => {
+      const event = createEvent(type, data);
+      applyEvent(this.memory, event);
+      events.push(event);
+    };
+
+    let result;
+    let changed;
+    try {
+      result = await mutator(this.memory, emit);
+      changed = JSON.stringify(this.memory) !== before;
+
+      if (changed) this.checkState(this.memory);
+    } catch (error) {
+      this.memory = JSON.parse(before);
+      throw error;
+    }
+
+    if (changed) {
+      this.memory.revision += 1;
+      this.commitInMemory(events);
+    }
+
+    return result;
+  }
+
+  /**
+   * Snapshot the current state into the journal and archive covered events
+   */
+  async compact() {
+    if (!this.journal) return null;
+
+    return await this.withLock(async () => {
+      if (this.authoritative) {
+        await this.flushPending();
+        return await this.journal.compact(this.memory);
+      }
+
+      return await this.journal.compact(await this.readFile());
+    });
+  }
+
+  /**
+   * Hold the state in memory from now on. Updates are applied there and
+   * announced immediately; the file (and journal) catch up on a debounce.
+   * An authority file next to the state file tells other stores to keep
+   * their hands off the file until this one relinquishes it (or its
+   * process dies).
+   */
+  async takeAuthority() {
+    if (this.authoritative) return;
+
+    await this.withLock(async () => {
+      await this.checkAuthority();
+
+      this.memory = await this.readFile();
+      this.flushedRevision = this.memory.revision;
+      this.pending = [];
+      this.authorityToken = crypto.randomBytes(8).toString('hex');
+      await fs.writeJson(this.authorityFile, {
+        pid: process.pid,
+        token: this.authorityToken,
+        since: new Date().toISOString()
+      });
+      this.authoritative = true;
+    });
+  }
+
+  /**
+   * Flush outstanding updates and go back to file-based access
+   */
+  async relinquishAuthority() {
+    if (!this.authoritative) return;
+
+    await this.flush();
+
+    await this.withLock(async () => {
+      const authority = await this.readAuthority();
+      if (authority && authority.token === this.authorityToken) await fs.remove(this.authorityFile);
+    });
+
+    this.authoritative = false;
+    this.authorityToken = null;
+    this.memory = null;
+  }
+
+  /**
+   * Refuse a file write while another store holds the state in memory.
+   * Authority left behind by a process that died doesn't count. Callers
+   * hold the lock.
+   */
+  async checkAuthority() {
+    const authority = await this.readAuthority();
+
+    if (authority && authority.token !== this.authorityToken && isProcessAlive(authority.pid)) {
+      throw new StateAuthorityError(this.stateFile, authority.pid);
+    }
+  }
+
+  async readAuthority() {
+    try {
+      return await fs.readJson(this.authorityFile);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Write outstanding in-memory updates to disk now
+   */
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    if (!this.authoritative) return;
+
+    await this.withLock(() => this.flushPending());
+  }
+
+  /**
+   * Persist pending updates. Other stores refuse to write the file while
+   * this one is authoritative (see checkAuthority), so the file only moves
+   * under us if something bypassed that, such as a process running an
+   * older version. Its write was decided against a state the pending
+   * updates may contradict (two owners for one lock), so it can't be
+   * merged: the in-memory state wins and the write is reported as lost.
+   * Callers hold the lock.
+   */
+  async flushPending() {
+    if (this.pending.length === 0) {
+      await this.adoptExternalWrites();
+      return;
+    }
+
+    const onDisk = await this.readRevisionOrNull();
+
+    if (onDisk !== null && onDisk !== this.flushedRevision) {
+      console.warn(`⚠️  ${this.stateFile} was written by another process (revision ${onDisk}) while the coordinator held it; keeping the coordinator's state`);
+      this.memory.revision = Math.max(this.memory.revision, onDisk + 1);
+    }
+
+    const pending = this.pending;
+    this.pending = [];
+    this.firstPendingAt = null;
+
+    if (this.journal) {
+      for (const batch of pending) {
+        await this.journal.append(batch.events, batch.revision);
+      }
+    }
+
+    await this.writeAtomic(this.memory);
+    this.flushedRevision = this.memory.revision;
+
+    if (this.journal && await this.journal.shouldCompact()) {
+      await this.journal.compact(this.memory);
+    }
+  }
+
+  /**
+   * Pick up a file written by another process while nothing was pending.
+   * With nothing pending the memory matched the file that write started
+   * from, so there is nothing for it to conflict with.
+   */
+  async adoptExternalWrites() {
+    const onDisk = await this.readRevisionOrNull();
+
+    if (onDisk !== null && onDisk !== this.flushedRevision) {
+      this.memory = await this.readFile();
+      this.flushedRevision = this.memory.revision;
+    }
+  }
+
+  /**
+   * Record an in-memory update, announce it and schedule a flush
+   */
+  commitInMemory(events) {
+    this.pending.push({ revision: this.memory.revision, events });
+    this.emit('commit', { revision: this.memory.revision, events });
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    const now = Date.now();
+    if (this.firstPendingAt === null) this.firstPendingAt = now;
+
+    // Debounce, but flush a steady stream of updates at least every maxFlushDelay
+    const delay = Math.max(0, Math.min(
+      this.options.flushInterval,
+      this.firstPendingAt + this.options.maxFlushDelay - now
+    ));
+
+    if (this.flushTimer) clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(error => {
+        console.error('❌ Failed to flush system state:', error.message);
+      });
+    }, delay);
+  }
+
+  /**
+   * Journal the events, then persist the state they produced and announce
+   * them to listeners (the IPC server pushes them to clients). Callers hold
+   * the lock.
+   */
+  async commit(state, events) {
+    if (this.journal) {
+      await this.journal.append(events, state.revision);
+    }
+
+    await this.writeAtomic(state);
+    this.emit('commit', { revision: state.revision, events });
+
+    if (this.journal && await this.journal.shouldCompact()) {
+      await this.journal.compact(state);
+    }
+  }
+
+  async readRevision() {
+    return (await this.readRevisionOrNull()) || 0;
+  }
+
+  /**
+   * Revision of the file on disk, or null if there is no usable file
+   */
+  async readRevisionOrNull() {
+    try {
+      return (await this.readRaw()).revision;
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ESTATEINVALID') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Write to a temp file next to the target and rename it into place, so
+   * readers never observe a half-written file
+   */
+  async writeAtomic(state) {
+    await fs.ensureDir(path.dirname(this.stateFile));
+
+    const tempFile = `${this.stateFile}.${process.pid}.${++tempCounter}.tmp`;
+
+    try {
+      await fs.writeFile(tempFile, JSON.stringify(state));
+      await fs.rename(tempFile, this.stateFile);
+    } catch (error) {
+      await fs.remove(tempFile).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Run a function while holding the cross-process state lock
+   */
+  async withLock(fn) {
+    return await this.enqueue(async () => {
+      await this.acquireLock();
+      try {
+        return await fn();
+      } finally {
+        await this.releaseLock();
+      }
+    });
+  }
+
+  /**
+   * Run a function after every earlier call from this process has finished
+   */
+  enqueue(fn) {
+    const run = this.queue.then(fn);
+
+    // Keep the queue alive even if this call fails
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async acquireLock() {
+    await fs.ensureDir(path.dirname(this.lockFile));
+    const startTime = Date.now();
+
+    while (true) {
+      try {
+        const handle = await fs.open(this.lockFile, 'wx');
+        await fs.write(handle, JSON.stringify({
+          pid: process.pid,
+          acquired_at: new Date().toISOString()
+        }));
+        await fs.close(handle);
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      if (await this.clearStaleLock()) continue;
+
+      if (Date.now() - startTime > this.options.lockTimeout) {
+        throw new Error(`Timed out waiting for state lock: ${this.lockFile}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.options.retryInterval));
+    }
+  }
+
+  async releaseLock() {
+    await fs.remove(this.lockFile);
+  }
+
+  /**
+   * Remove the lockfile if its owner died or it has been held implausibly long
+   */
+  async clearStaleLock() {
+    try {
+      const stats = await fs.stat(this.lockFile);
+      let owner = null;
+
+      try {
+        owner = JSON.parse(await fs.readFile(this.lockFile, 'utf8'));
+      } catch (error) {
+        // Owner may still be writing the lockfile - fall back to its age
+      }
+
+      const expired = Date.now() - stats.mtimeMs > this.options.staleLockTimeout;
+      const ownerDead = owner && owner.pid !== process.pid && !isProcessAlive(owner.pid);
+
+      if (expired || ownerDead) {
+        await fs.remove(this.lockFile);
+        return true;
+      }
+    } catch (error) {
+      // Lock disappeared between attempts - just retry
+      if (error.code === 'ENOENT') return true;
+    }
+
+    return false;
+  }
+}
+
+module.exports = {
+  StateStore,
+  StateAuthorityError,
+  StateConflictError,
+  isProcessAlive
+};
@@ -305,7 +305,7 @@ class TerminalInterface {
     
     console.log(chalk.green('🌐 Web Dashboard'));
     console.log(chalk.gray('─'.repeat(30)));
-    console.log(`Open ${chalk.cyan('http://localhost:7777')} in your browser`);
+    console.log(`Open ${chalk.cyan(`http://localhost:${this.coordinatorCore.port}`)} in your browser`);
     console.log(`for web-based monitoring and management`);
     console.log();
     
@@ -320,7 +320,7 @@ class TerminalInterface {
     console.log(chalk.gray('─'.repeat(20)));
     console.log(`${chalk.cyan('[M]')} Monitor | ${chalk.cyan('[W]')} Workers | ${chalk.cyan('[H]')} Help | ${chalk.cyan('[R]')} Refresh | ${chalk.cyan('[Q]')} Quit`);
     console.log();
-    console.log(chalk.blue('🌐 Web Dashboard: ') + chalk.cyan('http://localhost:7777'));
+    console.log(chalk.blue('🌐 Web Dashboard: ') + chalk.cyan(`http://localhost:${this.coordinatorCore.port}`));
   }
 
   /**
@@ -7,24 +7,59 @@ const http = require('http');
 const path = require('path');
 const chalk = require('chalk');
 const { logCoordinator } = require('./development-logger');
+const { verifyToken } = require('./auth-token');
+
+// Recent state events kept for workers long-polling over `/api/rpc`
+const EVENT_BUFFER_SIZE = 1000;
+const MAX_POLL_TIMEOUT = 25000;
+const MAX_RPC_BODY = 1024 * 1024;
+
+// File paths come from the watched project tree, not from us
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Requests from this machine, where the token file is readable anyway
+function isLoopback(req) {
+  const address = req.socket.remoteAddress || '';
+  return address === '::1' || address.startsWith('127.') || address.startsWith('::ffff:127.');
+}
 
 class WebDashboard {
-  constructor(coordinatorCore, port = 7777) {
+  constructor(coordinatorCore, port = 7777, host = '127.0.0.1') {
     this.coordinatorCore = coordinatorCore;
     this.port = port;
+    this.host = host;
     this.server = null;
+    
+    // Networked coordination state
+    this.recentEvents = [];
+    this.eventWaiters = new Set();
+    this.lastRevision = null;
+    this.onCommit = ({ revision, events }) => {
+      this.lastRevision = revision;
+      this.recentEvents.push(...events.map(event => ({ revision, ...event })));
+      this.recentEvents.splice(0, this.recentEvents.length - EVENT_BUFFER_SIZE);
+      this.notifyEventWaiters();
+    };
   }
 
   /**
    * Start the web dashboard server
    */
   async start() {
+    const store = this.coordinatorCore.store;
+    if (store) {
+      this.lastRevision = (await store.read()).revision;
+      store.on('commit', this.onCommit);
+    }
+    
     this.server = http.createServer((req, res) => {
       this.handleRequest(req, res);
     });
 
     return new Promise((resolve, reject) => {
-      this.server.listen(this.port, (err) => {
+      this.server.listen(this.port, this.host, (err) => {
         if (err) {
           reject(err);
         } else {
@@ -32,7 +67,7 @@ class WebDashboard {
           logCoordinator('Web Dashboard Started', {
             description: 'HTTP dashboard server started successfully',
             result: 'SUCCESS',
-            notes: `Listening on port ${this.port}`
+            notes: `Listening on ${this.host}:${this.port}`
           });
           resolve();
         }
@@ -44,6 +79,13 @@ class WebDashboard {
    * Stop the web dashboard server
    */
   async stop() {
+    if (this.coordinatorCore.store) {
+      this.coordinatorCore.store.off('commit', this.onCommit);
+    }
+    
+    // Release long-polling workers so the server can close
+    this.notifyEventWaiters();
+    
     if (this.server) {
       return new Promise((resolve) => {
         this.server.close(() => {
@@ -64,7 +106,15 @@ class WebDashboard {
     // Set CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Only the health check and the page viewed on this machine go without the token
+    const open = url === '/api/health' || ((url === '/' || url === '/dashboard') && isLoopback(req));
+    if (!open && !this.isAuthorized(req)) {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: true, message: 'Invalid or missing coordination token' }));
+      return;
+    }
 
     try {
       if (method === 'GET') {
@@ -80,7 +130,9 @@ class WebDashboard {
           this.serve404(res);
         }
       } else if (method === 'POST') {
-        if (url.startsWith('/api/workers/')) {
+        if (url === '/api/rpc') {
+          await this.handleRPC(req, res);
+        } else if (url.startsWith('/api/workers/')) {
           await this.handleWorkerAction(req, res);
         } else {
           this.serve404(res);
@@ -148,6 +200,11 @@ class WebDashboard {
         }
         .command-btn:hover { background: #555; }
         .timestamp { color: #888; font-size: 0.8rem; }
+        .violations-section { margin-top: 40px; }
+        .violation-item {
+            background: #2a2a2a; border-radius: 8px; padding: 12px 15px; margin-bottom: 10px;
+            border-left: 4px solid #ff4444;
+        }
     </style>
 </head>
 <body>
@@ -201,6 +258,23 @@ class WebDashboard {
             </div>
         </div>
 
+        ${(status.changeViolations || []).length > 0 ? `
+        <div class="violations-section">
+            <h2>Changes Without Locks</h2>
+            ${status.changeViolations.slice().reverse().map(violation => `
+                <div class="violation-item">
+                    <strong>${escapeHtml(violation.key)}</strong> ${violation.change === 'unlink' ? 'deleted' : 'modified'}
+                    <div style="margin-top: 5px; color: #bbb;">
+                        ${violation.reason === 'unlocked' ?
+                          'No lock held' :
+                          `Locked by ${escapeHtml(violation.holders.join(', '))}, task of ${escapeHtml(violation.workers.join(', '))}`}
+                    </div>
+                    <div class="timestamp">${new Date(violation.at).toLocaleTimeString()}</div>
+                </div>
+            `).join('')}
+        </div>
+        ` : ''}
+
         <div class="commands-panel">
             <h3>Quick Commands</h3>
             <p style="margin-bottom: 15px; color: #bbb;">Use these commands in your terminal:</p>
@@ -333,6 +407,78 @@ class WebDashboard {
     });
   }
 
+  /**
+   * Networked coordination endpoint. Workers send `{ method, params }` for
+   * the coordination API with the project token as a bearer token.
+   */
+  async handleRPC(req, res) {
+    try {
+      const { method, params = {} } = JSON.parse(await this.readBody(req));
+      
+      const result = method === 'events.poll'
+        ? await this.pollEvents(params)
+        : await this.coordinatorCore.api.handle(method, params);
+      
+      this.serveJSON(res, { result });
+    } catch (error) {
+      this.serveError(res, error);
+    }
+  }
+
+  /**
+   * Whether the request carries the project token as a bearer token
+   */
+  isAuthorized(req) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    return scheme === 'Bearer' && verifyToken(token, this.coordinatorCore.authToken);
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', (chunk) => {
+        body += chunk;
+        if (body.length > MAX_RPC_BODY) {
+          reject(new Error('Request body too large'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => resolve(body));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Return state events after a revision, holding the request open for up
+   * to `timeout` ms until one arrives
+   */
+  async pollEvents({ after = null, timeout = 0 }) {
+    const pending = () => after === null
+      ? []
+      : this.recentEvents.filter(event => event.revision > after);
+    
+    if (pending().length === 0 && timeout > 0 && this.server && this.server.listening) {
+      await new Promise((resolve) => {
+        const done = () => {
+          clearTimeout(timer);
+          this.eventWaiters.delete(done);
+          resolve();
+        };
+        const timer = setTimeout(done, Math.min(timeout, MAX_POLL_TIMEOUT));
+        this.eventWaiters.add(done);
+      });
+    }
+    
+    return { revision: this.lastRevision, events: pending() };
+  }
+
+  notifyEventWaiters() {
+    for (const done of [...this.eventWaiters]) {
+      done();
+    }
+  }
+
   /**
    * Serve JSON response
    */
@@ -357,6 +503,7 @@ class WebDashboard {
     res.end(JSON.stringify({ 
       error: true, 
       message: error.message,
+      code: error.code,
       timestamp: new Date().toISOString()
     }, null, 2));
   }
@@ -4,16 +4,29 @@
  */
 
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const chalk = require('chalk');
 const EventEmitter = require('events');
 const MemoryManager = require('./memory-manager');
+const { StateStore } = require('./state-store');
+const EventJournal = require('./event-journal');
+const { getCoordinatorLiveness } = require('./coordinator-heartbeat');
+const CoordinationAPI = require('./coordination-api');
+const { LOCK_FREEING_EVENTS, findConflictingLock, findQueuedRequest, getQueuePosition, normalizeLockKey } = require('./lock-manager');
+const CoordinationClient = require('./coordination-client');
+const HttpCoordinationClient = require('./http-coordination-client');
+const { BackupManager, getSessionId, isBackupEnabled } = require('./backup-manager');
+const { ChangeTracker } = require('./change-tracker');
 const { logWorker, logError, logPerformance } = require('./development-logger');
 
 const execAsync = promisify(exec);
 
+// Times a task's lock set is retried after the coordinator breaks a deadlock
+const MAX_DEADLOCK_RETRIES = 5;
+
 class WorkerCore extends EventEmitter {
   constructor(workerId, groupId, projectRoot, options = {}) {
     super();
@@ -21,8 +34,18 @@ class WorkerCore extends EventEmitter {
     this.workerId = workerId;
     this.groupId = groupId;
     this.projectRoot = projectRoot;
+    this.workingDir = projectRoot; // Where tasks run; the worker's own worktree in worktree isolation mode
     this.coordinationDir = path.join(projectRoot, '.claude-coord');
     this.stateFile = path.join(this.coordinationDir, 'system-state.json');
+    this.store = new StateStore(this.stateFile, {
+      journal: new EventJournal(this.coordinationDir),
+      validate: true
+    });
+    
+    // File-based coordination; used whenever the coordinator isn't reachable over IPC
+    this.api = new CoordinationAPI(this.store, { projectRoot, changeTracker: new ChangeTracker(projectRoot) });
+    this.client = null;
+    this.backups = new BackupManager(projectRoot);
     
     this.options = {
       verbose: false,
@@ -30,13 +53,25 @@ class WorkerCore extends EventEmitter {
       maxRetries: 3,
       taskTimeout: 300000, // 5 minutes per task
       heartbeatInterval: 15000, // 15 seconds
+      transport: 'auto', // 'auto' uses IPC when a coordinator is running, 'file' never does,
+                         // 'http' talks to coordinatorUrl with the project token
+      coordinatorUrl: null,
+      token: null,
+      onReleaseRequest: null, // (request) => boolean; whether to yield a lock another worker asked for
+      confirmRelease: false, // Let the terminal ask the user instead of yielding automatically
+      overrideScope: false, // Lock files outside the group's patterns anyway (still logged)
       ...options
     };
 
     this.isRunning = false;
+    this.isPaused = false;
+    this.isShutdown = false;
     this.currentTask = null;
+    this.tasks = null;
+    this.taskCursor = 0; // Index of the next task to run, kept across pauses
     this.heartbeatTimer = null;
     this.acquiredLocks = [];
+    this.releaseDecisions = new Map(); // Release request id → 'yielded' | 'declined'
     
     // Initialize memory manager
     this.memoryManager = new MemoryManager({
@@ -75,7 +110,9 @@ class WorkerCore extends EventEmitter {
       this.setupMemoryHandlers();
       
       // Register with coordinator
+      await this.connectToCoordinator();
       await this.registerWithCoordinator();
+      await this.prepareWorktree();
       
       // Start heartbeat
       this.startHeartbeat();
@@ -91,7 +128,12 @@ class WorkerCore extends EventEmitter {
       await this.waitForDependencies();
       
       // Execute tasks
-      await this.executeTasks();
+      if (!(await this.runTasks())) {
+        return;
+      }
+      
+      // Hand the branch over for merging once the group's work is done
+      await this.submitWorktree();
       
       // Mark as completed and switch to inactive/standby mode
       await this.updateStatus('inactive');
@@ -122,16 +164,18 @@ class WorkerCore extends EventEmitter {
    * Register worker with coordination system
    */
   async registerWithCoordinator() {
-    const state = await this.loadSystemState();
-    
     // Get group configuration
+    const state = await this.loadSystemState();
     const groupConfig = state.dependencies[this.groupId];
     if (!groupConfig) {
       throw new Error(`Group configuration not found: ${this.groupId}`);
     }
 
-    const workerInfo = {
+    const worker = {
       group: this.groupId,
+      // The pid only means something to a coordinator on the same host
+      pid: process.pid,
+      host: os.hostname(),
       status: 'initializing',
       started_at: new Date().toISOString(),
       last_heartbeat: new Date().toISOString(),
@@ -143,10 +187,7 @@ class WorkerCore extends EventEmitter {
       }
     };
 
-    state.active_workers[this.workerId] = workerInfo;
-    state.task_progress.active_groups++;
-    
-    await this.saveSystemState(state);
+    await this.call('worker.register', { workerId: this.workerId, worker });
     
     console.log(chalk.green(`✅ ${this.workerId} registered with coordinator`));
     this.emit('registered');
@@ -156,17 +197,14 @@ class WorkerCore extends EventEmitter {
    * Update worker status in coordination system
    */
   async updateStatus(status, additionalData = {}) {
-    const state = await this.loadSystemState();
-    
-    if (state.active_workers[this.workerId]) {
-      Object.assign(state.active_workers[this.workerId], {
+    await this.call('worker.update', {
+      workerId: this.workerId,
+      updates: {
         status,
         last_heartbeat: new Date().toISOString(),
         ...additionalData
-      });
-      
-      await this.saveSystemState(state);
-    }
+      }
+    });
     
     this.emit('status_updated', { status, ...additionalData });
   }
@@ -189,7 +227,11 @@ class WorkerCore extends EventEmitter {
         `⏳ ${this.workerId} waiting for: ${dependencyCheck.blockers.join(', ')}`
       ));
       
-      await this.sleep(10000); // Wait 10 seconds
+      // Re-check as soon as a worker completes, or after 10 seconds
+      await this.waitForStateChange(
+        event => event.type === 'worker_status_changed' && event.data.updates.status === 'completed',
+        10000
+      );
     }
   }
 
@@ -223,52 +265,112 @@ class WorkerCore extends EventEmitter {
   }
 
   /**
-   * Execute all tasks for this worker group
+   * Run the group's tasks to completion. If the worker is paused part way
+   * through, execution continues from the interrupted task after resume().
+   * Returns false if the worker shut down before finishing.
    */
-  async executeTasks() {
-    const state = await this.loadSystemState();
-    const groupConfig = state.dependencies[this.groupId];
+  async runTasks() {
+    let completed = await this.executeTasks();
     
-    console.log(chalk.blue(`🔧 ${this.workerId} starting task execution`));
-    await this.updateStatus('working');
+    while (!completed) {
+      if (this.isPaused) {
+        await new Promise(resolve => {
+          const done = () => {
+            this.off('resumed', done);
+            this.off('shutdown', done);
+            resolve();
+          };
+          this.once('resumed', done);
+          this.once('shutdown', done);
+        });
+      }
+      
+      if (!this.isRunning) {
+        return false;
+      }
+      
+      completed = await this.executeTasks({ resume: true });
+    }
     
-    const tasks = this.generateTasks(groupConfig);
+    return true;
+  }
+
+  /**
+   * Execute tasks for this worker group. With `resume` execution continues
+   * from the task cursor instead of starting the group from the top.
+   * Returns false if execution was interrupted.
+   */
+  async executeTasks({ resume = false } = {}) {
+    if (!resume || !this.tasks) {
+      const state = await this.loadSystemState();
+      const groupConfig = state.dependencies[this.groupId];
+      
+      this.tasks = this.generateTasks(groupConfig);
+      this.taskCursor = 0;
+      
+      console.log(chalk.blue(`🔧 ${this.workerId} starting task execution`));
+    } else {
+      console.log(chalk.blue(
+        `🔧 ${this.workerId} resuming at task ${this.taskCursor + 1}/${this.tasks.length}`
+      ));
+    }
     
-    for (let i = 0; i < tasks.length; i++) {
-      const task = tasks[i];
+    await this.updateStatus('working');
+    
+    while (this.taskCursor < this.tasks.length) {
+      const task = this.tasks[this.taskCursor];
       
       if (!this.isRunning) {
         console.log(chalk.yellow(`🛑 ${this.workerId} stopping execution`));
-        break;
+        return false;
       }
       
       this.currentTask = task;
       
       try {
         await this.executeTask(task);
+        this.taskCursor++;
         
         // Update progress
-        const currentState = await this.loadSystemState();
-        if (currentState.active_workers[this.workerId]) {
-          currentState.active_workers[this.workerId].progress.completed_tasks = i + 1;
-          await this.saveSystemState(currentState);
-        }
+        await this.call('worker.progress', {
+          workerId: this.workerId,
+          progress: { completed_tasks: this.taskCursor }
+        });
         
       } catch (error) {
-        console.error(chalk.red(`❌ Task failed: ${task.name}`), error.message);
+        if (!this.isRunning) {
+          // Interrupted by a pause - the cursor still points at this task
+          console.log(chalk.yellow(`⏸️  ${this.workerId} interrupted during: ${task.name}`));
+          return false;
+        }
         
-        if (task.retries < this.options.maxRetries) {
-          console.log(chalk.yellow(`🔄 Retrying task: ${task.name}`));
-          task.retries++;
-          i--; // Retry the same task
+        // Not the task's fault, so it runs again without using up a retry
+        if (error.code === 'ELOCKFORCED') {
+          console.log(chalk.yellow(`🔄 ${error.message}; running it again under fresh locks`));
         } else {
-          throw error;
+          console.error(chalk.red(`❌ Task failed: ${task.name}`), error.message);
+          
+          // A retry would ask for the same out-of-scope files
+          if (error.code === 'ESCOPE') {
+            console.log(chalk.yellow('💡 Widen the group\'s files in claude-coord.json, or restart the worker with --override-scope'));
+            throw error;
+          }
+          
+          if (task.retries < this.options.maxRetries) {
+            console.log(chalk.yellow(`🔄 Retrying task: ${task.name}`));
+            task.retries++; // Cursor is unchanged, so the same task runs again
+          } else {
+            throw error;
+          }
         }
       }
       
       // Brief pause between tasks
       await this.sleep(1000);
     }
+    
+    this.currentTask = null;
+    return true;
   }
 
   /**
@@ -277,16 +379,17 @@ class WorkerCore extends EventEmitter {
   async executeTask(task) {
     console.log(chalk.blue(`📝 ${this.workerId} executing: ${task.name}`));
     
-    // Update current task
-    await this.updateStatus('working', {
-      current_files: task.files,
-      progress: { current_task: task.name }
-    });
-    
-    // Acquire file locks
-    await this.acquireFileLocks(task.files);
+    // Update current task, keeping the task counts
+    await this.updateStatus('working', { current_files: task.files });
+    await this.call('worker.progress', { workerId: this.workerId, progress: { current_task: task.name } });
     
     try {
+      // Acquire file locks
+      await this.acquireFileLocks(task.files, task.lockMode);
+      
+      // Hand the locks over first if a higher-priority group already asked
+      await this.safePoint(task);
+      
       // Execute task based on type
       switch (task.action) {
         case 'typescript_fix':
@@ -303,13 +406,15 @@ class WorkerCore extends EventEmitter {
           break;
         case 'custom':
           if (typeof task.handler === 'function') {
-            await task.handler(task, this);
+            await task.handler(task, this, { safePoint: () => this.safePoint(task) });
           }
           break;
         default:
           console.log(chalk.yellow(`⚠️  Unknown task action: ${task.action}`));
       }
       
+      await this.checkForcedRelease(task);
+      
       console.log(chalk.green(`✅ ${this.workerId} completed: ${task.name}`));
       
     } finally {
@@ -319,62 +424,363 @@ class WorkerCore extends EventEmitter {
   }
 
   /**
-   * File locking system
+   * File locking system. A task's files are locked all-or-nothing: the
+   * request waits in the coordinator's FIFO queue without holding any of
+   * them until the whole set is granted. Tasks that only read their files
+   * take shared locks, everything else exclusive ones.
    */
-  async acquireFileLocks(files) {
-    const state = await this.loadSystemState();
+  async acquireFileLocks(files, mode = 'exclusive') {
+    for (let attempt = 1; ; attempt++) {
+      this.lockingSince = Date.now();
+      
+      try {
+        await this.requestFileLocks(files, mode);
+        break;
+      } catch (error) {
+        if (error.code !== 'EDEADLOCK' || attempt >= MAX_DEADLOCK_RETRIES) throw error;
+        
+        // The coordinator already released everything we held
+        this.acquiredLocks = [];
+        const backoff = attempt * 2000 + Math.floor(Math.random() * 1000);
+        
+        console.log(chalk.yellow(`↩️  ${this.workerId} backed off from a deadlock, retrying its locks in ${(backoff / 1000).toFixed(1)}s`));
+        await logWorker(this.workerId, 'Deadlock Back-off', {
+          description: 'Released locks to break a deadlock with other workers',
+          result: 'RETRYING',
+          files,
+          notes: `Attempt ${attempt} of ${MAX_DEADLOCK_RETRIES}`
+        });
+        
+        await this.sleep(backoff);
+      }
+    }
     
-    for (const file of files) {
-      // Check if file is locked by another worker
-      if (state.file_locks[file] && state.file_locks[file] !== this.workerId) {
-        // Wait for file to become available
-        await this.waitForFileAvailability(file);
+    if (this.options.verbose) {
+      console.log(chalk.gray(`🔒 ${this.workerId} acquired ${mode} locks: ${files.join(', ')}`));
+    }
+  }
+
+  /**
+   * Queue a batch lock request and wait until it is granted. Wakes on the
+   * coordinator's grant notification or when locks are freed, and retries
+   * with the same request id so the request keeps its place in the queue.
+   */
+  async requestFileLocks(files, mode = 'exclusive', maxWaitTime = 300000) {
+    const startTime = Date.now();
+    const askedToRelease = new Set();
+    let request;
+    files = this.toLockKeys(files);
+    
+    while (Date.now() - startTime < maxWaitTime) {
+      if (!this.isRunning) {
+        await this.releaseFileLocks(files);
+        throw new Error(`${this.workerId} paused while waiting for ${files.join(', ')}`);
       }
       
-      // Acquire lock
-      state.file_locks[file] = this.workerId;
-      this.acquiredLocks.push(file);
+      const result = await this.call('lock.acquireAll', {
+        workerId: this.workerId,
+        files,
+        mode,
+        request,
+        override: this.options.overrideScope
+      });
+      request = result.request;
+      
+      if (result.granted) {
+        this.acquiredLocks.push(...files.filter(file => !this.acquiredLocks.includes(file)));
+        if (mode === 'exclusive') await this.backupFiles(files);
+        return true;
+      }
+      
+      this.checkDeadlockVictim(await this.loadSystemState(), files.join(', '), this.lockingSince || startTime);
+      
+      const { key, owner, waiting } = result.blockedBy;
+      console.log(chalk.yellow(
+        `⏳ ${this.workerId} waiting for ${files.length} file(s) (${waiting ? `queued behind ${owner}` : `${key} locked by ${owner}`})`
+      ));
+      
+      // Ask a lower-priority holder to let go instead of waiting for its whole task
+      if (!waiting && !askedToRelease.has(`${owner}:${key}`)) {
+        askedToRelease.add(`${owner}:${key}`);
+        await this.requestLockRelease(key, mode);
+      }
+      
+      // Retry when the request is granted or a lock is freed, or after 5 seconds
+      await this.waitForStateChange(event =>
+        (event.type === 'lock_request_granted' && event.data.request === request) ||
+        LOCK_FREEING_EVENTS.includes(event.type), 5000);
     }
     
-    await this.saveSystemState(state);
+    await this.releaseFileLocks(files);
+    throw new Error(`Timeout waiting for files: ${files.join(', ')}`);
+  }
+
+  /**
+   * Ask the coordinator to have the holder of a lock release it. Refused
+   * unless this worker's group has a higher priority than the holder's.
+   */
+  async requestLockRelease(key, mode = 'exclusive') {
+    const reason = this.currentTask ? this.currentTask.name : null;
+    const result = await this.call('lock.requestRelease', { workerId: this.workerId, key, mode, reason });
     
-    if (this.options.verbose) {
-      console.log(chalk.gray(`🔒 ${this.workerId} acquired locks: ${files.join(', ')}`));
+    if (result.success) {
+      const { holder, deadline } = result.request;
+      console.log(chalk.cyan(
+        `🙋 ${this.workerId} asked ${holder} to release ${key}${deadline ? ` (forced at ${new Date(deadline).toLocaleTimeString()})` : ''}`
+      ));
+    } else if (this.options.verbose) {
+      console.log(chalk.gray(`🙋 Release request for ${key} not sent: ${result.error}`));
     }
+    
+    return result;
   }
 
-  async releaseFileLocks(files) {
+  /**
+   * Safe point between the files of a task. If another worker asked for one
+   * of the locks this worker holds, or the coordinator already took it back
+   * after the deadline, hand the task's locks over and queue to get them
+   * back before continuing. Returns whether the task yielded.
+   */
+  async safePoint(task) {
+    const state = await this.loadSystemState();
+    const requests = (state.release_requests || []).filter(request =>
+      request.holder === this.workerId &&
+      this.acquiredLocks.includes(request.key) &&
+      this.releaseDecisions.get(request.id) !== 'yielded' &&
+      (request.status === 'forced' || (request.status === 'pending' && !this.releaseDecisions.has(request.id)))
+    );
+    
+    const yieldTo = [];
+    for (const request of requests) {
+      const forced = request.status === 'forced';
+      
+      if (!this.releaseDecisions.has(request.id)) {
+        console.log(chalk.magenta(
+          `🙋 ${request.requester} asks ${this.workerId} to release ${request.key}` +
+          `${request.reason ? ` for "${request.reason}"` : ''}${forced ? ' (already released by the coordinator)' : ''}`
+        ));
+      }
+      
+      const release = forced || await this.decideRelease(request);
+      this.releaseDecisions.set(request.id, release ? 'yielded' : 'declined');
+      if (release) yieldTo.push(request);
+    }
+    
+    if (yieldTo.length === 0) return false;
+    
+    const requesters = [...new Set(yieldTo.map(request => request.requester))].join(', ');
+    console.log(chalk.yellow(`⏸️  ${this.workerId} yielding its locks to ${requesters}, will resume ${task.name}`));
+    await logWorker(this.workerId, 'Locks Yielded', {
+      description: `Released task locks at a safe point on request of ${requesters}`,
+      result: yieldTo.some(request => request.status === 'forced') ? 'FORCED' : 'YIELDED',
+      files: yieldTo.map(request => request.key)
+    });
+    
+    await this.releaseFileLocks(task.files);
+    await this.acquireFileLocks(task.files, task.lockMode);
+    
+    console.log(chalk.green(`▶️  ${this.workerId} got its locks back, resuming ${task.name}`));
+    return true;
+  }
+
+  /**
+   * Throw an `ELOCKFORCED` error if the coordinator took one of the task's
+   * locks back since its last safe point. The work done since then wasn't
+   * covered by the lock, so the task runs again under fresh locks.
+   */
+  async checkForcedRelease(task) {
     const state = await this.loadSystemState();
+    const forced = (state.release_requests || []).filter(request =>
+      request.holder === this.workerId &&
+      request.status === 'forced' &&
+      this.acquiredLocks.includes(request.key) &&
+      !this.releaseDecisions.has(request.id)
+    );
+    
+    if (forced.length === 0) return;
+    
+    forced.forEach(request => this.releaseDecisions.set(request.id, 'yielded'));
+    
+    const error = new Error(
+      `${this.workerId} lost ${forced.map(request => request.key).join(', ')} to ` +
+      `${[...new Set(forced.map(request => request.requester))].join(', ')} while running ${task.name}`
+    );
+    error.code = 'ELOCKFORCED';
+    throw error;
+  }
+
+  async decideRelease(request) {
+    if (typeof this.options.onReleaseRequest !== 'function') return true;
+    
+    try {
+      return Boolean(await this.options.onReleaseRequest(request));
+    } catch (error) {
+      console.error(chalk.red(`❌ Release request handler failed: ${error.message}`));
+      return true;
+    }
+  }
+
+  /**
+   * Throw an `EDEADLOCK` error if the coordinator broke a deadlock by making
+   * this worker back off since `since`
+   */
+  checkDeadlockVictim(state, waitingFor, since) {
+    const deadlock = (state.deadlocks || []).find(entry =>
+      entry.victim === this.workerId && new Date(entry.resolved_at).getTime() >= since
+    );
+    
+    if (deadlock) {
+      const error = new Error(`${this.workerId} backed off from a deadlock while waiting for ${waitingFor}`);
+      error.code = 'EDEADLOCK';
+      throw error;
+    }
+  }
+
+  /**
+   * In worktree isolation mode, wait for the coordinator to create this
+   * worker's worktree and run tasks in it from then on
+   */
+  async prepareWorktree(timeout = 30000) {
+    const deadline = Date.now() + timeout;
     
-    for (const file of files) {
-      if (state.file_locks[file] === this.workerId) {
-        delete state.file_locks[file];
-        this.acquiredLocks = this.acquiredLocks.filter(f => f !== file);
+    for (;;) {
+      const state = await this.loadSystemState();
+      if (!state.isolation) return null;
+      
+      const worktree = (state.worktrees || {})[this.workerId];
+      if (worktree) {
+        this.workingDir = worktree.path;
+        console.log(chalk.blue(`🌳 ${this.workerId} working in ${path.relative(this.projectRoot, worktree.path)} on ${worktree.branch}`));
+        return worktree;
+      }
+      
+      if (Date.now() >= deadline) {
+        throw new Error(`No worktree was created for ${this.workerId}, see the coordinator log`);
       }
+      
+      await this.waitForStateChange(
+        event => event.type === 'worktree_created' && event.data.workerId === this.workerId,
+        1000
+      );
+    }
+  }
+
+  async submitWorktree() {
+    if (this.workingDir === this.projectRoot) return false;
+    
+    const submitted = await this.call('worktree.submit', { workerId: this.workerId });
+    if (submitted) {
+      console.log(chalk.blue(`🌳 ${this.workerId} submitted its worktree for merging`));
+    }
+    
+    return submitted;
+  }
+
+  /**
+   * Lock keys relative to this worker's checkout, so a networked coordinator
+   * sees the same keys whatever the worker's absolute project path
+   */
+  toLockKeys(files) {
+    return [...new Set(files.map(file => normalizeLockKey(file, this.projectRoot)))];
+  }
+
+  /**
+   * Atomically take the lock on a single file if no conflicting lock is held
+   */
+  async tryAcquireFileLock(file, mode = 'exclusive') {
+    [file] = this.toLockKeys([file]);
+    const acquired = await this.call('lock.acquire', { workerId: this.workerId, file, mode, override: this.options.overrideScope });
+
+    if (acquired && !this.acquiredLocks.includes(file)) {
+      this.acquiredLocks.push(file);
+    }
+
+    if (acquired && mode === 'exclusive') {
+      await this.backupFiles([file]);
     }
+
+    return acquired;
+  }
+
+  /**
+   * Snapshot files just locked for writing so `claude-coord restore` can
+   * roll this worker's changes back. A failed backup is reported but
+   * doesn't stop the task.
+   */
+  async backupFiles(keys) {
+    // Snapshots in a networked worker's own checkout would be out of reach
+    // of `claude-coord restore` on the coordinator host
+    if (this.options.transport === 'http') return null;
     
-    await this.saveSystemState(state);
+    try {
+      const state = await this.loadSystemState();
+      
+      // A worktree's branch already keeps the base version of every file
+      if (!isBackupEnabled(state) || state.isolation) return null;
+      
+      const snapshot = await this.backups.snapshot({
+        session: getSessionId(state),
+        workerId: this.workerId,
+        task: this.currentTask ? this.currentTask.name : null,
+        keys
+      });
+      
+      if (snapshot && this.options.verbose) {
+        console.log(chalk.gray(`💾 ${this.workerId} backed up ${snapshot.files.length} file(s) before modifying them`));
+      }
+      
+      return snapshot;
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️  ${this.workerId} could not back up ${keys.join(', ')}: ${error.message}`));
+      return null;
+    }
+  }
+
+  async releaseFileLocks(files) {
+    files = this.toLockKeys(files);
+    await this.call('lock.release', { workerId: this.workerId, files });
+
+    this.acquiredLocks = this.acquiredLocks.filter(f => !files.includes(f));
     
     if (this.options.verbose && files.length > 0) {
       console.log(chalk.gray(`🔓 ${this.workerId} released locks: ${files.join(', ')}`));
     }
   }
 
-  async waitForFileAvailability(file, maxWaitTime = 300000) {
+  /**
+   * Wait until the lock on a file is granted. Each round retries the request,
+   * which keeps it queued for the coordinator's deadlock detection; throws an
+   * `EDEADLOCK` error if the coordinator picked this worker to back off.
+   */
+  async waitForFileAvailability(file, maxWaitTime = 300000, mode = 'exclusive') {
     const startTime = Date.now();
+    [file] = this.toLockKeys([file]);
     
     while (Date.now() - startTime < maxWaitTime) {
+      if (!this.isRunning) {
+        throw new Error(`${this.workerId} paused while waiting for ${file}`);
+      }
+      
       const state = await this.loadSystemState();
+      this.checkDeadlockVictim(state, file, this.lockingSince || startTime);
       
-      if (!state.file_locks[file] || state.file_locks[file] === this.workerId) {
+      if (await this.tryAcquireFileLock(file, mode)) {
         return true;
       }
       
-      console.log(chalk.yellow(
-        `⏳ ${this.workerId} waiting for ${file} (locked by ${state.file_locks[file]})`
-      ));
+      const conflict = findConflictingLock(state, file, this.workerId, { mode }) ||
+        findQueuedRequest(state, file, this.workerId, { mode, before: getQueuePosition(state, this.workerId, { key: file }) });
+      
+      if (conflict) {
+        const via = conflict.key === file ? '' : ` via ${conflict.key}`;
+        const reason = conflict.waiting ? `queued behind ${conflict.owner}` : `locked by ${conflict.owner}`;
+        console.log(chalk.yellow(
+          `⏳ ${this.workerId} waiting for ${file} (${reason}${via})`
+        ));
+      }
       
-      await this.sleep(5000);
+      // Retry as soon as the lock is freed, or after 5 seconds
+      await this.waitForStateChange(event => LOCK_FREEING_EVENTS.includes(event.type), 5000);
     }
     
     throw new Error(`Timeout waiting for file: ${file}`);
@@ -385,6 +791,8 @@ class WorkerCore extends EventEmitter {
    */
   async executeTypeScriptFix(task) {
     for (const file of task.files) {
+      await this.safePoint(task);
+      
       if (this.options.dryRun) {
         console.log(chalk.blue(`[DRY RUN] Would fix TypeScript errors in: ${file}`));
         await this.sleep(1000);
@@ -394,7 +802,7 @@ class WorkerCore extends EventEmitter {
       try {
         // Check for TypeScript errors
         const { stderr } = await execAsync(`npx tsc --noEmit ${file}`, {
-          cwd: this.projectRoot,
+          cwd: this.workingDir,
           timeout: this.options.taskTimeout
         });
         
@@ -414,6 +822,8 @@ class WorkerCore extends EventEmitter {
 
   async executeESLintFix(task) {
     for (const file of task.files) {
+      await this.safePoint(task);
+      
       if (this.options.dryRun) {
         console.log(chalk.blue(`[DRY RUN] Would analyze ESLint issues in: ${file}`));
         await this.sleep(1000);
@@ -423,7 +833,7 @@ class WorkerCore extends EventEmitter {
       try {
         const { stdout } = await execAsync(
           `npx eslint ${file} --format=json || echo "[]"`,
-          { cwd: this.projectRoot }
+          { cwd: this.workingDir }
         );
         
         const results = JSON.parse(stdout || '[]');
@@ -479,7 +889,8 @@ class WorkerCore extends EventEmitter {
         {
           name: 'Validate build process',
           files: ['tsconfig.json'],
-          action: 'typescript_fix'
+          action: 'typescript_fix',
+          lockMode: 'shared'
         }
       ],
       
@@ -487,7 +898,8 @@ class WorkerCore extends EventEmitter {
         {
           name: 'Analyze ESLint warnings',
           files: groupConfig.files,
-          action: 'eslint_fix'
+          action: 'eslint_fix',
+          lockMode: 'shared'
         }
       ],
       
@@ -495,7 +907,8 @@ class WorkerCore extends EventEmitter {
         {
           name: 'Analyze bundle size',
           files: ['package.json', 'next.config.*'],
-          action: 'bundle_analysis'
+          action: 'bundle_analysis',
+          lockMode: 'shared'
         },
         {
           name: 'Clean unused dependencies',
@@ -509,13 +922,15 @@ class WorkerCore extends EventEmitter {
       {
         name: `Process ${this.groupId} tasks`,
         files: groupConfig.files,
-        action: 'custom'
+        action: 'custom',
+        lockMode: groupConfig.lock_mode
       }
     ];
 
-    // Add retry counter to each task
+    // Add retry counter and default lock mode to each task
     return tasks.map(task => ({
       ...task,
+      lockMode: task.lockMode || 'exclusive',
       retries: 0
     }));
   }
@@ -542,8 +957,148 @@ class WorkerCore extends EventEmitter {
     }
   }
 
+  /**
+   * Report liveness and renew the leases on held locks
+   */
   async sendHeartbeat() {
-    await this.updateStatus(this.currentTask ? 'working' : 'idle');
+    let heldLocks = await this.call('worker.heartbeat', {
+      workerId: this.workerId,
+      updates: {
+        status: this.currentTask ? 'working' : 'idle',
+        last_heartbeat: new Date().toISOString()
+      }
+    });
+
+    // The coordinator dropped us (stopped, or recovered us as stale), and
+    // every lock we held went with the registration
+    if (!heldLocks) {
+      console.log(chalk.yellow(`🔁 ${this.workerId} is no longer registered, registering again`));
+      await this.registerWithCoordinator();
+      heldLocks = [];
+    }
+
+    // A lease that ran out while we were unreachable has been reclaimed
+    const lost = this.acquiredLocks.filter(file => !heldLocks.includes(file));
+    if (lost.length > 0) {
+      console.log(chalk.yellow(`⌛ ${this.workerId} lost expired locks: ${lost.join(', ')}`));
+      this.acquiredLocks = this.acquiredLocks.filter(file => heldLocks.includes(file));
+    }
+  }
+
+  /**
+   * Check the coordinator's published heartbeat (see coordinator-heartbeat.js)
+   */
+  async checkCoordinatorLiveness() {
+    try {
+      // Re-attach if the coordinator restarted since the connection dropped
+      await this.connectToCoordinator();
+      const state = await this.loadSystemState();
+      return getCoordinatorLiveness(state.coordinator);
+    } catch (error) {
+      return { alive: false, reason: 'state_unreadable' };
+    }
+  }
+
+  /**
+   * Coordinator connection. Uses the coordinator's IPC socket when one is
+   * running and falls back to file-based coordination otherwise. In `http`
+   * mode the worker only ever talks to the coordinator's server.
+   */
+  async connectToCoordinator() {
+    if (this.options.transport === 'file' || (this.client && this.client.connected)) {
+      return;
+    }
+    
+    if (this.options.transport === 'http') {
+      return await this.connectOverHttp();
+    }
+    
+    this.client = await CoordinationClient.connectTo(this.coordinationDir, { subscribe: true });
+    
+    if (!this.client) {
+      console.log(chalk.gray(`📁 ${this.workerId} using file-based coordination`));
+      return;
+    }
+    
+    console.log(chalk.green(`🔌 ${this.workerId} connected to coordinator over IPC`));
+    
+    this.client.on('disconnected', () => {
+      console.log(chalk.yellow(`📁 ${this.workerId} lost IPC connection, falling back to file-based coordination`));
+      this.client = null;
+    });
+  }
+
+  async connectOverHttp() {
+    if (!this.options.coordinatorUrl || !this.options.token) {
+      throw new Error('Networked coordination needs a coordinator URL and access token');
+    }
+    
+    const client = new HttpCoordinationClient(this.options.coordinatorUrl, this.options.token);
+    
+    try {
+      await client.connect();
+    } catch (error) {
+      // An unreachable coordinator may come back; a rejected token will not
+      if (error.code !== 'ECOORDLOST') throw error;
+      console.log(chalk.yellow(`⚠️  ${error.message}`));
+      return;
+    }
+    
+    this.client = client;
+    console.log(chalk.green(`🌐 ${this.workerId} connected to coordinator at ${this.options.coordinatorUrl}`));
+    
+    client.on('disconnected', () => {
+      console.log(chalk.yellow(`🌐 ${this.workerId} lost connection to ${this.options.coordinatorUrl}`));
+      this.client = null;
+    });
+  }
+
+  /**
+   * Call a coordination API method over IPC or HTTP, or against the state file
+   */
+  async call(method, params) {
+    if (this.client && this.client.connected) {
+      try {
+        return await this.client.request(method, params);
+      } catch (error) {
+        // Coordinator went away mid-request - retry against the state file
+        if (error.code !== 'ECOORDLOST' || this.options.transport === 'http') throw error;
+      }
+    }
+    
+    // Networked workers have no shared state file to fall back to
+    if (this.options.transport === 'http') {
+      const error = new Error(`Coordinator at ${this.options.coordinatorUrl} is not reachable`);
+      error.code = 'ECOORDLOST';
+      throw error;
+    }
+    
+    try {
+      return await this.api.handle(method, params);
+    } catch (error) {
+      // The coordinator is alive after all and owns the state: go through it
+      if (error.code === 'ESTATEAUTHORITY' && this.options.transport !== 'file') {
+        await this.connectToCoordinator();
+        if (this.client && this.client.connected) return await this.client.request(method, params);
+      }
+      if (error.code === 'ENOENT') {
+        throw new Error(`Failed to load system state: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Wait until the coordinator pushes a matching state event. Without a
+   * connection there are no notifications, so this just waits out the timeout.
+   */
+  async waitForStateChange(predicate, timeout) {
+    if (this.client && this.client.connected) {
+      return await this.client.waitForEvent(predicate, timeout);
+    }
+    
+    await this.sleep(timeout);
+    return null;
   }
 
   /**
@@ -551,8 +1106,7 @@ class WorkerCore extends EventEmitter {
    */
   async loadSystemState() {
     try {
-      const data = await fs.readFile(this.stateFile, 'utf8');
-      return JSON.parse(data);
+      return await this.call('state.get');
     } catch (error) {
       throw new Error(`Failed to load system state: ${error.message}`);
     }
@@ -560,7 +1114,7 @@ class WorkerCore extends EventEmitter {
 
   async saveSystemState(state) {
     try {
-      await fs.writeFile(this.stateFile, JSON.stringify(state, null, 2));
+      await this.store.write(state, { expectedRevision: state.revision });
     } catch (error) {
       throw new Error(`Failed to save system state: ${error.message}`);
     }
@@ -721,6 +1275,13 @@ class WorkerCore extends EventEmitter {
       await this.updateStatus('stopped');
     }
     
+    if (this.client) {
+      const client = this.client;
+      this.client = null;
+      client.removeAllListeners('disconnected');
+      client.close();
+    }
+    
     this.isRunning = false;
   }
 
@@ -739,7 +1300,7 @@ class WorkerCore extends EventEmitter {
     await this.updateStatus('initializing');
     
     // Restart execution with new group
-    this.executeTasks().then(() => {
+    this.runTasks().then(() => {
       console.log(chalk.green(`🎉 ${this.workerId} completed all tasks for ${groupId}`));
     }).catch((error) => {
       console.error(chalk.red(`❌ ${this.workerId} failed:`, error.message));
@@ -756,6 +1317,7 @@ class WorkerCore extends EventEmitter {
     
     console.log(chalk.yellow(`⏸️  ${this.workerId} pausing operations`));
     this.isRunning = false;
+    this.isPaused = true;
     this.currentTask = null;
     
     // Stop heartbeat
@@ -776,21 +1338,23 @@ class WorkerCore extends EventEmitter {
     
     console.log(chalk.green(`▶️  ${this.workerId} resuming operations`));
     this.isRunning = true;
+    this.isPaused = false;
     
+    await this.connectToCoordinator();
+    // Registers again if we were removed while paused
+    await this.sendHeartbeat();
+    this.startHeartbeat();
     await this.updateStatus('resuming');
-    this.emit('resumed');
     
-    // Restart execution
-    this.executeTasks().then(() => {
-      console.log(chalk.green(`🎉 ${this.workerId} completed all tasks for ${this.groupId}`));
-    }).catch((error) => {
-      console.error(chalk.red(`❌ ${this.workerId} failed:`, error.message));
-    });
+    // runTasks() picks execution back up from the interrupted task
+    this.emit('resumed');
   }
 
   async shutdown() {
     console.log(chalk.yellow(`🛑 ${this.workerId} shutting down...`));
     this.isRunning = false;
+    this.isPaused = false;
+    this.isShutdown = true;
     await this.cleanup();
     this.emit('shutdown');
   }
@@ -801,30 +1365,32 @@ class WorkerCore extends EventEmitter {
   async waitForReassignment() {
     console.log(chalk.gray(`⏳ ${this.workerId} waiting for new assignments...`));
     
-    // Check for reassignment every 10 seconds
-    const reassignmentInterval = setInterval(async () => {
+    while (!this.isShutdown) {
       try {
-        const state = await this.loadCoordinatorState();
+        const state = await this.loadSystemState();
         const worker = state.active_workers[this.workerId];
         
         if (worker && worker.status === 'reassigned') {
           console.log(chalk.blue(`🔄 ${this.workerId} received new assignment: ${worker.group}`));
-          clearInterval(reassignmentInterval);
           
           // Update group and restart
           this.groupId = worker.group;
           await this.updateStatus('initializing');
-          return await this.executeTasks();
+          
+          if (await this.runTasks()) {
+            await this.updateStatus('inactive');
+          }
         }
       } catch (error) {
         // Silently handle errors during reassignment check
       }
-    }, 10000);
-
-    // Keep the worker alive
-    return new Promise(() => {
-      // This promise never resolves, keeping worker alive
-    });
+      
+      // Check again as soon as this worker is reassigned, or every 10 seconds
+      await this.waitForStateChange(
+        event => event.type === 'worker_reassigned' && event.data.workerId === this.workerId,
+        10000
+      );
+    }
   }
 
   sleep(ms) {
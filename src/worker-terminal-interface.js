@@ -13,14 +13,17 @@ class WorkerTerminalInterface {
     this.isRunning = false;
     this.statusInterval = null;
     this.statusLine = '';
+    this.healthCheckInterval = null;
     this.lastCoordinatorCheck = Date.now();
     this.coordinatorMissedChecks = 0;
-    this.maxMissedChecks = 3; // 3 failed checks = coordinator down
+    this.maxMissedChecks = 2; // 2 dead verdicts in a row = coordinator down
+    this.lastDisconnectReason = null;
+    this.awaitingReconnect = false;
     
     // Status display configuration
     this.showStatusLine = process.stdout.isTTY;
     this.statusUpdateInterval = 5000; // 5 seconds
-    this.coordinatorCheckInterval = 30000; // 30 seconds
+    this.coordinatorCheckInterval = 15000; // 15 seconds
   }
 
   /**
@@ -36,10 +39,35 @@ class WorkerTerminalInterface {
       this.startStatusDisplay();
     }
     
+    if (this.workerCore.options.confirmRelease && process.stdin.isTTY) {
+      this.workerCore.options.onReleaseRequest = request => this.confirmRelease(request);
+    }
+    
     this.startCoordinatorHealthCheck();
     this.setupGracefulShutdown();
   }
 
+  /**
+   * Ask whether to yield a lock another worker requested. Declining keeps
+   * the lock until the coordinator's deadline forces it.
+   */
+  confirmRelease(request) {
+    this.clearStatusLine();
+    console.log(chalk.yellow(`\n🙋 ${request.requester} asks for ${request.key}${request.reason ? ` (${request.reason})` : ''}`));
+    if (request.deadline) {
+      console.log(chalk.gray(`   Released by force at ${new Date(request.deadline).toLocaleTimeString()} if you decline`));
+    }
+    
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    
+    return new Promise((resolve) => {
+      rl.question(chalk.cyan('Release it at the next safe point? [Y/n] '), (answer) => {
+        rl.close();
+        resolve(!/^n/i.test(answer.trim()));
+      });
+    });
+  }
+
   /**
    * Stop the terminal interface
    */
@@ -50,6 +78,11 @@ class WorkerTerminalInterface {
       clearInterval(this.statusInterval);
     }
     
+    if (this.healthCheckInterval) {
+      clearInterval(this.healthCheckInterval);
+      this.healthCheckInterval = null;
+    }
+    
     if (this.showStatusLine) {
       this.clearStatusLine();
       console.log(chalk.gray('📱 Worker terminal interface stopped'));
@@ -190,40 +223,26 @@ class WorkerTerminalInterface {
    * Start coordinator health checking
    */
   startCoordinatorHealthCheck() {
-    setInterval(async () => {
-      if (!this.isRunning) return;
+    this.healthCheckInterval = setInterval(async () => {
+      // Already paused and waiting for the coordinator to come back
+      if (!this.isRunning || this.awaitingReconnect) return;
       
-      try {
-        // Try to read coordinator state
-        const fs = require('fs-extra');
-        const path = require('path');
-        const stateFile = path.join(this.workerCore.coordinationDir, 'system-state.json');
-        
-        if (await fs.pathExists(stateFile)) {
-          const state = await fs.readJson(stateFile);
-          const now = Date.now();
-          
-          // Check if coordinator heartbeat is recent (within 60 seconds)
-          if (state.last_heartbeat && (now - state.last_heartbeat) < 60000) {
-            this.coordinatorMissedChecks = 0;
-            this.lastCoordinatorCheck = now;
-          } else {
-            this.coordinatorMissedChecks++;
-          }
-        } else {
-          this.coordinatorMissedChecks++;
-        }
-        
-        // If coordinator is down for too long, halt worker
-        if (this.coordinatorMissedChecks >= this.maxMissedChecks) {
-          await this.handleCoordinatorDisconnect();
-        }
-        
-      } catch (error) {
-        this.coordinatorMissedChecks++;
-        if (this.coordinatorMissedChecks >= this.maxMissedChecks) {
-          await this.handleCoordinatorDisconnect();
-        }
+      const liveness = await this.workerCore.checkCoordinatorLiveness();
+      
+      if (liveness.alive) {
+        this.coordinatorMissedChecks = 0;
+        this.lastCoordinatorCheck = Date.now();
+        return;
+      }
+      
+      this.coordinatorMissedChecks++;
+      this.lastDisconnectReason = liveness.reason;
+      
+      // A clean shutdown or a vanished process needs no second opinion
+      const definitive = liveness.reason === 'stopped' || liveness.reason === 'process_gone';
+      
+      if (definitive || this.coordinatorMissedChecks >= this.maxMissedChecks) {
+        await this.handleCoordinatorDisconnect();
       }
     }, this.coordinatorCheckInterval);
   }
@@ -232,7 +251,9 @@ class WorkerTerminalInterface {
    * Handle coordinator disconnection
    */
   async handleCoordinatorDisconnect() {
-    if (!this.isRunning) return;
+    if (!this.isRunning || this.awaitingReconnect) return;
+    
+    this.awaitingReconnect = true;
     
     console.log('\n' + chalk.red('🔌 Coordinator disconnected - Worker halting operations'));
     console.log(chalk.yellow('💡 Start coordinator again or press Ctrl+C to exit'));
@@ -240,7 +261,7 @@ class WorkerTerminalInterface {
     await logWorker(this.workerCore.workerId, 'Coordinator Disconnect', {
       description: 'Worker detected coordinator disconnect, halting operations',
       result: 'HALTED',
-      notes: `Missed ${this.coordinatorMissedChecks} health checks`
+      notes: `Missed ${this.coordinatorMissedChecks} health checks (${this.lastDisconnectReason})`
     });
     
     // Stop worker operations but keep terminal interface running
@@ -264,35 +285,25 @@ class WorkerTerminalInterface {
         return;
       }
       
-      try {
-        const fs = require('fs-extra');
-        const path = require('path');
-        const stateFile = path.join(this.workerCore.coordinationDir, 'system-state.json');
+      const liveness = await this.workerCore.checkCoordinatorLiveness();
+      
+      if (liveness.alive) {
+        clearInterval(reconnectCheck);
+        this.awaitingReconnect = false;
+        this.coordinatorMissedChecks = 0;
+        this.lastCoordinatorCheck = Date.now();
+        
+        console.log(chalk.green('✅ Coordinator reconnected - Resuming operations'));
+        
+        await logWorker(this.workerCore.workerId, 'Coordinator Reconnect', {
+          description: 'Worker detected coordinator reconnection, resuming operations',
+          result: 'RESUMED'
+        });
         
-        if (await fs.pathExists(stateFile)) {
-          const state = await fs.readJson(stateFile);
-          const now = Date.now();
-          
-          if (state.last_heartbeat && (now - state.last_heartbeat) < 30000) {
-            clearInterval(reconnectCheck);
-            this.coordinatorMissedChecks = 0;
-            this.lastCoordinatorCheck = now;
-            
-            console.log(chalk.green('✅ Coordinator reconnected - Resuming operations'));
-            
-            await logWorker(this.workerCore.workerId, 'Coordinator Reconnect', {
-              description: 'Worker detected coordinator reconnection, resuming operations',
-              result: 'RESUMED'
-            });
-            
-            // Resume worker operations
-            if (!this.workerCore.isRunning) {
-              await this.workerCore.resume();
-            }
-          }
+        // Resume worker operations from the interrupted task
+        if (!this.workerCore.isRunning) {
+          await this.workerCore.resume();
         }
-      } catch (error) {
-        // Continue waiting
       }
     }, 10000); // Check every 10 seconds for reconnect
   }
@@ -0,0 +1,171 @@
+/**
+ * Worktree Manager
+ * Git side of the worktree isolation mode: every worker gets its own
+ * worktree under `.claude-coord/worktrees/<worker>` on a
+ * `claude-coord/<worker>` branch, and a group's branch is merged back
+ * into the base branch of the main working copy once its work is done
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+const BRANCH_PREFIX = 'claude-coord/';
+
+// Lock keys inside a worktree, which stand for the same path in the project
+const WORKTREE_KEY_PREFIX = /^\.claude-coord\/worktrees\/[^/]+\//;
+
+// Worker ids name directories and branches, so they must be a single safe path segment
+const WORKER_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+// Commits made on behalf of workers when the repository has no identity configured
+const FALLBACK_IDENTITY = ['-c', 'user.name=claude-coord', '-c', 'user.email=claude-coord@localhost'];
+
+/**
+ * Whether the group of a submitted worktree may be merged: every group it is
+ * `blocked_by` must have had its branch merged first. Returns the groups
+ * still in the way.
+ */
+function findMergeBlockers(state, workerId) {
+  const worktree = state.worktrees[workerId];
+  const blockedBy = ((state.dependencies || {})[worktree.group] || {}).blocked_by || [];
+
+  return blockedBy.filter(group => {
+    const worktrees = Object.values(state.worktrees).filter(entry => entry.group === group);
+    return worktrees.length === 0 || worktrees.some(entry => entry.status !== 'merged');
+  });
+}
+
+/**
+ * Throw an `EWORKERID` error unless `workerId` can name a worker's
+ * directories (worktree, backups) and its `claude-coord/<worker>` branch
+ */
+async function checkWorkerId(workerId) {
+  let valid = typeof workerId === 'string' && WORKER_ID_PATTERN.test(workerId);
+
+  if (valid) {
+    try {
+      await execFileAsync('git', ['check-ref-format', `refs/heads/${BRANCH_PREFIX}${workerId}`], { timeout: 15000 });
+    } catch (error) {
+      // Without git there are no branches to name
+      if (error.code !== 'ENOENT') valid = false;
+    }
+  }
+
+  if (!valid) {
+    const error = new Error(`Invalid worker ID ${JSON.stringify(workerId)}: use letters, digits, '.', '_' and '-', starting with a letter or digit`);
+    error.code = 'EWORKERID';
+    throw error;
+  }
+}
+
+class WorktreeManager {
+  constructor(projectRoot) {
+    this.projectRoot = projectRoot;
+    this.worktreesDir = path.join(projectRoot, '.claude-coord', 'worktrees');
+    this.identity = null;
+  }
+
+  async git(args, { cwd = this.projectRoot } = {}) {
+    const { stdout } = await execFileAsync('git', args, { cwd, timeout: 60000, maxBuffer: 16 * 1024 * 1024 });
+    return stdout.trim();
+  }
+
+  async isRepository() {
+    try {
+      return await this.git(['rev-parse', '--is-inside-work-tree']) === 'true';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Branch checked out in the main working copy; merges go into it
+   */
+  async currentBranch() {
+    return await this.git(['symbolic-ref', '--short', 'HEAD']);
+  }
+
+  /**
+   * Worktree and branch for a worker, branched off `base`. A worktree left
+   * by an earlier session is reused, as is its branch.
+   */
+  async create(workerId, base) {
+    await checkWorkerId(workerId);
+
+    const worktreePath = path.join(this.worktreesDir, workerId);
+    const branch = `${BRANCH_PREFIX}${workerId}`;
+
+    if (!(await fs.pathExists(worktreePath))) {
+      await fs.ensureDir(this.worktreesDir);
+      await this.git(['worktree', 'prune']);
+
+      const branchExists = await this.git(['branch', '--list', branch]) !== '';
+      await this.git(branchExists ?
+        ['worktree', 'add', worktreePath, branch] :
+        ['worktree', 'add', '-b', branch, worktreePath, base]);
+    }
+
+    return { path: worktreePath, branch, base };
+  }
+
+  /**
+   * Commit everything changed in a worktree to its branch. Returns the
+   * commit, or null if there was nothing to commit.
+   */
+  async commitAll(worktreePath, message) {
+    await this.git(['add', '-A'], { cwd: worktreePath });
+    if (await this.git(['status', '--porcelain'], { cwd: worktreePath }) === '') return null;
+
+    await this.git([...await this.getIdentity(), 'commit', '-q', '-m', message], { cwd: worktreePath });
+    return await this.git(['rev-parse', 'HEAD'], { cwd: worktreePath });
+  }
+
+  /**
+   * Merge a branch into the main working copy, which must have `base`
+   * checked out. A conflicting merge is aborted and returned as
+   * `{ merged: false, conflicts }` so nothing is left half-merged.
+   */
+  async merge(branch, base, message) {
+    const current = await this.currentBranch();
+    if (current !== base) {
+      throw new Error(`main working copy is on ${current}, not ${base}`);
+    }
+
+    try {
+      await this.git([...await this.getIdentity(), 'merge', '--no-ff', '-m', message, branch]);
+    } catch (error) {
+      const conflicts = (await this.git(['diff', '--name-only', '--diff-filter=U'])).split('\n').filter(Boolean);
+      if (conflicts.length === 0) throw new Error((error.stderr || error.message).trim());
+
+      await this.git(['merge', '--abort']);
+      return { merged: false, conflicts };
+    }
+
+    return { merged: true, commit: await this.git(['rev-parse', 'HEAD']) };
+  }
+
+  async getIdentity() {
+    if (this.identity === null) {
+      try {
+        await this.git(['config', 'user.email']);
+        this.identity = [];
+      } catch (error) {
+        this.identity = FALLBACK_IDENTITY;
+      }
+    }
+
+    return this.identity;
+  }
+}
+
+module.exports = {
+  BRANCH_PREFIX,
+  WORKTREE_KEY_PREFIX,
+  WorktreeManager,
+  checkWorkerId,
+  findMergeBlockers
+};
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * State Store Benchmark
+ * Simulates a fleet of workers sending heartbeats, progress updates and
+ * lock traffic through the coordination API, once against the state file
+ * (every update a locked read-modify-write) and once against a coordinator
+ * holding the state in memory with batched flushes.
+ *
+ * Usage: node test/state-benchmark.js [--workers=50] [--rounds=10]
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const { StateStore } = require('../src/state-store');
+const EventJournal = require('../src/event-journal');
+const CoordinationAPI = require('../src/coordination-api');
+
+function parseArgs() {
+  const args = { workers: 50, rounds: 10 };
+
+  for (const arg of process.argv.slice(2)) {
+    const match = arg.match(/^--(workers|rounds)=(\d+)$/);
+    if (match) args[match[1]] = parseInt(match[2], 10);
+  }
+
+  return args;
+}
+
+/**
+ * A state with a realistically large dependencies block
+ */
+function createState(groupCount) {
+  const dependencies = {};
+
+  for (let i = 0; i < groupCount; i++) {
+    dependencies[`GROUP_${i}`] = {
+      name: `Benchmark group ${i}`,
+      priority: (i % 3) + 1,
+      blocks: [],
+      blocked_by: [],
+      files: Array.from({ length: 40 }, (_, j) => `src/group-${i}/module-${j}/**/*.ts`)
+    };
+  }
+
+  return {
+    revision: 0,
+    system_info: { initialized_at: new Date().toISOString(), version: '1.0.0' },
+    active_workers: {},
+    file_locks: {},
+    dependencies,
+    task_progress: { total_groups: groupCount, completed_groups: 0, active_groups: 0 },
+    messages: []
+  };
+}
+
+async function runScenario(name, { workers, rounds }, authoritative) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-coord-bench-'));
+  const stateFile = path.join(dir, 'system-state.json');
+  const store = new StateStore(stateFile, { journal: new EventJournal(dir) });
+  const api = new CoordinationAPI(store);
+
+  await store.write(createState(workers));
+
+  let writes = 0;
+  const writeAtomic = store.writeAtomic.bind(store);
+  store.writeAtomic = async (state) => {
+    writes++;
+    return await writeAtomic(state);
+  };
+
+  if (authoritative) await store.takeAuthority();
+
+  const ids = Array.from({ length: workers }, (_, i) => `bench_worker_${i}`);
+  const startTime = process.hrtime.bigint();
+  let operations = 0;
+
+  await Promise.all(ids.map((workerId, i) => api.handle('worker.register', {
+    workerId,
+    worker: {
+      id: workerId,
+      group: `GROUP_${i}`,
+      status: 'working',
+      last_heartbeat: new Date().toISOString(),
+      progress: { total_tasks: rounds, completed_tasks: 0, current_task: null }
+    }
+  })));
+  operations += workers;
+
+  for (let round = 0; round < rounds; round++) {
+    await Promise.all(ids.map(async (workerId, i) => {
+      const file = `src/shared-${i % 10}.ts`;
+
+      await api.handle('worker.update', { workerId, updates: { last_heartbeat: new Date().toISOString() } });
+      await api.handle('worker.progress', { workerId, progress: { completed_tasks: round, current_task: `task-${round}` } });
+
+      if (await api.handle('lock.acquire', { workerId, file })) {
+        await api.handle('lock.release', { workerId, files: [file] });
+      }
+    }));
+    operations += workers * 4;
+  }
+
+  await store.relinquishAuthority();
+
+  const elapsedMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+  const stateBytes = (await fs.stat(stateFile)).size;
+
+  await fs.remove(dir);
+
+  return {
+    name,
+    operations,
+    elapsedMs,
+    opsPerSecond: Math.round(operations / (elapsedMs / 1000)),
+    writes,
+    stateBytes
+  };
+}
+
+function printResult(result) {
+  console.log(chalk.blue(`\n${result.name}`));
+  console.log(`  Operations:   ${result.operations}`);
+  console.log(`  Elapsed:      ${result.elapsedMs.toFixed(0)}ms`);
+  console.log(`  Throughput:   ${result.opsPerSecond} ops/s`);
+  console.log(`  File writes:  ${result.writes}`);
+  console.log(`  State size:   ${(result.stateBytes / 1024).toFixed(1)}KB`);
+}
+
+async function main() {
+  const args = parseArgs();
+
+  console.log(chalk.blue.bold('📈 State store benchmark'));
+  console.log(chalk.gray(`${args.workers} simulated workers, ${args.rounds} rounds of heartbeat + progress + lock/unlock`));
+
+  const fileBased = await runScenario('📄 File-based (locked read-modify-write per update)', args, false);
+  printResult(fileBased);
+
+  const inMemory = await runScenario('🧠 In-memory with batched flushes', args, true);
+  printResult(inMemory);
+
+  const speedup = (fileBased.elapsedMs / inMemory.elapsedMs).toFixed(1);
+  console.log(chalk.green(`\n⚡ ${speedup}x faster, ${fileBased.writes} → ${inMemory.writes} state file writes`));
+}
+
+main().catch(error => {
+  console.error(chalk.red(`❌ Benchmark failed: ${error.message}`));
+  process.exit(1);
+});
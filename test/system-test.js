@@ -7,10 +7,11 @@
 
 const fs = require('fs-extra');
 const path = require('path');
-const { exec } = require('child_process');
+const { exec, execFile } = require('child_process');
 const { promisify } = require('util');
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 class SystemTest {
   constructor() {
@@ -28,8 +29,33 @@ class SystemTest {
       
       await this.testProjectDetection();
       await this.testConfigManager();
+      await this.testStateStore();
+      await this.testInMemoryState();
+      await this.testStateSchema();
       await this.testCoordinatorCore();
+      await this.testEventJournal();
+      await this.testCoordinatorRecovery();
+      await this.testLockLeases();
+      await this.testGlobLocks();
+      await this.testSharedLocks();
+      await this.testDeadlockDetection();
+      await this.testBatchLocks();
+      await this.testDirectoryLocks();
+      await this.testLockPreemption();
+      await this.testLockHistory();
+      await this.testLockScope();
+      await this.testChangeWatcher();
+      await this.testLockCommands();
+      await this.testBackups();
+      await this.testChangeTracking();
+      await this.testWorktrees();
+      await this.testCommitGuard();
       await this.testWorkerCore();
+      await this.testCoordinatorLiveness();
+      await this.testCoordinatorSingleton();
+      await this.testDetachedCoordinator();
+      await this.testIPCCoordination();
+      await this.testNetworkedCoordination();
       await this.testCLIInterface();
       
       await this.cleanup();
@@ -128,41 +154,1543 @@ class SystemTest {
     }
   }
 
+  async testStateStore() {
+    console.log('🗄️  Testing state store...');
+    
+    try {
+      const { StateStore, StateConflictError } = require('../src/state-store');
+      const stateFile = path.join(this.testDir, 'store-test', 'state.json');
+      const store = new StateStore(stateFile);
+      
+      await store.write({ counter: 0, locks: {} });
+      
+      // Several processes incrementing concurrently must not lose updates
+      const script = `
+        const { StateStore } = require(${JSON.stringify(path.join(__dirname, '..', 'src', 'state-store'))});
+        const store = new StateStore(${JSON.stringify(stateFile)});
+        (async () => {
+          for (let i = 0; i < 15; i++) {
+            await store.update(state => { state.counter++; state.locks[process.pid + '-' + i] = true; });
+          }
+        })().catch(error => { console.error(error); process.exit(1); });
+      `;
+      await Promise.all([1, 2, 3, 4].map(() =>
+        execFileAsync(process.execPath, ['-e', script])
+      ));
+      
+      const state = await store.read();
+      this.assert(state.counter === 60, `Expected 60 updates, got ${state.counter}`);
+      this.assert(Object.keys(state.locks).length === 60, 'Lost lock entries under contention');
+      
+      // Compare-and-swap rejects writes based on a stale revision
+      const stale = await store.read();
+      await store.update(current => { current.counter++; });
+      
+      let conflict = null;
+      try {
+        await store.write(stale, { expectedRevision: stale.revision });
+      } catch (error) {
+        conflict = error;
+      }
+      this.assert(conflict instanceof StateConflictError, 'Stale write should raise StateConflictError');
+      this.assert(!(await fs.pathExists(`${stateFile}.lock`)), 'State lock should be released');
+      
+      console.log('  ✅ State store works correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ State store failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testInMemoryState() {
+    console.log('🧠 Testing in-memory state with batched flushes...');
+    
+    try {
+      const { StateStore } = require('../src/state-store');
+      const EventJournal = require('../src/event-journal');
+      const journalDir = path.join(this.testDir, 'memory-test');
+      const stateFile = path.join(journalDir, 'state.json');
+      const journal = new EventJournal(journalDir);
+      const store = new StateStore(stateFile, { journal, flushInterval: 100 });
+      
+      await store.write({ active_workers: {}, file_locks: {}, task_progress: { active_groups: 0 } });
+      
+      let writes = 0;
+      const writeAtomic = store.writeAtomic.bind(store);
+      store.writeAtomic = async (state) => {
+        writes++;
+        return await writeAtomic(state);
+      };
+      
+      await store.takeAuthority();
+      
+      const pushed = [];
+      store.on('commit', ({ events }) => pushed.push(...events));
+      
+      for (let i = 0; i < 50; i++) {
+        await store.update((state, emit) => {
+          emit('lock_acquired', { filePath: `src/file-${i}.ts`, workerId: 'worker_a' });
+        });
+      }
+      
+      this.assert(pushed.length === 50, 'Updates should be announced immediately');
+      this.assert(Object.keys((await store.read()).file_locks).length === 50, 'Updates should apply in memory');
+      this.assert(writes === 0, 'Nothing should be written before the debounce');
+      
+      // A failing mutator must not leave half-applied changes behind
+      try {
+        await store.update((state, emit) => {
+          emit('lock_released', { filePath: 'src/file-0.ts', workerId: 'worker_a' });
+          throw new Error('rejected');
+        });
+      } catch (error) {
+        // expected
+      }
+      this.assert((await store.read()).file_locks['src/file-0.ts'] === 'worker_a', 'Failed update should be rolled back');
+      
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      const onDisk = await fs.readJson(stateFile);
+      this.assert(writes === 1, `Updates should be flushed in one write, got ${writes}`);
+      this.assert(Object.keys(onDisk.file_locks).length === 50, 'Flushed file should hold every update');
+      this.assert((await journal.readEvents()).filter(e => e.type === 'lock_acquired').length === 50, 'Flushed events should be journaled');
+      
+      // File-based processes can't write behind the back of the store holding the state
+      const external = new StateStore(stateFile);
+      let refused = null;
+      try {
+        await external.update((state, emit) => {
+          emit('lock_acquired', { filePath: 'src/file-1.ts', workerId: 'worker_b' });
+        });
+      } catch (error) {
+        refused = error.code;
+      }
+      this.assert(refused === 'ESTATEAUTHORITY', 'File writes should be refused while the state is held in memory');
+      
+      // A write that bypasses the check doesn't get merged into contradicting updates
+      await fs.writeJson(stateFile, { ...onDisk, file_locks: { ...onDisk.file_locks, 'src/file-1.ts': 'worker_b' }, revision: onDisk.revision + 5 });
+      await store.update((state, emit) => {
+        emit('lock_released', { filePath: 'src/file-1.ts', workerId: 'worker_a' });
+      });
+      await store.relinquishAuthority();
+      
+      const flushed = await fs.readJson(stateFile);
+      this.assert(!flushed.file_locks['src/file-1.ts'], 'The in-memory state should win over a bypassing write');
+      this.assert(flushed.revision > onDisk.revision + 5, 'Revisions should keep increasing past the bypassing write');
+      
+      // Once relinquished, file-based writes work again
+      await external.update((state, emit) => {
+        emit('lock_acquired', { filePath: 'README.md', workerId: 'worker_b' });
+      });
+      this.assert((await fs.readJson(stateFile)).file_locks['README.md'] === 'worker_b', 'File writes should work after the store lets go');
+      
+      console.log('  ✅ In-memory state works correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ In-memory state failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testStateSchema() {
+    console.log('📐 Testing state schema validation and migrations...');
+    
+    try {
+      const { StateStore } = require('../src/state-store');
+      const EventJournal = require('../src/event-journal');
+      const { STATE_SCHEMA_VERSION } = require('../src/state-schema');
+      const projectDir = path.join(this.testDir, 'schema-project');
+      const coordDir = path.join(projectDir, '.claude-coord');
+      const stateFile = path.join(coordDir, 'system-state.json');
+      const journal = new EventJournal(coordDir);
+      const store = new StateStore(stateFile, { journal, validate: true });
+      
+      // An unversioned state from before the schema existed
+      await fs.outputJson(stateFile, {
+        system_info: { initialized_at: new Date().toISOString(), version: '1.0.0' },
+        active_workers: {
+          legacy_worker: { group: 'GRUP1_TYPESCRIPT', status: 'working', last_heartbeat: new Date().toISOString() }
+        },
+        file_locks: { 'tsconfig.json': 'legacy_worker' },
+        dependencies: { GRUP1_TYPESCRIPT: { name: 'TypeScript', files: ['tsconfig.json'] } }
+      });
+      
+      const upgraded = await store.read();
+      this.assert(upgraded.schema_version === STATE_SCHEMA_VERSION, 'Legacy state should be migrated on load');
+      this.assert(upgraded.task_progress && upgraded.task_progress.active_groups === 1, 'Missing task_progress should be filled in');
+      this.assert(upgraded.active_workers.legacy_worker.progress.completed_tasks === 0, 'Workers should get default progress');
+      this.assert(!(await fs.readJson(stateFile)).schema_version, 'Loading alone should not rewrite the file');
+      
+      const migration = await store.migrate();
+      this.assert(migration.migrated && migration.from === 1 && migration.to === STATE_SCHEMA_VERSION, 'migrate() should upgrade the file');
+      this.assert((await fs.readJson(stateFile)).schema_version === STATE_SCHEMA_VERSION, 'Migrated state should be persisted');
+      this.assert((await journal.readEvents()).some(e => e.type === 'state_migrated'), 'Migration should be journaled');
+      this.assert(!(await store.migrate()).migrated, 'A current state should not be migrated again');
+      
+      // Updates that would break the schema are rejected
+      let rejected = null;
+      try {
+        await store.update(state => { state.file_locks['README.md'] = 42; });
+      } catch (error) {
+        rejected = error;
+      }
+      this.assert(rejected && rejected.code === 'ESTATEINVALID', 'Invalid update should be rejected');
+      this.assert(!(await store.read()).file_locks['README.md'], 'Rejected update should not be written');
+      
+      // Corrupt files produce diagnostics naming the broken fields
+      const current = await fs.readJson(stateFile);
+      delete current.task_progress;
+      current.active_workers.legacy_worker.progress = 'halfway';
+      await fs.writeJson(stateFile, current);
+      
+      let diagnostics = null;
+      try {
+        await store.read();
+      } catch (error) {
+        diagnostics = error;
+      }
+      this.assert(diagnostics && diagnostics.code === 'ESTATEINVALID', 'Corrupt state should raise StateValidationError');
+      this.assert(diagnostics.message.includes('state.task_progress: required field is missing'), 'Diagnostics should name missing fields');
+      this.assert(diagnostics.message.includes('state.active_workers["legacy_worker"].progress: expected object, got string'), 'Diagnostics should name mistyped fields');
+      
+      await fs.writeFile(stateFile, '{"system_info": ');
+      let parseError = null;
+      try {
+        await store.read();
+      } catch (error) {
+        parseError = error;
+      }
+      this.assert(parseError && parseError.message.includes('not valid JSON'), 'Truncated file should be reported as invalid JSON');
+      
+      // `claude-coord migrate` upgrades a legacy file in place
+      const cliProject = path.join(this.testDir, 'schema-cli-project');
+      await fs.outputJson(path.join(cliProject, '.claude-coord', 'system-state.json'), {
+        system_info: { initialized_at: new Date().toISOString() },
+        active_workers: {},
+        file_locks: {},
+        dependencies: {}
+      });
+      const { stdout } = await execFileAsync(process.execPath, [path.join(__dirname, '../bin/cli.js'), 'migrate'], {
+        cwd: cliProject,
+        timeout: 15000
+      });
+      this.assert(stdout.includes(`from schema v1 to v${STATE_SCHEMA_VERSION}`), 'CLI should report the migration');
+      
+      console.log('  ✅ State schema validation and migrations work correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ State schema failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
   async testCoordinatorCore() {
     console.log('🖥️  Testing coordinator core...');
     
     try {
       const CoordinatorCore = require('../src/coordinator-core');
-      const coordinator = new CoordinatorCore(this.testDir, { 
-        port: 7779,
-        maxWorkers: 2 
+      const coordinator = new CoordinatorCore(this.testDir, { 
+        port: 7779,
+        maxWorkers: 2 
+      });
+      
+      // Test initialization
+      await coordinator.start();
+      this.assert(coordinator.isRunning, 'Coordinator should be running');
+      
+      // Test worker registration
+      const worker = await coordinator.registerWorker('test_worker', 'TYPESCRIPT');
+      this.assert(worker.id === 'test_worker', 'Worker registration failed');
+      
+      // Test file locking
+      const lockResult = await coordinator.acquireFileLock('test_worker', 'test.ts');
+      this.assert(lockResult.success, 'File locking failed');
+      
+      // Test system status
+      const status = await coordinator.getSystemStatus();
+      this.assert(status.healthy, 'System should be healthy');
+      this.assert(status.activeWorkers === 1, 'Should have 1 active worker');
+      
+      await coordinator.stop();
+      this.assert(!coordinator.isRunning, 'Coordinator should be stopped');
+      
+      console.log('  ✅ Coordinator core works correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ Coordinator core failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testEventJournal() {
+    console.log('📜 Testing event journal...');
+    
+    try {
+      const CoordinatorCore = require('../src/coordinator-core');
+      const projectDir = path.join(this.testDir, 'journal-project');
+      await fs.ensureDir(projectDir);
+      
+      const coordinator = new CoordinatorCore(projectDir);
+      await coordinator.initializeSystem();
+      await coordinator.registerWorker('worker_a', 'GRUP1_TYPESCRIPT');
+      await coordinator.acquireFileLock('worker_a', 'tsconfig.json');
+      
+      await new Promise(resolve => setTimeout(resolve, 20));
+      const lockedAt = new Date().toISOString();
+      await new Promise(resolve => setTimeout(resolve, 20));
+      
+      await coordinator.releaseFileLock('worker_a', 'tsconfig.json');
+      await coordinator.reassignWorker('worker_a', 'GRUP3_BUNDLE');
+      
+      // Replaying the journal reproduces the state file
+      const current = await coordinator.loadSystemState();
+      const replayed = await coordinator.replayState();
+      this.assert(JSON.stringify(replayed) === JSON.stringify(current), 'Replayed state differs from state file');
+      
+      // Point-in-time replay shows who held which lock
+      const past = await coordinator.replayState(lockedAt);
+      this.assert(past.file_locks['tsconfig.json'].owner === 'worker_a', 'Lock holder not reconstructed');
+      
+      // Compaction keeps replay and history intact
+      const result = await coordinator.store.compact();
+      this.assert(result.revision === current.revision, 'Snapshot should cover the latest revision');
+      await coordinator.removeWorker('worker_a');
+      
+      const afterCompaction = await coordinator.replayState();
+      this.assert(JSON.stringify(afterCompaction) === JSON.stringify(await coordinator.loadSystemState()), 'Replay after compaction differs');
+      this.assert((await coordinator.replayState(lockedAt)).file_locks['tsconfig.json'].owner === 'worker_a', 'Archived history lost');
+      
+      const types = (await coordinator.journal.readAllEvents()).map(event => event.type);
+      this.assert(types.includes('lock_acquired') && types.includes('worker_removed'), 'Events not journaled');
+      
+      console.log('  ✅ Event journal works correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ Event journal failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testCoordinatorRecovery() {
+    console.log('♻️  Testing coordinator crash recovery...');
+    
+    try {
+      const CoordinatorCore = require('../src/coordinator-core');
+      const projectDir = path.join(this.testDir, 'recovery-project');
+      await fs.ensureDir(projectDir);
+      
+      // A pid that is guaranteed to be dead
+      const { spawn } = require('child_process');
+      const child = spawn(process.execPath, ['-e', '']);
+      await new Promise(resolve => child.on('exit', resolve));
+      const deadPid = child.pid;
+      
+      const crashed = new CoordinatorCore(projectDir);
+      await crashed.initializeSystem();
+      await crashed.registerWorker('alive_worker', 'GRUP1_TYPESCRIPT');
+      await crashed.registerWorker('dead_worker', 'GRUP3_BUNDLE');
+      await crashed.acquireFileLock('alive_worker', 'tsconfig.json');
+      await crashed.acquireFileLock('dead_worker', 'package.json');
+      await crashed.store.update(state => {
+        state.system_info.coordinator_pid = deadPid;
+        state.active_workers.dead_worker.last_heartbeat = new Date(Date.now() - 3600000).toISOString();
+        // Same dead pid, but only the local one can be checked
+        state.active_workers.exited_worker = { ...state.active_workers.alive_worker, pid: deadPid, host: require('os').hostname() };
+        state.active_workers.remote_worker = { ...state.active_workers.alive_worker, pid: deadPid, host: 'remote-build-host' };
+        state.file_locks['next.config.js'] = { ...state.file_locks['package.json'], owner: 'ghost_worker' };
+      });
+      
+      const restarted = new CoordinatorCore(projectDir);
+      this.assert(await restarted.hasRecoverableState(), 'Previous state should be detected');
+      
+      const summary = await restarted.recoverSystem();
+      this.assert(summary.adopted.includes('alive_worker'), 'Live worker should be adopted');
+      this.assert(summary.removed.includes('dead_worker'), 'Dead worker should be removed');
+      this.assert(summary.removed.includes('exited_worker'), 'Worker whose local process exited should be removed');
+      this.assert(summary.adopted.includes('remote_worker'), 'Remote worker pid should not be checked locally');
+      
+      const state = await restarted.loadSystemState();
+      this.assert(state.file_locks['tsconfig.json'].owner === 'alive_worker', 'Adopted worker should keep its lock');
+      this.assert(!state.file_locks['package.json'], 'Dead worker lock should be released');
+      this.assert(!state.file_locks['next.config.js'], 'Orphaned lock should be released');
+      this.assert(state.system_info.coordinator_pid === process.pid, 'Coordinator pid should be updated');
+      
+      // A live coordinator must not be overridden
+      await restarted.store.update(current => {
+        current.system_info.coordinator_pid = process.ppid;
+      });
+      let refused = false;
+      try {
+        await new CoordinatorCore(projectDir).recoverSystem();
+      } catch (error) {
+        refused = error.message.includes('already running');
+      }
+      this.assert(refused, 'Recovery should refuse while the previous coordinator is alive');
+      
+      console.log('  ✅ Coordinator crash recovery works correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ Coordinator crash recovery failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testLockLeases() {
+    console.log('⌛ Testing lock leases...');
+    
+    try {
+      const CoordinatorCore = require('../src/coordinator-core');
+      const projectDir = path.join(this.testDir, 'lease-project');
+      await fs.ensureDir(projectDir);
+      
+      const coordinator = new CoordinatorCore(projectDir, { lockTTL: 300, staleWorkerTimeout: 1000 });
+      await coordinator.initializeSystem();
+      await coordinator.registerWorker('holder', 'GRUP1_TYPESCRIPT');
+      await coordinator.registerWorker('waiter', 'GRUP3_BUNDLE');
+      
+      this.assert((await coordinator.acquireFileLock('holder', 'tsconfig.json')).success, 'Holder should get the lock');
+      const lease = (await coordinator.loadSystemState()).file_locks['tsconfig.json'];
+      this.assert(lease.owner === 'holder' && lease.acquired_at && lease.expires_at, 'Locks should be stored as leases');
+      
+      // Heartbeats keep the lease alive past its original expiry
+      await new Promise(resolve => setTimeout(resolve, 200));
+      const held = await coordinator.api.handle('worker.heartbeat', {
+        workerId: 'holder',
+        updates: { status: 'working', last_heartbeat: new Date().toISOString() }
+      });
+      this.assert(held.includes('tsconfig.json'), 'Heartbeat should report held locks');
+      await new Promise(resolve => setTimeout(resolve, 200));
+      this.assert(!(await coordinator.acquireFileLock('waiter', 'tsconfig.json')).success, 'A renewed lease should still block others');
+      
+      // Once the holder stops renewing, the lease is reclaimed
+      await new Promise(resolve => setTimeout(resolve, 250));
+      const reclaimedEvents = [];
+      coordinator.on('lock:expired', event => reclaimedEvents.push(event));
+      const reclaimed = await coordinator.reclaimExpiredLocks();
+      this.assert(reclaimed.length === 1 && reclaimed[0].workerId === 'holder', 'Expired lease should be reclaimed');
+      this.assert(reclaimedEvents.length === 1, 'Reclaim should be announced');
+      
+      let state = await coordinator.loadSystemState();
+      this.assert(!state.file_locks['tsconfig.json'], 'Reclaimed lock should be released');
+      this.assert(state.lock_reclaims.some(r => r.file === 'tsconfig.json' && r.owner === 'holder'), 'Reclaim should be recorded for the monitor');
+      
+      // An expired lease is also taken over directly by the next acquirer
+      await coordinator.acquireFileLock('holder', 'package.json');
+      await new Promise(resolve => setTimeout(resolve, 350));
+      this.assert((await coordinator.acquireFileLock('waiter', 'package.json')).success, 'Expired lease should not block acquisition');
+      state = await coordinator.loadSystemState();
+      this.assert(state.file_locks['package.json'].owner === 'waiter', 'Lease should pass to the new holder');
+      this.assert(state.lock_reclaims.some(r => r.file === 'package.json'), 'Inline reclaim should be recorded');
+      
+      // Marking a worker stale must not refresh its heartbeat
+      const staleSince = new Date(Date.now() - 5000).toISOString();
+      await coordinator.store.update(current => {
+        current.active_workers.holder.last_heartbeat = staleSince;
+      });
+      await coordinator.checkWorkerHealth();
+      state = await coordinator.loadSystemState();
+      this.assert(state.active_workers.holder.status === 'stale', 'Silent worker should be marked stale');
+      this.assert(state.active_workers.holder.last_heartbeat === staleSince, 'Stale marking should keep the last heartbeat');
+      
+      console.log('  ✅ Lock leases work correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ Lock leases failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testGlobLocks() {
+    console.log('✳️  Testing glob-aware locks...');
+    
+    try {
+      const CoordinatorCore = require('../src/coordinator-core');
+      const { locksOverlap } = require('../src/lock-manager');
+      const projectDir = path.join(this.testDir, 'glob-project');
+      await fs.ensureDir(projectDir);
+      
+      this.assert(locksOverlap('src/**/*.ts', 'src/**/*'), 'Nested patterns should overlap');
+      this.assert(locksOverlap('src/**/*.{ts,tsx}', 'src/ui/*.tsx'), 'Brace alternatives should be expanded');
+      this.assert(!locksOverlap('src/**/*.ts', 'src/**/*.tsx'), 'Different extensions should not overlap');
+      this.assert(!locksOverlap('src/**/*', 'lib/**/*'), 'Different roots should not overlap');
+      this.assert(!locksOverlap('src/*.ts', 'src/utils/math.ts'), 'A single * should not cross directories');
+      
+      // Parentheses are literal outside extglobs, as in Next.js route groups
+      this.assert(!locksOverlap('src/app/(auth)/page.tsx', 'src/app/(marketing)/page.tsx'), 'Route-group paths should not overlap');
+      this.assert(locksOverlap('src/app/(auth)/*.tsx', 'src/app/(auth)/page.tsx'), 'A pattern should match its own route group');
+      this.assert(!locksOverlap('src/app/(auth)/**', 'src/app/(marketing)/page.tsx'), 'A route-group pattern should not cover other groups');
+      this.assert(locksOverlap('src/app/@(auth|admin)/*.tsx', 'src/app/admin/page.tsx'), 'Extglobs should still match');
+      
+      const coordinator = new CoordinatorCore(projectDir);
+      await coordinator.initializeSystem();
+      await coordinator.registerWorker('typescript', 'GRUP1_TYPESCRIPT');
+      await coordinator.registerWorker('eslint', 'GRUP2_ESLINT');
+      
+      this.assert((await coordinator.acquireFileLock('typescript', 'src/**/*.ts')).success, 'Pattern lock should be granted');
+      
+      const overlapping = await coordinator.acquireFileLock('eslint', 'src/**/*');
+      this.assert(!overlapping.success, 'Overlapping pattern should conflict');
+      this.assert(overlapping.lockedBy === 'typescript' && overlapping.lockKey === 'src/**/*.ts', 'Conflict should name the covering lock');
+      
+      this.assert(!(await coordinator.acquireFileLock('eslint', 'src/utils/math.ts')).success, 'Path under a held pattern should conflict');
+      this.assert((await coordinator.acquireFileLock('eslint', 'src/components/Button.tsx')).success, 'Path outside the pattern should be granted');
+      this.assert((await coordinator.acquireFileLock('typescript', 'src/utils/math.ts')).success, 'A worker should not conflict with its own pattern');
+      this.assert(!(await coordinator.acquireFileLock('typescript', 'src/components/*.tsx')).success, 'Pattern covering a held path should conflict');
+      
+      await coordinator.releaseFileLock('typescript', 'src/**/*.ts');
+      await coordinator.releaseFileLock('typescript', 'src/utils/math.ts');
+      this.assert((await coordinator.acquireFileLock('eslint', 'src/utils/math.ts')).success, 'Released pattern should free covered paths');
+      
+      console.log('  ✅ Glob-aware locks work correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ Glob-aware locks failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testSharedLocks() {
+    console.log('📖 Testing shared and exclusive locks...');
+    
+    try {
+      const CoordinatorCore = require('../src/coordinator-core');
+      const projectDir = path.join(this.testDir, 'shared-lock-project');
+      await fs.ensureDir(projectDir);
+      
+      const coordinator = new CoordinatorCore(projectDir);
+      await coordinator.initializeSystem();
+      for (const workerId of ['reader_a', 'reader_b', 'reader_c', 'writer']) {
+        await coordinator.registerWorker(workerId, 'GRUP2_ESLINT');
+      }
+      
+      this.assert((await coordinator.acquireFileLock('reader_a', 'src/app.ts', 'shared')).success, 'First reader should be granted');
+      this.assert((await coordinator.acquireFileLock('reader_b', 'src/**/*.ts', 'shared')).success, 'Overlapping reader should share the lock');
+      
+      let state = await coordinator.loadSystemState();
+      this.assert(state.file_locks['src/app.ts'].mode === 'shared', 'Lock should be recorded as shared');
+      
+      const blocked = await coordinator.acquireFileLock('writer', 'src/app.ts');
+      this.assert(!blocked.success, 'Writer should wait while readers hold the file');
+      
+      state = await coordinator.loadSystemState();
+      this.assert(state.lock_waits.some(wait => wait.workerId === 'writer' && wait.mode === 'exclusive'), 'Waiting writer should be recorded');
+      
+      const queued = await coordinator.acquireFileLock('reader_c', 'src/app.ts', 'shared');
+      this.assert(!queued.success && queued.lockedBy === 'writer', 'New readers should queue behind a waiting writer');
+      this.assert((await coordinator.acquireFileLock('reader_a', 'src/app.ts', 'shared')).success, 'A reader already holding the file should keep it');
+      
+      await coordinator.releaseFileLock('reader_a', 'src/app.ts');
+      this.assert(!(await coordinator.acquireFileLock('writer', 'src/app.ts')).success, 'Writer should wait for every reader to drain');
+      
+      await coordinator.releaseFileLock('reader_b', 'src/**/*.ts');
+      this.assert((await coordinator.acquireFileLock('writer', 'src/app.ts')).success, 'Writer should be granted once readers drain');
+      
+      state = await coordinator.loadSystemState();
+      this.assert(state.file_locks['src/app.ts'].owner === 'writer', 'Writer should hold the lock exclusively');
+      this.assert(state.lock_waits.every(wait => wait.workerId !== 'writer'), 'Granted request should leave the queue');
+      this.assert(!(await coordinator.acquireFileLock('reader_a', 'src/app.ts', 'shared')).success, 'Readers should wait for the writer');
+      
+      // Read-only analysis tasks take shared locks
+      const WorkerCore = require('../src/worker-core');
+      const tasks = new WorkerCore('eslint_worker', 'GRUP2_ESLINT', projectDir).generateTasks({ files: ['src/app.ts'] });
+      this.assert(tasks[0].lockMode === 'shared', 'ESLint analysis should take shared locks');
+      
+      console.log('  ✅ Shared and exclusive locks work correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ Shared and exclusive locks failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testDeadlockDetection() {
+    console.log('⛔ Testing deadlock detection...');
+    
+    try {
+      const CoordinatorCore = require('../src/coordinator-core');
+      const WorkerCore = require('../src/worker-core');
+      const { findDeadlocks, chooseVictim } = require('../src/deadlock-detector');
+      const projectDir = path.join(this.testDir, 'deadlock-project');
+      await fs.ensureDir(projectDir);
+      
+      const coordinator = new CoordinatorCore(projectDir);
+      await coordinator.initializeSystem();
+      await coordinator.registerWorker('elder', 'GRUP1_TYPESCRIPT');
+      await new Promise(resolve => setTimeout(resolve, 10));
+      await coordinator.registerWorker('junior', 'GRUP3_BUNDLE');
+      
+      // Each holds one file and asks for the other's
+      this.assert((await coordinator.acquireFileLock('elder', 'tsconfig.json')).success, 'Elder should lock tsconfig.json');
+      this.assert((await coordinator.acquireFileLock('junior', 'package.json')).success, 'Junior should lock package.json');
+      this.assert(!(await coordinator.acquireFileLock('elder', 'package.json')).success, 'Elder should wait for package.json');
+      this.assert((await coordinator.resolveDeadlocks()).length === 0, 'A single waiter is not a deadlock');
+      this.assert(!(await coordinator.acquireFileLock('junior', 'tsconfig.json')).success, 'Junior should wait for tsconfig.json');
+      
+      let state = await coordinator.loadSystemState();
+      const [cycle] = findDeadlocks(state);
+      this.assert(cycle && cycle.length === 2, 'Wait-for cycle should be found');
+      this.assert(chooseVictim(state, cycle, 'youngest').workerId === 'junior', 'Youngest worker should back off by default');
+      this.assert(chooseVictim(state, cycle, 'lowest-priority').workerId === 'junior', 'Lower priority group should back off');
+      
+      const junior = new WorkerCore('junior', 'GRUP3_BUNDLE', projectDir, { dryRun: true });
+      junior.isRunning = true;
+      junior.lockingSince = Date.now();
+      
+      const [resolution] = await coordinator.resolveDeadlocks();
+      this.assert(resolution && resolution.victim === 'junior', 'Coordinator should pick the youngest worker');
+      this.assert(resolution.released.includes('package.json'), 'Resolution should report the released locks');
+      
+      state = await coordinator.loadSystemState();
+      this.assert(!state.file_locks['package.json'], 'Victim should lose its locks');
+      this.assert(state.lock_waits.every(wait => wait.workerId !== 'junior'), 'Victim should leave the wait queue');
+      this.assert(state.deadlocks.length === 1 && state.deadlocks[0].victim === 'junior', 'Deadlock should be recorded for the monitor');
+      this.assert((await coordinator.acquireFileLock('elder', 'package.json')).success, 'Survivor should get the freed lock');
+      
+      let backedOff = null;
+      try {
+        await junior.waitForFileAvailability('tsconfig.json', 2000);
+      } catch (error) {
+        backedOff = error;
+      }
+      this.assert(backedOff && backedOff.code === 'EDEADLOCK', 'Victim worker should back off instead of waiting');
+      
+      let rejected = false;
+      try {
+        new CoordinatorCore(projectDir, { deadlockPolicy: 'coin-flip' });
+      } catch (error) {
+        rejected = /Unknown deadlock policy/.test(error.message);
+      }
+      this.assert(rejected, 'Unknown deadlock policies should be rejected');
+      
+      console.log('  ✅ Deadlock detection works correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ Deadlock detection failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testBatchLocks() {
+    console.log('🎫 Testing all-or-nothing lock requests...');
+    
+    try {
+      const CoordinatorCore = require('../src/coordinator-core');
+      const projectDir = path.join(this.testDir, 'batch-lock-project');
+      await fs.ensureDir(projectDir);
+      
+      const coordinator = new CoordinatorCore(projectDir);
+      await coordinator.initializeSystem();
+      for (const workerId of ['holder', 'first', 'second', 'bystander']) {
+        await coordinator.registerWorker(workerId, 'GRUP3_BUNDLE');
+      }
+      
+      const granted = [];
+      coordinator.store.on('commit', ({ events }) => {
+        granted.push(...events.filter(event => event.type === 'lock_request_granted'));
+      });
+      
+      this.assert((await coordinator.acquireFileLock('holder', 'package.json')).success, 'Holder should lock package.json');
+      
+      const first = await coordinator.acquireFileLocks('first', ['tsconfig.json', 'package.json']);
+      this.assert(!first.success && first.lockedBy === 'holder', 'Batch should be refused while one file is locked');
+      
+      let state = await coordinator.loadSystemState();
+      this.assert(!state.file_locks['tsconfig.json'], 'A refused batch should not hold any of its files');
+      this.assert(state.lock_waits.filter(wait => wait.request === first.request).length === 2, 'Refused batch should be queued as one request');
+      
+      const second = await coordinator.acquireFileLocks('second', ['tsconfig.json']);
+      this.assert(!second.success && second.lockedBy === 'first', 'Later request should queue behind the earlier one');
+      this.assert((await coordinator.acquireFileLocks('bystander', ['README.md'])).success, 'Unrelated request should be granted at once');
+      
+      // Freeing the lock hands the whole set to the first request in line
+      await coordinator.releaseFileLock('holder', 'package.json');
+      state = await coordinator.loadSystemState();
+      this.assert(state.file_locks['package.json'].owner === 'first' && state.file_locks['tsconfig.json'].owner === 'first', 'Queued batch should be granted as a whole');
+      this.assert(granted.some(event => event.data.request === first.request), 'Waiter should be notified of the grant');
+      this.assert((await coordinator.acquireFileLocks('first', ['tsconfig.json', 'package.json'], 'exclusive', first.request)).success, 'Retrying a granted request should succeed');
+      this.assert(!(await coordinator.acquireFileLocks('second', ['tsconfig.json'], 'exclusive', second.request)).success, 'Next request should wait for the granted one');
+      
+      await coordinator.releaseFileLock('first', 'tsconfig.json');
+      state = await coordinator.loadSystemState();
+      this.assert(state.file_locks['tsconfig.json'].owner === 'second', 'Next request in line should be granted');
+      this.assert(state.lock_waits.length === 0, 'Granted requests should leave the queue');
+      
+      console.log('  ✅ All-or-nothing lock requests work correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ All-or-nothing lock requests failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testDirectoryLocks() {
+    console.log('📁 Testing directory locks...');
+    
+    try {
+      const CoordinatorCore = require('../src/coordinator-core');
+      const { normalizeLockKey } = require('../src/lock-manager');
+      const projectDir = path.join(this.testDir, 'directory-lock-project');
+      await fs.ensureDir(path.join(projectDir, 'src', 'components'));
+      
+      this.assert(normalizeLockKey('./src/a.ts') === 'src/a.ts', './ prefix should be dropped');
+      this.assert(normalizeLockKey('src//lib/../a.ts') === 'src/a.ts', 'Duplicate slashes and .. should be resolved');
+      this.assert(normalizeLockKey(path.join(projectDir, 'src/a.ts'), projectDir) === 'src/a.ts', 'Absolute paths should be made relative to the project');
+      this.assert(normalizeLockKey('src/components', projectDir) === 'src/components/', 'Existing directories should become directory keys');
+      
+      let outside = false;
+      try {
+        normalizeLockKey('../other/a.ts', projectDir);
+      } catch (error) {
+        outside = /outside the project/.test(error.message);
+      }
+      this.assert(outside, 'Keys outside the project should be rejected');
+      
+      const coordinator = new CoordinatorCore(projectDir);
+      await coordinator.initializeSystem();
+      await coordinator.registerWorker('ui', 'GRUP1_TYPESCRIPT');
+      await coordinator.registerWorker('other', 'GRUP2_ESLINT');
+      
+      this.assert((await coordinator.acquireFileLock('ui', 'src/components')).success, 'Directory lock should be granted');
+      
+      const nested = await coordinator.acquireFileLock('other', './src/components/forms/Input.tsx');
+      this.assert(!nested.success && nested.lockKey === 'src/components/', 'File beneath a locked directory should conflict');
+      this.assert(!(await coordinator.acquireFileLock('other', 'src/components/forms/')).success, 'Subdirectory of a locked directory should conflict');
+      this.assert((await coordinator.acquireFileLock('other', './src/utils/math.ts')).success, 'Sibling file should be granted');
+      this.assert(!(await coordinator.acquireFileLock('ui', 'src/')).success, 'Ancestor directory of a locked file should conflict');
+      
+      const state = await coordinator.loadSystemState();
+      this.assert(state.file_locks['src/utils/math.ts'] && !state.file_locks['./src/utils/math.ts'], 'Locks should be stored under normalized keys');
+      
+      await coordinator.releaseFileLock('other', path.join(projectDir, 'src/utils/math.ts'));
+      this.assert(!(await coordinator.loadSystemState()).file_locks['src/utils/math.ts'], 'Release should normalize the key too');
+      
+      console.log('  ✅ Directory locks work correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ Directory locks failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testLockPreemption() {
+    console.log('🙋 Testing lock release requests...');
+    
+    try {
+      const CoordinatorCore = require('../src/coordinator-core');
+      const WorkerCore = require('../src/worker-core');
+      const { isHeldBy } = require('../src/lock-manager');
+      const projectDir = path.join(this.testDir, 'preemption-project');
+      await fs.ensureDir(projectDir);
+      
+      const coordinator = new CoordinatorCore(projectDir, { forceReleaseAfter: 60000 });
+      await coordinator.initializeSystem();
+      await coordinator.registerWorker('urgent', 'GRUP1_TYPESCRIPT');
+      await coordinator.registerWorker('bundler', 'GRUP3_BUNDLE');
+      await coordinator.registerWorker('peer', 'GRUP2_ESLINT');
+      
+      this.assert((await coordinator.acquireFileLock('bundler', 'package.json')).success, 'Bundler should lock package.json');
+      
+      const refused = await coordinator.api.requestRelease({ workerId: 'peer', key: 'package.json' });
+      this.assert(!refused.success, 'A group of the same priority should not preempt the holder');
+      
+      await coordinator.acquireFileLocks('urgent', ['package.json']);
+      const asked = await coordinator.api.requestRelease({ workerId: 'urgent', key: 'package.json', reason: 'Fix types' });
+      this.assert(asked.success && asked.request.holder === 'bundler', 'Higher priority group should be able to ask for the lock');
+      this.assert(asked.request.deadline, 'Request should carry the forced release deadline');
+      
+      const again = await coordinator.api.requestRelease({ workerId: 'urgent', key: 'package.json' });
+      this.assert(again.request.id === asked.request.id, 'Asking twice should not record a second request');
+      
+      // The holder hands its locks over at the next safe point and queues to get them back
+      const bundler = new WorkerCore('bundler', 'GRUP3_BUNDLE', projectDir, { dryRun: true });
+      bundler.isRunning = true;
+      bundler.acquiredLocks = ['package.json'];
+      const yielded = bundler.safePoint({ name: 'Update dependencies', files: ['package.json'], lockMode: 'exclusive' });
+      
+      let state;
+      for (let i = 0; i < 50; i++) {
+        state = await coordinator.loadSystemState();
+        if (isHeldBy(state.file_locks['package.json'], 'urgent')) break;
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      this.assert(isHeldBy(state.file_locks['package.json'], 'urgent'), 'Requester should get the yielded lock');
+      this.assert(state.release_requests.find(request => request.id === asked.request.id).status === 'released', 'Request should be recorded as released');
+      
+      await coordinator.releaseFileLock('urgent', 'package.json');
+      this.assert(await yielded, 'Holder should report that it yielded');
+      this.assert(isHeldBy((await coordinator.loadSystemState()).file_locks['package.json'], 'bundler'), 'Holder should get its lock back afterwards');
+      
+      // Holders that ignore a request lose the lock once the deadline passes
+      coordinator.api.options.forceReleaseAfter = 1;
+      await coordinator.acquireFileLock('bundler', 'tsconfig.json');
+      await coordinator.acquireFileLocks('urgent', ['tsconfig.json']);
+      await coordinator.api.requestRelease({ workerId: 'urgent', key: 'tsconfig.json' });
+      await new Promise(resolve => setTimeout(resolve, 10));
+      
+      const forced = await coordinator.api.forceOverdueReleases();
+      state = await coordinator.loadSystemState();
+      this.assert(forced.length === 1 && forced[0].key === 'tsconfig.json', 'Overdue request should be forced');
+      this.assert(isHeldBy(state.file_locks['tsconfig.json'], 'urgent'), 'Forced lock should go to the requester');
+      this.assert(state.release_requests.find(request => request.key === 'tsconfig.json').status === 'forced', 'Forced release should be recorded');
+      await coordinator.releaseFileLock('urgent', 'tsconfig.json');
+      
+      // A task whose lock was taken back while it ran is run again under fresh locks
+      const runs = [];
+      bundler.generateTasks = () => [{
+        name: 'Tidy config',
+        action: 'custom',
+        files: ['tsconfig.json'],
+        retries: 0,
+        handler: async (task, worker, { safePoint }) => {
+          runs.push(isHeldBy((await coordinator.loadSystemState()).file_locks['tsconfig.json'], 'bundler'));
+          if (runs.length > 1) return;
+          
+          await coordinator.acquireFileLocks('urgent', ['tsconfig.json']);
+          await coordinator.api.requestRelease({ workerId: 'urgent', key: 'tsconfig.json' });
+          await new Promise(resolve => setTimeout(resolve, 10));
+          await coordinator.api.forceOverdueReleases();
+          await coordinator.releaseFileLock('urgent', 'tsconfig.json');
+          this.assert(typeof safePoint === 'function', 'Custom handlers should get a safe point');
+        }
+      }];
+      
+      this.assert(await bundler.executeTasks(), 'Task should complete after losing its lock');
+      this.assert(runs.length === 2 && runs.every(Boolean), `Task should run again holding its lock (${runs.join(',')})`);
+      this.assert(bundler.tasks[0].retries === 0, 'A forced release should not use up a retry');
+      
+      console.log('  ✅ Lock release requests work correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ Lock release requests failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testLockHistory() {
+    console.log('📊 Testing lock history report...');
+    
+    try {
+      const CoordinatorCore = require('../src/coordinator-core');
+      const MonitorDashboard = require('../src/monitor-dashboard');
+      const projectDir = path.join(this.testDir, 'lock-history-project');
+      await fs.ensureDir(projectDir);
+      
+      const coordinator = new CoordinatorCore(projectDir);
+      await coordinator.initializeSystem();
+      await coordinator.registerWorker('types', 'GRUP1_TYPESCRIPT');
+      await coordinator.registerWorker('bundle', 'GRUP3_BUNDLE');
+      
+      await coordinator.acquireFileLock('types', 'package.json');
+      await coordinator.acquireFileLocks('bundle', ['package.json', 'next.config.js']);
+      await coordinator.acquireFileLock('bundle', 'README.md');
+      await new Promise(resolve => setTimeout(resolve, 50));
+      await coordinator.releaseFileLock('types', 'package.json');
+      await coordinator.releaseFileLock('bundle', 'README.md');
+      
+      const monitor = new MonitorDashboard(projectDir);
+      const report = await monitor.getLockReport();
+      
+      this.assert(report.totals.holds === 4 && report.totals.waits === 2, 'Every hold and wait should be reconstructed from the journal');
+      this.assert(report.hotFiles[0].key === 'package.json' && report.hotFiles[0].waits === 1, 'Contended file should top the report');
+      this.assert(report.hotFiles[0].avgWait >= 40, 'Wait time should be measured until the grant');
+      
+      const bundle = report.groups.find(group => group.group === 'GRUP3_BUNDLE');
+      this.assert(bundle && bundle.waits === 2 && bundle.avgWait >= 40, 'Waits should be attributed to the waiting group');
+      this.assert(report.groups.find(group => group.group === 'GRUP1_TYPESCRIPT').waits === 0, 'Groups that never waited should be listed without waits');
+      
+      const [longest] = report.longestHolds;
+      this.assert(longest.released_at && longest.duration >= 40 && longest.ended_by === 'lock_released', 'Longest holds should carry their duration');
+      this.assert(report.longestHolds.some(hold => hold.key === 'package.json' && hold.workerId === 'bundle' && !hold.released_at), 'Locks still held should be included');
+      
+      const later = await monitor.getLockReport({ since: new Date(Date.now() + 60000).toISOString() });
+      this.assert(later.totals.waits === 0 && later.totals.holds === 2, '--since should keep only what is still open');
+
+      // Compaction keeps 20 archives; pruned ones leave the state they ended in
+      for (let i = 0; i < 22; i++) {
+        await coordinator.updateWorkerStatus('types', { status: `step_${i}` });
+        await coordinator.store.compact();
+      }
+      this.assert((await coordinator.journal.listArchives()).length === 20, 'Only 20 archives should be retained');
+
+      const pruned = await monitor.getLockReport();
+      this.assert(pruned.from, 'History should survive pruned archives');
+      this.assert(pruned.totals.holds === 2 && pruned.longestHolds.every(hold => hold.workerId === 'bundle' && !hold.released_at), 'Locks held across the pruned archives should still be reported');
+
+      console.log('  ✅ Lock history report works correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ Lock history report failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testLockScope() {
+    console.log('🚧 Testing group lock scopes...');
+    
+    try {
+      const CoordinatorCore = require('../src/coordinator-core');
+      const WorkerCore = require('../src/worker-core');
+      const projectDir = path.join(this.testDir, 'lock-scope-project');
+      await fs.ensureDir(projectDir);
+      
+      const config = {
+        groups: {
+          API: { name: 'API', priority: 1, files: ['src/api/**', 'package.json'] },
+          DOCS: { name: 'Docs', priority: 2 }
+        },
+        rules: { file_protection: { group_scope: 'enforce', exclude_patterns: ['node_modules/**', '.git/**'] } }
+      };
+      await fs.writeJSON(path.join(projectDir, 'claude-coord.json'), config);
+      
+      const coordinator = new CoordinatorCore(projectDir);
+      await coordinator.initializeSystem();
+      await coordinator.registerWorker('api', 'API');
+      await coordinator.registerWorker('docs', 'DOCS');
+      
+      this.assert((await coordinator.acquireFileLock('api', 'src/api/users.ts')).success, 'Files in the group should be lockable');
+      this.assert((await coordinator.acquireFileLock('api', 'src/api/')).success, 'Directories in the group should be lockable');
+      
+      const outside = await coordinator.acquireFileLock('api', 'tsconfig.json');
+      this.assert(!outside.success && outside.outOfScope[0].reason === 'outside-group', 'Files outside the group should be rejected');
+      
+      const batch = await coordinator.acquireFileLocks('api', ['package.json', 'src/**/*.ts']);
+      this.assert(!batch.success && batch.outOfScope.length === 1, 'A batch with an out-of-scope pattern should be rejected');
+      
+      const excluded = await coordinator.acquireFileLock('docs', 'node_modules/react/index.js');
+      this.assert(!excluded.success && excluded.outOfScope[0].pattern === 'node_modules/**', 'Protected paths should be rejected for every group');
+      this.assert((await coordinator.acquireFileLock('docs', 'README.md')).success, 'Groups without files should lock anything unprotected');
+      
+      this.assert((await coordinator.acquireFileLock('api', 'tsconfig.json', 'exclusive', { override: true })).success, 'Override should allow an out-of-scope lock');
+      
+      let state = await coordinator.loadSystemState();
+      this.assert(!state.file_locks['node_modules/react/index.js'] && !state.file_locks['package.json'], 'Rejected requests should take no locks');
+      this.assert(state.scope_violations.map(violation => violation.action).join() === 'rejected,rejected,rejected,overridden', 'Every violation should be recorded');
+      
+      const worker = new WorkerCore('api', 'API', projectDir, { dryRun: true });
+      let rejected = null;
+      try {
+        await worker.tryAcquireFileLock('README.md');
+      } catch (error) {
+        rejected = error;
+      }
+      this.assert(rejected && rejected.code === 'ESCOPE', 'Workers should get an ESCOPE error');
+      
+      // The warn policy only records violations
+      config.rules.file_protection.group_scope = 'warn';
+      await fs.writeJSON(path.join(projectDir, 'claude-coord.json'), config);
+      await coordinator.recoverSystem();
+      
+      this.assert((await coordinator.acquireFileLock('api', 'CHANGELOG.md')).success, 'Warn policy should grant out-of-scope locks');
+      state = await coordinator.loadSystemState();
+      this.assert(state.scope_violations[state.scope_violations.length - 1].action === 'allowed', 'Warn policy should still record the violation');
+      
+      // Configs that don't choose a policy only get warnings
+      delete config.rules.file_protection.group_scope;
+      await fs.writeJSON(path.join(projectDir, 'claude-coord.json'), config);
+      await coordinator.recoverSystem();
+      
+      this.assert((await coordinator.loadSystemState()).file_protection.group_scope === 'warn', 'Scopes should default to the warn policy');
+      this.assert((await coordinator.acquireFileLock('api', 'LICENSE')).success, 'Out-of-scope locks should be granted by default');
+      
+      console.log('  ✅ Group lock scopes work correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ Group lock scopes failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testChangeWatcher() {
+    console.log('👁️  Testing file change watcher...');
+    
+    try {
+      const CoordinatorCore = require('../src/coordinator-core');
+      const { findChangeViolation } = require('../src/change-watcher');
+      const projectDir = path.join(this.testDir, 'change-watcher-project');
+      await fs.ensureDir(path.join(projectDir, 'src'));
+      await fs.ensureDir(path.join(projectDir, 'dist'));
+      
+      await fs.writeJSON(path.join(projectDir, 'claude-coord.json'), {
+        groups: {
+          API: { name: 'API', priority: 1, files: ['src/**'] },
+          DOCS: { name: 'Docs', priority: 2 }
+        },
+        rules: { file_protection: { exclude_patterns: ['dist/**'] } }
+      });
+      
+      const coordinator = new CoordinatorCore(projectDir);
+      await coordinator.initializeSystem();
+      await coordinator.registerWorker('api', 'API');
+      await coordinator.registerWorker('docs', 'DOCS');
+      await coordinator.store.update(state => {
+        Object.assign(state.active_workers.api, { status: 'working', current_files: ['src/api.ts', 'src/util.ts'] });
+      });
+      
+      this.assert((await coordinator.acquireFileLock('docs', 'src/api.ts')).success, 'Docs should lock the API file');
+      this.assert((await coordinator.acquireFileLock('api', 'src/util.ts')).success, 'API should lock its own file');
+      
+      coordinator.isRunning = true;
+      await coordinator.startFileWatcher();
+      
+      try {
+        await fs.writeFile(path.join(projectDir, 'src/api.ts'), 'export {};\n');
+        await fs.writeFile(path.join(projectDir, 'src/util.ts'), 'export {};\n');
+        await fs.writeFile(path.join(projectDir, 'dist/bundle.js'), '');
+        await fs.writeFile(path.join(projectDir, 'notes.txt'), 'todo\n');
+        
+        let state = await coordinator.loadSystemState();
+        for (let waited = 0; (state.change_violations || []).length < 2 && waited < 5000; waited += 100) {
+          await new Promise(resolve => setTimeout(resolve, 100));
+          state = await coordinator.loadSystemState();
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
+        state = await coordinator.loadSystemState();
+        
+        const flagged = (state.change_violations || []).map(violation => `${violation.key}:${violation.reason}`).sort();
+        this.assert(flagged.join() === 'notes.txt:unlocked,src/api.ts:wrong-holder', `Only changes without the right lock should be flagged (${flagged.join()})`);
+        
+        const wrongHolder = state.change_violations.find(violation => violation.key === 'src/api.ts');
+        this.assert(wrongHolder.holders.join() === 'docs' && wrongHolder.workers.join() === 'api', 'The holder and the task worker should be recorded');
+        
+        // Another save right after is the same violation
+        await fs.appendFile(path.join(projectDir, 'notes.txt'), 'more\n');
+        await new Promise(resolve => setTimeout(resolve, 500));
+        state = await coordinator.loadSystemState();
+        this.assert(state.change_violations.length === 2, 'Repeated changes should be flagged once');
+      } finally {
+        coordinator.isRunning = false;
+        await coordinator.fileWatcher.close();
+      }
+      
+      // Writes landing just after a release still count as covered
+      const state = await coordinator.loadSystemState();
+      const now = Date.now();
+      const released = [{ key: 'README.md', workerId: 'docs', at: now - 500 }];
+      this.assert(findChangeViolation(state, 'README.md', { now, releases: released }) === null, 'Recently released keys should be in grace');
+      this.assert(findChangeViolation(state, 'README.md', { now: now + 5000, releases: released }).reason === 'unlocked', 'The grace period should run out');
+      
+      console.log('  ✅ File change watcher works correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ File change watcher failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testLockCommands() {
+    console.log('🔧 Testing lock CLI commands...');
+    
+    try {
+      const CoordinatorCore = require('../src/coordinator-core');
+      const projectDir = path.join(this.testDir, 'lock-cli-project');
+      await fs.ensureDir(projectDir);
+      
+      const coordinator = new CoordinatorCore(projectDir);
+      await coordinator.initializeSystem();
+      await coordinator.registerWorker('live', 'GRUP3_BUNDLE');
+      await coordinator.acquireFileLock('live', 'package.json');
+      
+      const cli = async (...args) => {
+        try {
+          const { stdout } = await execFileAsync(process.execPath, [path.join(__dirname, '../bin/cli.js'), ...args, '--json'], {
+            cwd: projectDir,
+            timeout: 15000
+          });
+          return JSON.parse(stdout);
+        } catch (error) {
+          // Failed commands exit 1 but still print their JSON result
+          if (!error.stdout) throw error;
+          return JSON.parse(error.stdout);
+        }
+      };
+      
+      const locked = await cli('lock', 'docs/', '--worker', 'human');
+      this.assert(locked.success && locked.key === 'docs/', 'lock should take a lock for the given worker');
+      
+      const refused = await cli('lock', 'package.json', '--worker', 'human');
+      this.assert(!refused.success && refused.lockedBy === 'live', 'lock should report the holder of a taken file');
+      this.assert((await coordinator.loadSystemState()).lock_waits.length === 0, 'A refused CLI lock should not stay queued');
+      
+      const table = await cli('locks');
+      const held = table.locks.find(lock => lock.key === 'package.json');
+      this.assert(table.locks.length === 2 && held.holders[0].workerId === 'live' && held.holders[0].group === 'GRUP3_BUNDLE', 'locks should list holders');
+      
+      const who = await cli('who', 'docs/guide.md');
+      this.assert(who.locks.length === 1 && who.locks[0].holders[0].workerId === 'human', 'who should find the directory lock covering a file');
+      
+      this.assert((await cli('unlock', 'docs/')).success, 'unlock should release a lock without a live worker');
+      
+      const protectedLock = await cli('unlock', 'package.json');
+      this.assert(!protectedLock.success && /live worker/.test(protectedLock.error), 'unlock should refuse to take a live worker\'s lock');
+      
+      const forced = await cli('unlock', 'package.json', '--force');
+      this.assert(forced.success && forced.forced.includes('live'), '--force should release it anyway');
+      this.assert(Object.keys((await coordinator.loadSystemState()).file_locks).length === 0, 'All locks should be released');
+      
+      // With a coordinator running, the commands go through it instead of the file it holds
+      const running = new CoordinatorCore(projectDir, { port: 0 });
+      await running.start();
+      try {
+        const remoteLock = await cli('lock', 'package.json', '--worker', 'human', '--ttl', '600');
+        const lease = (await running.store.read()).file_locks['package.json'];
+        this.assert(remoteLock.success && lease && lease.owner === 'human', 'lock should take the lock in the coordinator\'s state');
+        this.assert(new Date(lease.expires_at).getTime() - Date.now() > 300000, '--ttl should set the lease term through the coordinator');
+        
+        const remoteUnlock = await cli('unlock', 'package.json', '--force');
+        this.assert(remoteUnlock.success && !(await running.store.read()).file_locks['package.json'], 'unlock should release it in the coordinator\'s state');
+      } finally {
+        await running.stop();
+      }
+      
+      console.log('  ✅ Lock CLI commands work correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ Lock CLI commands failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testBackups() {
+    console.log('💾 Testing file backups and restore...');
+    
+    try {
+      const CoordinatorCore = require('../src/coordinator-core');
+      const WorkerCore = require('../src/worker-core');
+      const projectDir = path.join(this.testDir, 'backup-project');
+      await fs.ensureDir(path.join(projectDir, 'src'));
+      await fs.writeFile(path.join(projectDir, 'src/a.ts'), 'a1');
+      await fs.writeFile(path.join(projectDir, 'src/b.ts'), 'b1');
+      
+      const coordinator = new CoordinatorCore(projectDir);
+      await coordinator.initializeSystem();
+      await coordinator.registerWorker('fixer', 'GRUP1_TYPESCRIPT');
+      await coordinator.registerWorker('other', 'GRUP2_ESLINT');
+      
+      const worker = new WorkerCore('fixer', 'GRUP1_TYPESCRIPT', projectDir, { dryRun: true });
+      worker.isRunning = true;
+      
+      // First task edits a.ts and creates new.ts
+      worker.currentTask = { name: 'fix-a' };
+      await worker.acquireFileLocks(['src/a.ts', 'src/new.ts']);
+      await fs.writeFile(path.join(projectDir, 'src/a.ts'), 'a2');
+      await fs.writeFile(path.join(projectDir, 'src/new.ts'), 'new');
+      
+      // Re-locking within the same task keeps the original snapshot
+      this.assert(await worker.backupFiles(['src/a.ts']) === null, 'A task should snapshot a file once');
+      await worker.releaseFileLocks(['src/a.ts', 'src/new.ts']);
+      
+      // Second task locks the whole directory and edits b.ts
+      worker.currentTask = { name: 'fix-b' };
+      this.assert(await worker.tryAcquireFileLock('src/'), 'Directory lock should be granted');
+      await fs.writeFile(path.join(projectDir, 'src/b.ts'), 'b2');
+      await worker.releaseFileLocks(['src/']);
+      
+      // Shared locks don't modify anything
+      await worker.tryAcquireFileLock('src/b.ts', 'shared');
+      await worker.releaseFileLocks(['src/b.ts']);
+      
+      const [session] = await coordinator.backups.list();
+      const manifest = session.workers[0];
+      this.assert(session.workers.length === 1 && manifest.workerId === 'fixer', 'Backups should be kept per worker');
+      this.assert(manifest.snapshots.length === 2, `Only write locks should take snapshots (${manifest.snapshots.length})`);
+      this.assert(manifest.snapshots[1].files.map(entry => entry.file).sort().join() === 'src/a.ts,src/b.ts,src/new.ts', 'Directory locks should snapshot the files beneath them');
+      
+      // Rolling back one task leaves the other's changes
+      const task = await coordinator.restoreBackups({ task: 'fix-b' });
+      this.assert(task.success && await fs.readFile(path.join(projectDir, 'src/b.ts'), 'utf8') === 'b1', 'Task restore should roll back its file');
+      this.assert(await fs.readFile(path.join(projectDir, 'src/a.ts'), 'utf8') === 'a2', 'Task restore should keep other tasks\' changes');
+      
+      // Live locks are skipped unless forced
+      await coordinator.acquireFileLock('other', 'src/a.ts');
+      const blocked = await coordinator.restoreBackups({ file: './src/a.ts' });
+      this.assert(!blocked.success && blocked.skipped[0].lockedBy === 'other', 'Files locked by a live worker should be skipped');
+      await coordinator.releaseFileLock('other', 'src/a.ts');
+      
+      const dryRun = await coordinator.restoreBackups({ workerId: 'fixer' }, { dryRun: true });
+      this.assert(dryRun.restored.length === 3 && await fs.readFile(path.join(projectDir, 'src/a.ts'), 'utf8') === 'a2', 'Dry runs should change nothing');
+      
+      const all = await coordinator.restoreBackups({ workerId: 'fixer' });
+      this.assert(all.success && await fs.readFile(path.join(projectDir, 'src/a.ts'), 'utf8') === 'a1', 'Worker restore should roll back to the first snapshot');
+      this.assert(!(await fs.pathExists(path.join(projectDir, 'src/new.ts'))), 'Files the worker created should be deleted');
+      
+      this.assert(!(await coordinator.restoreBackups({ workerId: 'nobody' })).success, 'Unknown workers have nothing to restore');
+      
+      // features.auto_backup turns it off
+      await fs.writeJSON(path.join(projectDir, 'claude-coord.json'), {
+        groups: { GRUP1_TYPESCRIPT: { name: 'TypeScript', priority: 1 } },
+        features: { auto_backup: false }
       });
+      await coordinator.recoverSystem();
+      worker.currentTask = { name: 'fix-c' };
+      await worker.tryAcquireFileLock('src/c.ts');
+      this.assert((await coordinator.backups.list())[0].workers[0].snapshots.length === 2, 'Disabled backups should take no snapshots');
       
-      // Test initialization
+      console.log('  ✅ File backups and restore work correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ File backups failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testChangeTracking() {
+    console.log('📝 Testing per-worker change tracking...');
+    
+    try {
+      const CoordinatorCore = require('../src/coordinator-core');
+      const WorkerCore = require('../src/worker-core');
+      const projectDir = path.join(this.testDir, 'change-tracking-project');
+      await fs.ensureDir(path.join(projectDir, 'src'));
+      await fs.writeFile(path.join(projectDir, 'src/a.ts'), 'one\ntwo\nthree\n');
+      await fs.writeFile(path.join(projectDir, 'src/b.ts'), 'b\n');
+      
+      const coordinator = new CoordinatorCore(projectDir);
+      await coordinator.initializeSystem();
+      await coordinator.registerWorker('ts', 'GRUP1_TYPESCRIPT');
+      await coordinator.registerWorker('lint', 'GRUP2_ESLINT');
+      
+      const worker = new WorkerCore('ts', 'GRUP1_TYPESCRIPT', projectDir, { dryRun: true });
+      await worker.call('worker.progress', { workerId: 'ts', progress: { current_task: 'fix-a' } });
+      
+      this.assert(await worker.tryAcquireFileLock('src/a.ts'), 'Worker should lock a.ts');
+      await fs.writeFile(path.join(projectDir, 'src/a.ts'), 'one\n2\nthree\n');
+      
+      // Asking again for a held lock keeps the content from the first grant
+      await worker.tryAcquireFileLock('src/a.ts');
+      
+      // Only hashes stay in memory; the text to diff against is on disk
+      const tracker = worker.api.options.changeTracker;
+      const [hold] = tracker.holds.values();
+      this.assert([...hold.files.values()].every(file => file.hash && file.text === undefined), 'Held files should be kept as hashes');
+      this.assert(await fs.readFile(path.join(hold.dir, hold.files.get('src/a.ts').hash), 'utf8') === 'one\ntwo\nthree\n', 'Captured text should be spilled to disk');
+      await worker.releaseFileLocks(['src/a.ts']);
+      this.assert(!(await fs.pathExists(hold.dir)), 'Spilled text should be removed once the lock is settled');
+      
+      // A directory lock picks up created files; unchanged ones aren't logged
+      await worker.call('worker.progress', { workerId: 'ts', progress: { current_task: 'add-c' } });
+      await worker.tryAcquireFileLock('src/');
+      await fs.writeFile(path.join(projectDir, 'src/c.ts'), 'c\n');
+      await worker.releaseFileLocks(['src/']);
+      
+      // Read locks aren't tracked
+      await coordinator.acquireFileLock('lint', 'src/b.ts', 'shared');
+      await fs.writeFile(path.join(projectDir, 'src/b.ts'), 'changed under a read lock\n');
+      await coordinator.releaseFileLock('lint', 'src/b.ts');
+      
+      const changes = await coordinator.changes.read();
+      this.assert(changes.length === 2, `Only files changed under write locks should be logged (${changes.length})`);
+      
+      const [modified, created] = changes;
+      this.assert(modified.workerId === 'ts' && modified.group === 'GRUP1_TYPESCRIPT' && modified.task === 'fix-a', 'Changes should carry worker, group and task');
+      this.assert(modified.added === 1 && modified.removed === 1 && modified.diff.includes('-two\n+2\n'), 'Modified files should have a unified diff');
+      this.assert(modified.before_hash && modified.after_hash && modified.before_hash !== modified.after_hash, 'Content hashes should be recorded');
+      this.assert(created.file === 'src/c.ts' && created.change === 'created' && created.task === 'add-c' && created.diff.startsWith('--- /dev/null'), 'Created files should be attributed');
+      
+      const { stdout } = await execFileAsync(process.execPath, [path.join(__dirname, '../bin/cli.js'), 'changes', '--group', 'GRUP1_TYPESCRIPT', '--task', 'fix-a', '--json'], {
+        cwd: projectDir,
+        timeout: 15000
+      });
+      const listed = JSON.parse(stdout);
+      this.assert(listed.length === 1 && listed[0].file === 'src/a.ts', 'changes should filter by group and task');
+      
+      this.assert((await coordinator.changes.read({ workerId: 'lint' })).length === 0, 'Other workers should have no changes');
+      
+      // Locks freed without their worker releasing them are settled too
+      const running = new CoordinatorCore(projectDir, { port: 0 });
+      await running.start();
+      try {
+        this.assert((await running.acquireFileLock('lint', 'src/b.ts')).success, 'Running coordinator should lock b.ts');
+        await fs.writeFile(path.join(projectDir, 'src/b.ts'), 'changed before a forced release\n');
+        await running.unlockFile('src/b.ts', { force: true });
+        
+        let forced = [];
+        for (let attempt = 0; attempt < 40 && forced.length === 0; attempt++) {
+          await new Promise(resolve => setTimeout(resolve, 50));
+          forced = await running.changes.read({ workerId: 'lint' });
+        }
+        this.assert(forced.length === 1 && forced[0].file === 'src/b.ts', 'A forced release should log the changes made under the lock');
+        
+        this.assert((await running.acquireFileLock('ts', 'src/a.ts')).success, 'Running coordinator should lock a.ts');
+        await fs.writeFile(path.join(projectDir, 'src/a.ts'), 'changed before shutdown\n');
+      } finally {
+        await running.stop();
+      }
+      
+      const drained = await running.changes.read({ workerId: 'ts', task: 'add-c' });
+      this.assert(drained.some(change => change.file === 'src/a.ts'), 'Locks drained on shutdown should log their changes');
+      
+      console.log('  ✅ Per-worker change tracking works correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ Per-worker change tracking failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testWorktrees() {
+    console.log('🌳 Testing worktree isolation...');
+    
+    try {
+      const CoordinatorCore = require('../src/coordinator-core');
+      const WorkerCore = require('../src/worker-core');
+      const originDir = path.join(this.testDir, 'worktree-origin.git');
+      const projectDir = path.join(this.testDir, 'worktree-project');
+      const git = (args, cwd = projectDir) => execFileAsync('git', ['-c', 'user.name=test', '-c', 'user.email=test@localhost', ...args], { cwd, timeout: 15000 })
+        .then(({ stdout }) => stdout.trim());
+      
+      await git(['init', '-q', '--bare', originDir], this.testDir);
+      await git(['clone', '-q', originDir, projectDir], this.testDir);
+      await fs.ensureDir(path.join(projectDir, 'src'));
+      await fs.writeFile(path.join(projectDir, 'src/a.ts'), 'one\ntwo\nthree\n');
+      await fs.writeFile(path.join(projectDir, 'src/b.ts'), 'b\n');
+      await git(['checkout', '-q', '-b', 'main']);
+      await git(['add', '-A']);
+      await git(['commit', '-q', '-m', 'Initial commit']);
+      await git(['push', '-q', '-u', 'origin', 'main']);
+      
+      const coordinator = new CoordinatorCore(projectDir, { port: 0, worktrees: true, fileWatching: false });
       await coordinator.start();
-      this.assert(coordinator.isRunning, 'Coordinator should be running');
       
-      // Test worker registration
-      const worker = await coordinator.registerWorker('test_worker', 'TYPESCRIPT');
-      this.assert(worker.id === 'test_worker', 'Worker registration failed');
+      const waitForWorktrees = async (predicate, what) => {
+        for (let waited = 0; waited < 10000; waited += 50) {
+          const state = await coordinator.loadSystemState();
+          if (predicate(state.worktrees || {})) return state.worktrees;
+          await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        throw new Error(`Timed out waiting for ${what}`);
+      };
       
-      // Test file locking
-      const lockResult = await coordinator.acquireFileLock('test_worker', 'test.ts');
-      this.assert(lockResult.success, 'File locking failed');
+      // GRUP2_ESLINT is blocked by GRUP1_TYPESCRIPT; GRUP3_BUNDLE by nothing
+      const workers = {};
+      for (const [workerId, group] of [['ts', 'GRUP1_TYPESCRIPT'], ['lint', 'GRUP2_ESLINT'], ['bundle', 'GRUP3_BUNDLE']]) {
+        const worker = new WorkerCore(workerId, group, projectDir, { dryRun: true });
+        worker.isRunning = true;
+        await worker.connectToCoordinator();
+        await worker.registerWithCoordinator();
+        await worker.prepareWorktree(10000);
+        workers[workerId] = worker;
+      }
       
-      // Test system status
-      const status = await coordinator.getSystemStatus();
-      this.assert(status.healthy, 'System should be healthy');
-      this.assert(status.activeWorkers === 1, 'Should have 1 active worker');
+      const state = await coordinator.loadSystemState();
+      this.assert(state.isolation.base_branch === 'main', 'Isolation should merge into the checked out branch');
+      this.assert(workers.ts.workingDir === path.join(projectDir, '.claude-coord/worktrees/ts'), 'Workers should run tasks in their worktree');
+      this.assert(await git(['rev-parse', '--abbrev-ref', 'HEAD'], workers.ts.workingDir) === 'claude-coord/ts', 'Each worktree should have its own branch');
+      
+      // Locks taken on worktree paths cover the same project files
+      this.assert(await workers.ts.tryAcquireFileLock(path.join(workers.ts.workingDir, 'src/a.ts')), 'Worker should lock a file in its worktree');
+      this.assert((await coordinator.loadSystemState()).file_locks['src/a.ts'], 'Worktree paths should lock project keys');
+      await fs.writeFile(path.join(workers.ts.workingDir, 'src/a.ts'), 'one\n2\nthree\n');
+      await workers.ts.releaseFileLocks(['src/a.ts']);
+      
+      await fs.writeFile(path.join(workers.lint.workingDir, 'src/b.ts'), 'linted\n');
+      await fs.writeFile(path.join(workers.bundle.workingDir, 'src/a.ts'), 'one\nzwei\nthree\n');
+      
+      // The blocked group is held back until the group it depends on is merged
+      this.assert(await workers.lint.submitWorktree(), 'Worker should submit its worktree');
+      await new Promise(resolve => setTimeout(resolve, 300));
+      this.assert((await coordinator.loadSystemState()).worktrees.lint.status === 'submitted', 'Blocked group should wait for its dependency');
+      this.assert(await fs.readFile(path.join(projectDir, 'src/b.ts'), 'utf8') === 'b\n', 'Blocked group should not be merged yet');
+      
+      await workers.ts.submitWorktree();
+      await waitForWorktrees(worktrees => worktrees.lint.status === 'merged', 'both merges');
+      
+      this.assert(await fs.readFile(path.join(projectDir, 'src/a.ts'), 'utf8') === 'one\n2\nthree\n', 'Merged changes should reach the project');
+      this.assert(await fs.readFile(path.join(projectDir, 'src/b.ts'), 'utf8') === 'linted\n', 'Dependent group should merge after its dependency');
+      const merges = (await git(['log', '--merges', '--format=%s'])).split('\n');
+      this.assert(merges[0].includes('claude-coord/lint') && merges[1].includes('claude-coord/ts'), `Merges should follow the dependency order (${merges.join('; ')})`);
+      
+      // A conflicting branch is reported and the merge backed out
+      await workers.bundle.submitWorktree();
+      const worktrees = await waitForWorktrees(entries => entries.bundle.status !== 'submitted', 'the conflicting merge');
+      this.assert(worktrees.bundle.status === 'conflict', `Conflicting merge should be reported (${worktrees.bundle.status})`);
+      this.assert(worktrees.bundle.conflicts.length === 1 && worktrees.bundle.conflicts[0] === 'src/a.ts', 'Conflict should list the conflicting files');
+      this.assert(!(await fs.pathExists(path.join(projectDir, '.git/MERGE_HEAD'))), 'Conflicting merge should be aborted');
+      this.assert(await git(['status', '--porcelain', '--untracked-files=no']) === '', 'Working copy should stay clean after a conflict');
+      
+      // The merged history goes upstream like any other
+      await git(['push', '-q', 'origin', 'main']);
+      this.assert((await git(['log', '--format=%s', 'main'], originDir)).includes('claude-coord/lint'), 'Merges should reach the bare repository');
+      
+      const { stdout } = await execFileAsync(process.execPath, [path.join(__dirname, '../bin/cli.js'), 'worktrees', '--json'], {
+        cwd: projectDir,
+        timeout: 15000
+      });
+      const listed = JSON.parse(stdout);
+      this.assert(listed.worktrees.ts.status === 'merged' && listed.worktrees.bundle.status === 'conflict', 'worktrees should list merge status');
+      
+      // Worker ids name worktree directories and branches, so unsafe ones are refused
+      for (const workerId of ['../escape', 'a..b', 'x.lock', '-rf', 'sp ace']) {
+        const intruder = new WorkerCore(workerId, 'GRUP3_BUNDLE', projectDir, { dryRun: true });
+        await intruder.connectToCoordinator();
+        let code = null;
+        try {
+          await intruder.registerWithCoordinator();
+        } catch (error) {
+          code = error.code;
+        }
+        intruder.client.close();
+        this.assert(code === 'EWORKERID', `Worker ID ${workerId} should be refused`);
+      }
+      this.assert(!(await fs.pathExists(path.join(projectDir, '.claude-coord/escape'))), 'No worktree should be created outside the worktrees directory');
       
       await coordinator.stop();
-      this.assert(!coordinator.isRunning, 'Coordinator should be stopped');
       
-      console.log('  ✅ Coordinator core works correctly');
+      console.log('  ✅ Worktree isolation works correctly');
       this.passed++;
       
     } catch (error) {
-      console.log(`  ❌ Coordinator core failed: ${error.message}`);
+      console.log(`  ❌ Worktree isolation failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testCommitGuard() {
+    console.log('🪝 Testing the pre-commit guard...');
+    
+    try {
+      const CoordinatorCore = require('../src/coordinator-core');
+      const { findLockedFiles } = require('../src/commit-guard');
+      const projectDir = path.join(this.testDir, 'commit-guard-project');
+      const cli = path.join(__dirname, '../bin/cli.js');
+      
+      // Config passed down through the environment (e.g. core.hooksPath) would override the repository's
+      const baseEnv = Object.fromEntries(Object.entries(process.env).filter(([name]) => !name.startsWith('GIT_CONFIG_')));
+      const git = (args, env = {}) => execFileAsync('git', ['-c', 'user.name=test', '-c', 'user.email=test@localhost', ...args], {
+        cwd: projectDir,
+        timeout: 30000,
+        env: { ...baseEnv, ...env }
+      });
+      const coord = args => execFileAsync(process.execPath, [cli, ...args], { cwd: projectDir, timeout: 15000, env: baseEnv });
+      
+      await fs.ensureDir(path.join(projectDir, 'src'));
+      await git(['init', '-q']);
+      await fs.writeFile(path.join(projectDir, 'src/a.ts'), 'a\n');
+      await fs.writeFile(path.join(projectDir, 'src/b.ts'), 'b\n');
+      await git(['add', 'src']);
+      await git(['commit', '-q', '-m', 'Initial commit']);
+      
+      const coordinator = new CoordinatorCore(projectDir);
+      await coordinator.initializeSystem();
+      await coordinator.registerWorker('writer', 'GRUP1_TYPESCRIPT');
+      await coordinator.registerWorker('reader', 'GRUP2_ESLINT');
+      await coordinator.acquireFileLock('writer', 'src/a.ts');
+      await coordinator.acquireFileLock('reader', 'src/b.ts', 'shared');
+      
+      const state = await coordinator.loadSystemState();
+      this.assert(findLockedFiles(state, ['src/a.ts', 'src/b.ts'])[0].holders[0] === 'writer', 'Write locks of other workers should be found');
+      this.assert(findLockedFiles(state, ['src/a.ts', 'src/b.ts']).length === 1, 'Read locks should not guard a file');
+      this.assert(findLockedFiles(state, ['src/a.ts'], 'writer').length === 0, 'The lock holder should be able to commit');
+      
+      await coord(['hooks', 'install']);
+      const hookPath = path.join(projectDir, '.git/hooks/pre-commit');
+      this.assert(((await fs.stat(hookPath)).mode & 0o111) !== 0, 'The hook should be installed executable');
+      
+      // Someone else's locked file blocks the commit
+      await fs.writeFile(path.join(projectDir, 'src/a.ts'), 'half done\n');
+      await git(['add', 'src/a.ts']);
+      let blocked = null;
+      try {
+        await git(['commit', '-q', '-m', 'Sneaky commit']);
+      } catch (error) {
+        blocked = error.stderr;
+      }
+      this.assert(blocked && blocked.includes('src/a.ts') && blocked.includes('writer'), 'Commits of locked files should be blocked');
+      
+      // The holder itself, or an explicit override, gets through
+      await git(['commit', '-q', '-m', 'Commit by the holder'], { CLAUDE_COORD_WORKER: 'writer' });
+      await fs.writeFile(path.join(projectDir, 'src/a.ts'), 'overridden\n');
+      await git(['add', 'src/a.ts']);
+      await git(['commit', '-q', '-m', 'Overridden commit'], { CLAUDE_COORD_ALLOW_LOCKED: '1' });
+      
+      // An existing hook is only replaced with --force; warn mode lets the commit through
+      await fs.writeFile(hookPath, '#!/bin/sh\nexit 0\n', { mode: 0o755 });
+      let refused = false;
+      try {
+        await coord(['hooks', 'install']);
+      } catch (error) {
+        refused = error.stderr.includes('already exists');
+      }
+      this.assert(refused, 'A foreign hook should not be replaced without --force');
+      
+      await coord(['hooks', 'install', '--warn', '--force']);
+      await fs.writeFile(path.join(projectDir, 'src/a.ts'), 'warned\n');
+      await git(['add', 'src/a.ts']);
+      const { stderr } = await git(['commit', '-q', '-m', 'Warned commit']);
+      this.assert(stderr.includes('src/a.ts'), 'Warn mode should report locked files');
+      
+      await coord(['hooks', 'uninstall']);
+      this.assert(await fs.readFile(hookPath, 'utf8') === '#!/bin/sh\nexit 0\n', 'Uninstalling should restore the displaced hook');
+      
+      let unknownMode = null;
+      try {
+        await coord(['hooks', 'pre-commit', '--mode=warm']);
+      } catch (error) {
+        unknownMode = error.stderr;
+      }
+      this.assert(unknownMode && unknownMode.includes('Unknown guard mode'), 'An unknown guard mode should be refused');
+      
+      // A project in a subdirectory of the repository only guards its own files
+      const repoDir = path.join(this.testDir, 'commit-guard-monorepo');
+      const appDir = path.join(repoDir, 'packages/app');
+      const repoGit = (args, env = {}) => execFileAsync('git', ['-c', 'user.name=test', '-c', 'user.email=test@localhost', ...args], {
+        cwd: repoDir,
+        timeout: 30000,
+        env: { ...baseEnv, ...env }
+      });
+      
+      await fs.ensureDir(path.join(appDir, 'src'));
+      await fs.ensureDir(path.join(repoDir, 'packages/other/src'));
+      await repoGit(['init', '-q']);
+      await fs.writeFile(path.join(appDir, 'src/a.ts'), 'a\n');
+      await fs.writeFile(path.join(repoDir, 'packages/other/src/a.ts'), 'a\n');
+      await repoGit(['add', '-A']);
+      await repoGit(['commit', '-q', '-m', 'Initial commit']);
+      
+      const app = new CoordinatorCore(appDir);
+      await app.initializeSystem();
+      await app.registerWorker('writer', 'GRUP1_TYPESCRIPT');
+      await app.acquireFileLock('writer', 'src/a.ts');
+      await execFileAsync(process.execPath, [cli, 'hooks', 'install'], { cwd: appDir, timeout: 15000, env: baseEnv });
+      
+      await fs.writeFile(path.join(repoDir, 'packages/other/src/a.ts'), 'unrelated\n');
+      await repoGit(['add', '-A']);
+      await repoGit(['commit', '-q', '-m', 'Same path in another package']);
+      
+      await fs.writeFile(path.join(appDir, 'src/a.ts'), 'half done\n');
+      await repoGit(['add', '-A']);
+      let blockedInSubdir = null;
+      try {
+        await repoGit(['commit', '-q', '-m', 'Sneaky commit']);
+      } catch (error) {
+        blockedInSubdir = error.stderr;
+      }
+      this.assert(blockedInSubdir && blockedInSubdir.includes('src/a.ts'), 'Locked files of a project in a subdirectory should be blocked');
+      
+      console.log('  ✅ Pre-commit guard works correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ Pre-commit guard failed: ${error.message}`);
       this.failed++;
     }
   }
@@ -211,6 +1739,345 @@ class SystemTest {
     }
   }
 
+  async testCoordinatorLiveness() {
+    console.log('💓 Testing coordinator liveness and worker resume...');
+    
+    try {
+      const CoordinatorCore = require('../src/coordinator-core');
+      const WorkerCore = require('../src/worker-core');
+      const projectDir = path.join(this.testDir, 'liveness-project');
+      await fs.ensureDir(projectDir);
+      
+      const coordinator = new CoordinatorCore(projectDir);
+      await coordinator.initializeSystem();
+      
+      const worker = new WorkerCore('live_worker', 'GRUP1_TYPESCRIPT', projectDir, { dryRun: true });
+      this.assert((await worker.checkCoordinatorLiveness()).reason === 'no_heartbeat', 'Missing heartbeat should be dead');
+      
+      await coordinator.publishHeartbeat();
+      const liveness = await worker.checkCoordinatorLiveness();
+      this.assert(liveness.alive, `Fresh heartbeat should be alive (${liveness.reason})`);
+      
+      await coordinator.store.update(state => {
+        state.coordinator.last_heartbeat = new Date(Date.now() - 3600000).toISOString();
+      });
+      this.assert((await worker.checkCoordinatorLiveness()).reason === 'heartbeat_expired', 'Old heartbeat should expire');
+      
+      await coordinator.publishHeartbeat();
+      await coordinator.store.update(state => {
+        state.coordinator.pid = 999999999;
+      });
+      this.assert((await worker.checkCoordinatorLiveness()).reason === 'process_gone', 'Dead coordinator pid should be detected');
+      
+      // Pausing mid-group resumes from the interrupted task
+      const executed = [];
+      const task = (name, handler) => ({ name, action: 'custom', files: [], retries: 0, handler });
+      worker.generateTasks = () => [
+        task('first', () => executed.push('first')),
+        task('second', async () => {
+          executed.push('second');
+          await worker.pause();
+        }),
+        task('third', () => executed.push('third'))
+      ];
+      
+      worker.isRunning = true;
+      const run = worker.runTasks();
+      await new Promise(resolve => worker.once('paused', resolve));
+      await worker.sleep(1500);
+      this.assert(worker.taskCursor === 2, 'Cursor should point at the next task while paused');
+      
+      await worker.resume();
+      this.assert(await run, 'Resumed execution should complete');
+      clearInterval(worker.heartbeatTimer);
+      
+      this.assert(executed.join(',') === 'first,second,third', `Tasks should not repeat after resume (${executed.join(',')})`);
+
+      // A worker dropped while paused registers again on resume
+      worker.isRunning = true;
+      await worker.pause();
+      await coordinator.stopAllWorkers();
+      await worker.resume();
+      clearInterval(worker.heartbeatTimer);
+      let state = await coordinator.loadSystemState();
+      this.assert(state.active_workers.live_worker, 'Resumed worker should be registered again');
+
+      // ...and so does one a heartbeat finds missing
+      await coordinator.removeWorker('live_worker');
+      await worker.sendHeartbeat();
+      state = await coordinator.loadSystemState();
+      this.assert(state.active_workers.live_worker, 'Heartbeat should register a removed worker again');
+
+      console.log('  ✅ Coordinator liveness and worker resume work correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ Coordinator liveness failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testCoordinatorSingleton() {
+    console.log('🔐 Testing coordinator pidfile and stop signalling...');
+    
+    let child = null;
+    
+    try {
+      const CoordinatorCore = require('../src/coordinator-core');
+      const CoordinatorPidFile = require('../src/coordinator-pidfile');
+      const projectDir = path.join(this.testDir, 'singleton-project');
+      await fs.ensureDir(projectDir);
+      
+      // Run a real coordinator in a separate process
+      const { spawn } = require('child_process');
+      const script = `
+        const CoordinatorCore = require(${JSON.stringify(path.join(__dirname, '../src/coordinator-core'))});
+        const coordinator = new CoordinatorCore(${JSON.stringify(projectDir)}, { port: 0 });
+        process.on('SIGTERM', async () => {
+          await coordinator.stop({ reason: 'SIGTERM' });
+          process.exit(0);
+        });
+        coordinator.start();
+      `;
+      child = spawn(process.execPath, ['-e', script], { stdio: 'ignore' });
+      
+      const pidFile = new CoordinatorPidFile(path.join(projectDir, '.claude-coord'));
+      const startTime = Date.now();
+      // coordinator.json is written last, once the IPC socket is listening
+      while (!(await pidFile.getRunningPid()) || !(await fs.pathExists(path.join(projectDir, '.claude-coord', 'coordinator.json')))) {
+        if (Date.now() - startTime > 10000) throw new Error('Coordinator child did not start');
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      this.assert(await pidFile.getRunningPid() === child.pid, 'Pidfile should hold the running coordinator pid');
+      
+      let refused = false;
+      try {
+        await new CoordinatorCore(projectDir, { port: 0 }).start();
+      } catch (error) {
+        refused = error.message.includes('already running');
+      }
+      this.assert(refused, 'A second coordinator should refuse to start');
+      
+      // The running coordinator holds the state, so writes go through it
+      const CoordinationClient = require('../src/coordination-client');
+      const client = await CoordinationClient.connectTo(path.join(projectDir, '.claude-coord'));
+      this.assert(client, 'Should connect to the running coordinator');
+      const now = new Date().toISOString();
+      await client.request('worker.register', {
+        workerId: 'drained_worker',
+        worker: {
+          id: 'drained_worker', group: 'GRUP3_BUNDLE', status: 'working', started_at: now, last_heartbeat: now,
+          current_files: [], progress: { total_tasks: 0, completed_tasks: 0, current_task: null }
+        }
+      });
+      await client.request('lock.acquire', { workerId: 'drained_worker', file: 'package.json' });
+      client.close();
+      
+      const result = await pidFile.requestStop({ timeout: 10000 });
+      this.assert(result.stopped && result.pid === child.pid, 'Running coordinator should be stopped');
+      this.assert(result.report && result.report.reason === 'SIGTERM', 'Shutdown report should be written');
+      this.assert(result.report.drained.workers.some(w => w.id === 'drained_worker'), 'Report should list drained workers');
+      this.assert(result.report.drained.locks.includes('package.json'), 'Report should list released locks');
+      this.assert(!(await pidFile.readPid()), 'Pidfile should be removed on shutdown');
+
+      // A crashed coordinator's pid reused by an unrelated process
+      child = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 30000)'], { stdio: 'ignore' });
+      await fs.writeFile(pidFile.pidFile, `${child.pid}\n`);
+      const crashedAt = new Date(Date.now() - 3600000);
+      await fs.utimes(pidFile.pidFile, crashedAt, crashedAt);
+
+      this.assert(await pidFile.getRunningPid() === null, 'An unrelated process should not count as the coordinator');
+      this.assert(!(await pidFile.requestStop({ timeout: 1000 })).stopped, 'Stop should not signal an unrelated process');
+      await new Promise(resolve => setTimeout(resolve, 200));
+      this.assert(child.exitCode === null && child.signalCode === null, 'The unrelated process should still be running');
+      this.assert(await pidFile.acquire() === process.pid && await pidFile.readPid() === process.pid, 'A reused pid should not block a new coordinator');
+      await pidFile.release();
+
+      console.log('  ✅ Coordinator pidfile and stop signalling work correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ Coordinator singleton failed: ${error.message}`);
+      this.failed++;
+    } finally {
+      if (child && child.exitCode === null) child.kill();
+    }
+  }
+
+  async testDetachedCoordinator() {
+    console.log('👻 Testing detached coordinator and discovery...');
+    
+    try {
+      const CoordinatorDiscovery = require('../src/coordinator-discovery');
+      const CoordinatorPidFile = require('../src/coordinator-pidfile');
+      const projectDir = path.join(this.testDir, 'detached-project');
+      const coordDir = path.join(projectDir, '.claude-coord');
+      await fs.ensureDir(projectDir);
+      
+      const cliPath = path.join(__dirname, '../bin/cli.js');
+      const { stdout } = await execFileAsync(process.execPath, [cliPath, 'start', '--detach', '--port', '0'], {
+        cwd: projectDir,
+        timeout: 30000
+      });
+      
+      const info = await new CoordinatorDiscovery(coordDir).find();
+      this.assert(info, 'Discovery file should describe the running coordinator');
+      this.assert(stdout.includes(`pid ${info.pid}`), 'CLI should report the background pid');
+      this.assert(info.detached && info.port > 0, 'Discovery should record the detached port');
+      this.assert(await fs.pathExists(path.join(coordDir, 'logs', 'coordinator.log')), 'Coordinator log should be written');
+      
+      const status = await execFileAsync(process.execPath, [cliPath, 'status'], { cwd: projectDir, timeout: 30000 });
+      this.assert(status.stdout.includes(`port ${info.port}`), 'Status should find the coordinator without a port');
+      
+      const result = await new CoordinatorPidFile(coordDir).requestStop({ timeout: 10000 });
+      this.assert(result.stopped && result.pid === info.pid, 'Detached coordinator should stop on request');
+      this.assert(!(await fs.pathExists(path.join(coordDir, 'coordinator.json'))), 'Discovery file should be removed on stop');
+      
+      console.log('  ✅ Detached coordinator and discovery work correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ Detached coordinator failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testIPCCoordination() {
+    console.log('🔌 Testing IPC coordination...');
+    
+    try {
+      const CoordinatorCore = require('../src/coordinator-core');
+      const WorkerCore = require('../src/worker-core');
+      const projectDir = path.join(this.testDir, 'ipc-project');
+      await fs.ensureDir(projectDir);
+      
+      const coordinator = new CoordinatorCore(projectDir, { port: 0 });
+      await coordinator.start();
+      
+      const holder = new WorkerCore('ipc_holder', 'GRUP1_TYPESCRIPT', projectDir, { dryRun: true });
+      const waiter = new WorkerCore('ipc_waiter', 'GRUP3_BUNDLE', projectDir, { dryRun: true });
+      
+      for (const worker of [holder, waiter]) {
+        worker.isRunning = true;
+        await worker.connectToCoordinator();
+        this.assert(worker.client && worker.client.connected, `${worker.workerId} should connect over IPC`);
+        await worker.registerWithCoordinator();
+      }
+      
+      const state = await coordinator.loadSystemState();
+      this.assert(state.active_workers.ipc_holder && state.active_workers.ipc_waiter, 'Workers should register over IPC');
+      
+      this.assert(await holder.tryAcquireFileLock('package.json'), 'Holder should get the lock');
+      this.assert(!(await waiter.tryAcquireFileLock('package.json')), 'Waiter should be refused the held lock');
+      
+      // The release is pushed to the waiter instead of being found by polling
+      setTimeout(() => holder.releaseFileLocks(['package.json']), 300);
+      const waitStart = Date.now();
+      await waiter.waitForFileAvailability('package.json');
+      const waited = Date.now() - waitStart;
+      this.assert(waited < 2000, `Waiter should wake on the release notification (waited ${waited}ms)`);
+      
+      // A queued batch request is granted by the coordinator and announced to the waiter
+      this.assert(await holder.tryAcquireFileLock('README.md'), 'Holder should lock README.md');
+      setTimeout(() => holder.releaseFileLocks(['README.md']), 300);
+      const batchStart = Date.now();
+      await waiter.requestFileLocks(['README.md', 'package.json']);
+      const batchWaited = Date.now() - batchStart;
+      this.assert(batchWaited < 2000, `Queued batch should be granted on notification (waited ${batchWaited}ms)`);
+      
+      // Losing the coordinator falls back to file-based coordination
+      await coordinator.stop();
+      await new Promise(resolve => setTimeout(resolve, 100));
+      this.assert(!waiter.client, 'Waiter should drop the closed connection');
+      this.assert(await waiter.tryAcquireFileLock('tsconfig.json'), 'File-based fallback should still grant locks');
+      
+      console.log('  ✅ IPC coordination works correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ IPC coordination failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testNetworkedCoordination() {
+    console.log('🌐 Testing networked coordination...');
+    
+    try {
+      const CoordinatorCore = require('../src/coordinator-core');
+      const WorkerCore = require('../src/worker-core');
+      const projectDir = path.join(this.testDir, 'network-project');
+      const remoteDir = path.join(this.testDir, 'network-checkout');
+      await fs.ensureDir(projectDir);
+      await fs.ensureDir(remoteDir);
+      
+      const coordinator = new CoordinatorCore(projectDir, { port: 0, ipc: false });
+      await coordinator.start();
+      
+      const coordinatorUrl = `http://127.0.0.1:${coordinator.port}`;
+      const token = (await fs.readFile(path.join(projectDir, '.claude-coord', 'auth-token'), 'utf8')).trim();
+      
+      // Workers live in a separate checkout with no shared state file
+      const remote = (id, group, workerToken = token) => new WorkerCore(id, group, remoteDir, {
+        dryRun: true,
+        transport: 'http',
+        coordinatorUrl,
+        token: workerToken
+      });
+      
+      let rejected = false;
+      try {
+        await remote('intruder', 'GRUP1_TYPESCRIPT', 'wrong-token').connectToCoordinator();
+      } catch (error) {
+        rejected = error.message.includes('token');
+      }
+      this.assert(rejected, 'A wrong token should be rejected');
+      
+      const holder = remote('net_holder', 'GRUP1_TYPESCRIPT');
+      const waiter = remote('net_waiter', 'GRUP3_BUNDLE');
+      
+      for (const worker of [holder, waiter]) {
+        worker.isRunning = true;
+        await worker.connectToCoordinator();
+        await worker.registerWithCoordinator();
+      }
+      
+      const state = await coordinator.loadSystemState();
+      this.assert(state.active_workers.net_holder && state.active_workers.net_waiter, 'Workers should register over HTTP');
+      
+      await holder.sendHeartbeat();
+      this.assert(await holder.tryAcquireFileLock('package.json'), 'Holder should get the lock');
+      this.assert(!(await waiter.tryAcquireFileLock('package.json')), 'Waiter should be refused the held lock');
+      
+      setTimeout(() => holder.releaseFileLocks(['package.json']), 300);
+      const waitStart = Date.now();
+      await waiter.waitForFileAvailability('package.json');
+      const waited = Date.now() - waitStart;
+      this.assert(waited < 2000, `Waiter should wake on the long-polled release (waited ${waited}ms)`);
+      
+      this.assert((await waiter.checkCoordinatorLiveness()).alive, 'Remote worker should see the coordinator heartbeat');
+      this.assert(!(await fs.pathExists(path.join(remoteDir, '.claude-coord'))), 'Remote checkout should not need a state file');
+      
+      // The dashboard's state and management routes need the token too
+      const api = (route, options = {}) => fetch(`${coordinatorUrl}${route}`, options).then(res => res.status);
+      const authorization = { Authorization: `Bearer ${token}` };
+      this.assert(await api('/api/status') === 401, 'Status should need the token');
+      this.assert(await api('/api/workers/net_waiter', { method: 'POST', body: '{"action":"remove"}' }) === 401, 'Removing a worker should need the token');
+      this.assert(await api('/api/workers', { headers: authorization }) === 200, 'The token should open the workers route');
+      this.assert((await coordinator.loadSystemState()).active_workers.net_waiter, 'An unauthorized removal should not happen');
+      this.assert(coordinator.webDashboard.server.address().address === '127.0.0.1', 'Dashboard should only listen locally by default');
+      
+      await coordinator.stop();
+      
+      console.log('  ✅ Networked coordination works correctly');
+      this.passed++;
+      
+    } catch (error) {
+      console.log(`  ❌ Networked coordination failed: ${error.message}`);
+      this.failed++;
+    }
+  }
+
   async testCLIInterface() {
     console.log('💻 Testing CLI interface...');
     